@@ -0,0 +1,229 @@
+/**
+ * api.js — Route registratie met schema validatie en een OpenAPI document
+ *
+ * Routes worden geregistreerd via `api.get|post|put|delete(path, spec, handler)`:
+ *  - spec.role / spec.access   → requireRole(role, access); zonder role is de route publiek
+ *  - spec.query / spec.body    → JSON schema; ongeldige input geeft 400 VALIDATION_ERROR
+ *  - spec.summary, description, tags en responses komen in het OpenAPI document
+ *  - POST/PUT/DELETE routes worden vastgelegd in het audit log (als `audit` is meegegeven)
+ *  - POST routes accepteren een Idempotency-Key header (als `idempotency` is meegegeven)
+ *  - routes met een role tellen mee voor de rate limits (als `rateLimit` is meegegeven)
+ *
+ * Query parameters worden tegen een gecoërceerde kopie gevalideerd ('5' telt als
+ * integer); de handler krijgt req.query ongewijzigd. Dezelfde specs vormen het
+ * OpenAPI 3.1 document dat op /api/openapi.json geserveerd wordt.
+ */
+
+const Ajv = require('ajv');
+const { ApiError } = require('./errors');
+
+const bodyAjv = new Ajv({ allErrors: true, strict: false });
+const queryAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['ok', 'code', 'error'],
+  properties: {
+    ok: { const: false },
+    code: { type: 'string', description: 'Stable machine-readable error code' },
+    error: { type: 'string' },
+    details: {}
+  }
+};
+
+const COMPONENTS = {
+  schemas: {
+    Error: ERROR_SCHEMA,
+    Success: {
+      type: 'object',
+      required: ['ok'],
+      properties: { ok: { const: true } },
+      additionalProperties: true
+    },
+    JobAccepted: {
+      type: 'object',
+      required: ['ok', 'jobId', 'status', 'statusUrl'],
+      properties: {
+        ok: { const: true },
+        jobId: { type: 'string' },
+        status: { type: 'string' },
+        statusUrl: { type: 'string' }
+      }
+    }
+  },
+  parameters: {
+    IdempotencyKey: {
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Repeat requests with the same key replay the first response; a different payload gives 422',
+      schema: { type: 'string', minLength: 1, maxLength: 255 }
+    }
+  },
+  securitySchemes: {
+    ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-internal-key' },
+    BearerAuth: { type: 'http', scheme: 'bearer' }
+  }
+};
+
+// Response verwijzingen voor spec.responses
+const JOB_ACCEPTED = { description: 'Accepted, runs as a background job', schema: { $ref: '#/components/schemas/JobAccepted' } };
+
+/**
+ * Zet ajv fouten om naar { in, field, message }. Fouten binnen een anyOf worden
+ * samengevat in de anyOf fout zelf ("must be string or array").
+ */
+function formatErrors(location, errors) {
+  const nested = errors.filter(e => /\/anyOf\/\d+\//.test(e.schemaPath));
+  return errors.filter(e => !nested.includes(e)).map(err => {
+    let field = err.instancePath;
+    let message = err.message;
+    if (err.keyword === 'required') {
+      field += `/${err.params.missingProperty}`;
+      message = 'is required';
+    }
+    if (err.keyword === 'anyOf') {
+      const options = nested.filter(n => n.instancePath === err.instancePath && n.schemaPath.startsWith(`${err.schemaPath}/`));
+      const required = options.filter(o => o.keyword === 'required').map(o => o.params.missingProperty);
+      const types = [...new Set(options.filter(o => o.keyword === 'type').map(o => o.params.type))];
+      if (required.length) message = `needs one of: ${required.join(', ')}`;
+      else if (types.length) message = `must be ${types.join(' or ')}`;
+    }
+    return {
+      in: location,
+      field: field.replace(/^\//, '').replace(/\//g, '.') || null,
+      message
+    };
+  });
+}
+
+function validator(spec) {
+  const checks = [];
+  if (spec.query) checks.push(['query', queryAjv.compile({ type: 'object', ...spec.query }), req => ({ ...req.query })]);
+  if (spec.body) checks.push(['body', bodyAjv.compile({ type: 'object', ...spec.body }), req => req.body || {}]);
+  if (!checks.length) return null;
+
+  return (req, _res, next) => {
+    const details = [];
+    for (const [location, validate, data] of checks) {
+      if (!validate(data(req))) details.push(...formatErrors(location, validate.errors));
+    }
+    if (!details.length) return next();
+    const summary = details.map(d => (d.field ? `${d.field} ${d.message}` : `${d.in} ${d.message}`)).join('; ');
+    next(new ApiError(400, 'VALIDATION_ERROR', `Invalid request: ${summary}`, details));
+  };
+}
+
+// ---------- OpenAPI ----------
+
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function parameters(path, query) {
+  const params = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name, in: 'path', required: true, schema: { type: 'string' }
+  }));
+  if (query && query.properties) {
+    const required = query.required || [];
+    for (const [name, schema] of Object.entries(query.properties)) {
+      const { description, ...rest } = schema;
+      params.push({ name, in: 'query', required: required.includes(name), schema: rest, ...(description ? { description } : {}) });
+    }
+  }
+  return params;
+}
+
+// bv. POST /api/accounts/:id/deploy → postAccountsByIdDeploy
+function operationId(method, path) {
+  const cap = w => w.charAt(0).toUpperCase() + w.slice(1);
+  const words = path.replace(/^\/api\//, '').split(/[/\-.]/).filter(Boolean)
+    .map(w => (w.startsWith(':') ? `By${cap(w.slice(1))}` : w));
+  return method + words.map(cap).join('');
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function operation(route) {
+  const { spec, path, method, idempotent } = route;
+  const errorResponse = description => ({ description, content: jsonContent({ $ref: '#/components/schemas/Error' }) });
+
+  const responses = { 200: { description: 'OK', content: jsonContent({ $ref: '#/components/schemas/Success' }) } };
+  for (const [status, r] of Object.entries(spec.responses || {})) {
+    responses[status] = { description: r.description, ...(r.schema ? { content: jsonContent(r.schema) } : {}) };
+  }
+  if (spec.query || spec.body) responses[400] = errorResponse('Validation error');
+  if (spec.role) {
+    responses[401] = errorResponse('Missing or invalid API key');
+    responses[403] = errorResponse('Insufficient role or account outside key scope');
+    responses[429] = errorResponse('Rate limit exceeded, see Retry-After');
+  }
+  responses.default = errorResponse('Error');
+
+  const op = {
+    operationId: spec.operationId || operationId(method, path),
+    summary: spec.summary,
+    ...(spec.description ? { description: spec.description } : {}),
+    tags: spec.tags || [],
+    parameters: [
+      ...parameters(path, spec.query),
+      ...(idempotent ? [{ $ref: '#/components/parameters/IdempotencyKey' }] : [])
+    ],
+    responses,
+    security: spec.role ? [{ ApiKeyHeader: [] }, { BearerAuth: [] }] : []
+  };
+  if (spec.role) op['x-required-role'] = spec.role;
+  if (spec.body) op.requestBody = { required: true, content: jsonContent({ type: 'object', ...spec.body }) };
+  return op;
+}
+
+/**
+ * @param {object} app
+ * @param {object} opts
+ * @param {Function} opts.requireRole   uit createAuth
+ * @param {object} opts.info            OpenAPI info (title, version)
+ * @param {object} [opts.audit]         uit createAudit
+ * @param {object} [opts.idempotency]   uit createIdempotency
+ * @param {object} [opts.rateLimit]     uit createRateLimiter
+ */
+function createApi(app, { requireRole, info, audit, idempotency, rateLimit }) {
+  const routes = [];
+
+  function define(method, path, spec, ...handlers) {
+    const chain = [];
+    // Eerst het audit log, zodat ook geweigerde en ongeldige requests vastliggen
+    if (audit && method !== 'get') chain.push(audit.record(`${method.toUpperCase()} ${path}`));
+    if (spec.role && rateLimit) chain.push(rateLimit.middleware);
+    if (spec.role) chain.push(requireRole(spec.role, spec.access));
+    const validate = validator(spec);
+    if (validate) chain.push(validate);
+    // Na auth en validatie: alleen geldige requests leggen een key vast
+    const idempotent = !!idempotency && method === 'post';
+    if (idempotent) chain.push(idempotency.middleware);
+    routes.push({ method, path, spec, idempotent });
+    app[method](path, ...chain, ...handlers);
+  }
+
+  function openapi() {
+    const paths = {};
+    for (const route of routes) {
+      const p = toOpenApiPath(route.path);
+      paths[p] = paths[p] || {};
+      paths[p][route.method] = operation(route);
+    }
+    return { openapi: '3.1.0', info, paths, components: COMPONENTS };
+  }
+
+  return {
+    get: (path, spec, ...h) => define('get', path, spec, ...h),
+    post: (path, spec, ...h) => define('post', path, spec, ...h),
+    put: (path, spec, ...h) => define('put', path, spec, ...h),
+    delete: (path, spec, ...h) => define('delete', path, spec, ...h),
+    routes,
+    openapi
+  };
+}
+
+module.exports = { createApi, JOB_ACCEPTED };
@@ -0,0 +1,210 @@
+/**
+ * audit.js — Persistent audit log van alle muterende operaties
+ *
+ * Elke POST/PUT/DELETE route schrijft één regel naar data/audit.jsonl (append
+ * only): wie (API key), wanneer, welke accounts, de payload zonder wachtwoorden
+ * of secrets, en het resultaat (status, foutcode, jobId). Operaties die als
+ * job lopen krijgen bij afronding een tweede regel `job.finished` met de
+ * uitkomst. Acties van de service zelf (bv. de equity guard) hebben als caller
+ * { name: 'system:<bron>' }.
+ *
+ * Gevoelige velden worden weggelaten met `redact` uit logger.js, zodat audit en
+ * logs dezelfde velden verbergen. Wordt audit.jsonl groter dan `maxBytes`, dan
+ * schuift hij door naar audit.1.jsonl … audit.<maxFiles>.jsonl (de oudste
+ * vervalt). Query leest de bestanden van achter naar voren in blokken.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { dataPath, ensureDir } = require('./store');
+const { getJob } = require('./jobs');
+const { requestAccountIds } = require('./util');
+const { log, redact } = require('./logger');
+
+const FILE = dataPath('audit.jsonl');
+const MAX_QUERY_LIMIT = 1000;
+const CHUNK_BYTES = 64 * 1024;
+
+// audit.jsonl, audit.1.jsonl, … (0 = het actuele bestand)
+function fileAt(index) {
+  return index === 0 ? FILE : dataPath(`audit.${index}.jsonl`);
+}
+
+/**
+ * Regels van achter naar voren, per blok van CHUNK_BYTES gelezen. Splitsen op
+ * de newline byte is veilig voor UTF-8.
+ */
+function* linesReversed(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+  try {
+    let pos = fs.fstatSync(fd).size;
+    let rest = Buffer.alloc(0);
+    while (pos > 0) {
+      const size = Math.min(CHUNK_BYTES, pos);
+      pos -= size;
+      const chunk = Buffer.alloc(size);
+      fs.readSync(fd, chunk, 0, size, pos);
+      const data = Buffer.concat([chunk, rest]);
+      let end = data.length;
+      for (let i = data.length - 1; i >= 0; i--) {
+        if (data[i] !== 0x0a) continue;
+        if (end > i + 1) yield data.toString('utf8', i + 1, end);
+        end = i;
+      }
+      rest = data.subarray(0, end);
+    }
+    if (rest.length) yield rest.toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function callerOf(auth) {
+  if (!auth) return null;
+  return { keyId: auth.keyId, name: auth.name, role: auth.role };
+}
+
+// Alleen de uitkomst, niet de hele response (die kan secrets of grote lijsten bevatten)
+function summarize(status, body) {
+  const result = { status, ok: status < 400 };
+  if (!body || typeof body !== 'object') return result;
+  if (body.ok === false) {
+    result.ok = false;
+    result.code = body.code;
+    result.error = body.error;
+  }
+  if (body.jobId) result.jobId = body.jobId;
+  for (const k of ['total', 'succeeded', 'failed', 'closedCount', 'failedCount']) {
+    if (body[k] !== undefined) result[k] = body[k];
+  }
+  return result;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes]  grootte waarna audit.jsonl doorschuift
+ * @param {number} [opts.maxFiles]  aantal bewaarde oude bestanden
+ */
+function createAudit({ maxBytes = 50 * 1024 * 1024, maxFiles = 5 } = {}) {
+  // jobId -> request entry, zodat job.finished dezelfde caller en accounts krijgt
+  const pendingJobs = new Map();
+
+  function rotate() {
+    fs.rmSync(fileAt(maxFiles), { force: true });
+    for (let i = maxFiles - 1; i >= 0; i--) {
+      if (fs.existsSync(fileAt(i))) fs.renameSync(fileAt(i), fileAt(i + 1));
+    }
+  }
+
+  function append(entry) {
+    const full = { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry };
+    try {
+      ensureDir();
+      fs.appendFileSync(FILE, `${JSON.stringify(full)}\n`);
+      if (fs.statSync(FILE).size > maxBytes) rotate();
+    } catch (e) {
+      log.error('audit write failed', { error: e.message });
+    }
+    return full;
+  }
+
+  /**
+   * Route middleware: legt de request vast zodra de response verstuurd is.
+   * @param {string} action  bv. 'POST /api/copy/start'
+   */
+  function record(action) {
+    return (req, res, next) => {
+      const start = Date.now();
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = body => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on('finish', () => {
+        const entry = append({
+          action,
+          path: req.originalUrl,
+          caller: callerOf(req.auth),
+          ip: req.ip,
+          accountIds: requestAccountIds(req),
+          payload: redact(req.body || {}),
+          result: summarize(res.statusCode, responseBody),
+          durationMs: Date.now() - start
+        });
+        if (!entry.result.jobId) return;
+        pendingJobs.set(entry.result.jobId, entry);
+        // Snelle jobs kunnen al klaar zijn voordat de response verstuurd is
+        const job = getJob(entry.result.jobId);
+        if (job && job.finishedAt) jobFinished(job);
+      });
+      next();
+    };
+  }
+
+  function jobFinished(job) {
+    const request = pendingJobs.get(job.id);
+    if (!request) return;
+    pendingJobs.delete(job.id);
+    const accountIds = new Set(request.accountIds);
+    if (job.meta.accountId) accountIds.add(job.meta.accountId);
+    append({
+      action: 'job.finished',
+      requestId: request.id,
+      caller: request.caller,
+      accountIds: [...accountIds],
+      jobId: job.id,
+      jobType: job.type,
+      result: {
+        status: job.status,
+        ok: job.status === 'succeeded',
+        ...(job.error ? { code: job.error.code, error: job.error.message, step: job.error.step } : {})
+      }
+    });
+  }
+
+  // Actie zonder HTTP request, bv. de equity guard
+  function system(source, action, { accountIds = [], payload, result } = {}) {
+    return append({ action, caller: { keyId: null, name: `system:${source}`, role: null }, accountIds, payload, result });
+  }
+
+  /**
+   * Nieuwste eerst. Filters: accountId, keyId, action (prefix), from/to (ISO).
+   * @returns {{ entries: object[], hasMore: boolean }}
+   */
+  function query({ accountId, keyId, action, from, to, limit = 100 } = {}) {
+    const fromMs = from ? Date.parse(from) : -Infinity;
+    const toMs = to ? Date.parse(to) : Infinity;
+    const max = Math.min(limit, MAX_QUERY_LIMIT);
+
+    const entries = [];
+    scan:
+    for (let f = 0; f <= maxFiles; f++) {
+      for (const line of linesReversed(fileAt(f))) {
+        let entry;
+        try { entry = JSON.parse(line); } catch { continue; }
+        const at = Date.parse(entry.at);
+        // Nieuwste eerst: vóór `from` komt niets meer dat past
+        if (at < fromMs) break scan;
+        if (at > toMs) continue;
+        if (accountId && !(entry.accountIds || []).includes(accountId)) continue;
+        if (keyId && (!entry.caller || entry.caller.keyId !== keyId)) continue;
+        if (action && !String(entry.action).startsWith(action)) continue;
+        entries.push(entry);
+        if (entries.length > max) break scan;
+      }
+    }
+    return { entries: entries.slice(0, max), hasMore: entries.length > max };
+  }
+
+  return { record, jobFinished, system, query };
+}
+
+module.exports = { createAudit };
@@ -0,0 +1,243 @@
+/**
+ * auth.js — API keys met rollen en optionele account-scope
+ *
+ * Rollen (oplopend): read < trader < admin
+ *  - read:   alleen GET routes
+ *  - trader: copy starten/stoppen, posities sluiten, accounts linken/beheren
+ *  - admin:  alles, incl. strategies, account verwijderen en key beheer
+ *
+ * Een key kan beperkt worden tot een lijst account ids. Zo'n key mag alleen
+ * routes aanroepen die op (een van) die accounts werken.
+ *
+ * Keys staan gehasht in data/api-keys.json en zijn via /api/keys aan te maken,
+ * te roteren en in te trekken zonder redeploy. INTERNAL_API_KEY uit de env
+ * blijft werken als admin key. Alleen als er nooit een key is geweest (geen
+ * INTERNAL_API_KEY en een lege key store) staat auth uit. Ingetrokken of
+ * verlopen keys tellen mee: zijn alle keys weg, dan krijgt iedereen een 401
+ * in plaats van admin toegang. De eerste key moet daarom een admin key
+ * zonder account-scope zijn, anders kan niemand meer keys beheren.
+ *
+ * De key gaat mee als `x-internal-key` header of `Authorization: Bearer <key>`,
+ * voor de SSE stream ook als `?apiKey=`.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { ApiError, badRequest, sendError } = require('./errors');
+
+const ROLES = ['read', 'trader', 'admin'];
+const ENV_KEY_ID = 'env';
+
+const store = createJsonStore('api-keys', () => ({ keys: [] }));
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateSecret() {
+  return `mk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function publicKey(k) {
+  const { hash, ...rest } = k;
+  return rest;
+}
+
+function activeKeys() {
+  const now = Date.now();
+  return store.get().keys.filter(k => !k.revokedAt && (!k.expiresAt || Date.parse(k.expiresAt) > now));
+}
+
+function validateKeyInput({ role, accounts, expiresAt }) {
+  if (role !== undefined && !ROLES.includes(role)) throw badRequest(`role must be one of: ${ROLES.join(', ')}`);
+  if (accounts !== undefined && accounts !== null &&
+    (!Array.isArray(accounts) || !accounts.length || accounts.some(a => typeof a !== 'string' || !a))) {
+    throw badRequest('accounts must be a non-empty array of account ids (or null for all accounts)');
+  }
+  if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+    throw badRequest('expiresAt must be an ISO date');
+  }
+}
+
+/**
+ * @param {string} internalKey  INTERNAL_API_KEY uit de env ('' = geen)
+ */
+function createAuth({ internalKey = '' } = {}) {
+  function enabled() {
+    return !!internalKey || store.get().keys.length > 0;
+  }
+
+  function lookup(secret) {
+    if (!secret) return null;
+    const hash = hashKey(secret);
+    // Digests hebben een vaste lengte, ook bij multibyte tekens in de header
+    if (internalKey && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashKey(internalKey), 'hex'))) {
+      return { keyId: ENV_KEY_ID, name: 'INTERNAL_API_KEY', role: 'admin', accounts: null };
+    }
+    const key = activeKeys().find(k => k.hash === hash);
+    if (!key) return null;
+    return { keyId: key.id, name: key.name, role: key.role, accounts: key.accounts || null };
+  }
+
+  function extractSecret(req, allowQuery) {
+    const header = req.headers['x-internal-key'];
+    if (header) return String(header);
+    const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (m) return m[1].trim();
+    return allowQuery && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+  }
+
+  /**
+   * Globale middleware: zet req.auth of geeft 401. Open paden (health) en
+   * OPTIONS worden overgeslagen. Op `queryKeyPaths` mag de key ook als
+   * ?apiKey= meekomen (EventSource in de browser kan geen headers zetten).
+   */
+  function authenticate({ publicPaths = [], queryKeyPaths = [] } = {}) {
+    return (req, res, next) => {
+      if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) return next();
+      if (!enabled()) {
+        req.auth = { keyId: null, name: 'anonymous', role: 'admin', accounts: null };
+        return next();
+      }
+      const auth = lookup(extractSecret(req, queryKeyPaths.includes(req.path)));
+      if (!auth) return sendError(res, new ApiError(401, 'UNAUTHORIZED', 'Missing or invalid API key'));
+      req.auth = auth;
+      next();
+    };
+  }
+
+  function inScope(auth, accountId) {
+    return !auth || !auth.accounts || auth.accounts.includes(accountId);
+  }
+
+  // Account ids waar een request op werkt (query, body of ander veld via opts)
+  function defaultAccountIds(req) {
+    const q = req.query || {};
+    const b = req.body || {};
+    return [q.id, q.accountId, b.accountId, ...(Array.isArray(b.accountIds) ? b.accountIds : [])]
+      .filter(v => typeof v === 'string' && v);
+  }
+
+  /**
+   * Route middleware: minimaal `role` en, voor scoped keys, alleen accounts
+   * binnen de scope.
+   *
+   * @param {'read'|'trader'|'admin'} role
+   * @param {object} [opts]
+   * @param {(req) => string[]} [opts.accounts]  account ids uit de request
+   * @param {boolean} [opts.filter]  scoped keys toestaan; de route filtert zelf via inScope
+   */
+  function requireRole(role, opts = {}) {
+    const level = ROLES.indexOf(role);
+    return (req, res, next) => {
+      const auth = req.auth;
+      if (!auth || ROLES.indexOf(auth.role) < level) {
+        return sendError(res, new ApiError(403, 'FORBIDDEN', `Forbidden: requires role ${role}`));
+      }
+      if (auth.accounts && !opts.filter) {
+        const ids = (opts.accounts || defaultAccountIds)(req);
+        if (!ids.length) {
+          return sendError(res, new ApiError(403, 'OUT_OF_SCOPE', 'Forbidden: key is scoped to specific accounts'));
+        }
+        const outside = ids.filter(id => !auth.accounts.includes(id));
+        if (outside.length) {
+          return sendError(res, new ApiError(403, 'OUT_OF_SCOPE', 'Forbidden: account outside key scope', { accountIds: outside }));
+        }
+      }
+      next();
+    };
+  }
+
+  // ---------- Key beheer ----------
+
+  function listKeys() {
+    return store.get().keys.map(publicKey);
+  }
+
+  /**
+   * @returns {{ key: object, secret: string }} secret is alleen hier zichtbaar
+   */
+  function createKey({ name, role = 'read', accounts = null, expiresAt = null }, createdBy) {
+    if (!name || typeof name !== 'string') throw badRequest('name is required');
+    validateKeyInput({ role, accounts, expiresAt });
+    if (!enabled() && (role !== 'admin' || accounts)) {
+      throw badRequest('The first key must be an admin key without account scope, otherwise no one can manage keys');
+    }
+
+    const secret = generateSecret();
+    const key = {
+      id: crypto.randomUUID(),
+      name,
+      role,
+      accounts,
+      prefix: secret.slice(0, 7),
+      hash: hashKey(secret),
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy || null,
+      expiresAt,
+      rotatedAt: null,
+      revokedAt: null
+    };
+    store.update(data => { data.keys.push(key); });
+    return { key: publicKey(key), secret };
+  }
+
+  function findKey(data, id) {
+    const key = data.keys.find(k => k.id === id);
+    if (!key) throw new ApiError(404, 'KEY_NOT_FOUND', 'Key not found');
+    return key;
+  }
+
+  // Nieuw secret, zelfde id/rol/scope; het oude secret werkt direct niet meer
+  function rotateKey(id) {
+    const secret = generateSecret();
+    let result;
+    store.update(data => {
+      const key = findKey(data, id);
+      if (key.revokedAt) throw new ApiError(409, 'KEY_REVOKED', 'Key is revoked');
+      key.hash = hashKey(secret);
+      key.prefix = secret.slice(0, 7);
+      key.rotatedAt = new Date().toISOString();
+      result = publicKey(key);
+    });
+    return { key: result, secret };
+  }
+
+  function updateKey(id, { role, accounts, expiresAt, name }) {
+    validateKeyInput({ role, accounts, expiresAt });
+    let result;
+    store.update(data => {
+      const key = findKey(data, id);
+      if (name !== undefined) key.name = String(name);
+      if (role !== undefined) key.role = role;
+      if (accounts !== undefined) key.accounts = accounts;
+      if (expiresAt !== undefined) key.expiresAt = expiresAt;
+      result = publicKey(key);
+    });
+    return result;
+  }
+
+  function revokeKey(id) {
+    let result;
+    store.update(data => {
+      const key = findKey(data, id);
+      if (!key.revokedAt) key.revokedAt = new Date().toISOString();
+      result = publicKey(key);
+    });
+    return result;
+  }
+
+  return {
+    enabled,
+    authenticate,
+    requireRole,
+    inScope,
+    listKeys,
+    createKey,
+    rotateKey,
+    updateKey,
+    revokeKey
+  };
+}
+
+module.exports = { createAuth, ROLES };
@@ -0,0 +1,174 @@
+/**
+ * config.js — Alle instellingen uit de env, één keer gevalideerd bij het opstarten
+ *
+ * Een .env bestand in de werkdirectory wordt ingelezen (dotenv); echte env
+ * variabelen gaan voor. Ongeldige waarden geven bij het laden één ConfigError
+ * met alle problemen, zodat de service niet half geconfigureerd start.
+ *
+ * Regio's: CopyFactory en MetaStats draaien per regio. COPYFACTORY_URL en
+ * METASTATS_URL zijn templates met `{region}`; een URL zonder `{region}` (bv.
+ * de mock) geldt voor alle regio's. METAAPI_REGION is de regio voor nieuwe
+ * accounts en voor calls die niet bij één account horen.
+ *
+ * TLS: certificaten worden altijd gecontroleerd. TLS_CA_FILE voegt een eigen CA
+ * bundle (PEM) toe aan de standaard roots, bv. voor een bedrijfsproxy.
+ * TLS_INSECURE=true zet de controle uit voor upstream calls; alleen voor lokaal
+ * debuggen.
+ */
+
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+const https = require('https');
+const tls = require('tls');
+
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const REGION_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Vult `{region}` in een URL template in.
+ */
+function regionUrl(template, region) {
+  return template.replace(/\{region\}/g, region);
+}
+
+/**
+ * @param {object} [env]  default process.env
+ * @returns {object} bevroren config
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+
+  const str = (name, fallback = '') => {
+    const v = env[name];
+    return v === undefined || v === '' ? fallback : String(v).trim();
+  };
+  const num = (name, fallback, { min = 0 } = {}) => {
+    const v = env[name];
+    if (v === undefined || v === '') return fallback;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < min) {
+      problems.push(`${name} must be a number >= ${min} (got "${v}")`);
+      return fallback;
+    }
+    return n;
+  };
+  const bool = (name, fallback = false) => {
+    const v = str(name).toLowerCase();
+    if (!v) return fallback;
+    if (['1', 'true', 'yes'].includes(v)) return true;
+    if (['0', 'false', 'no'].includes(v)) return false;
+    problems.push(`${name} must be true or false (got "${env[name]}")`);
+    return fallback;
+  };
+  const oneOf = (name, values, fallback) => {
+    const v = str(name, fallback);
+    if (!values.includes(v)) problems.push(`${name} must be one of: ${values.join(', ')} (got "${v}")`);
+    return values.includes(v) ? v : fallback;
+  };
+  const list = name => str(name).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const url = (name, fallback) => {
+    const v = str(name, fallback);
+    try {
+      const u = new URL(regionUrl(v, 'region'));
+      if (!['http:', 'https:'].includes(u.protocol)) throw new Error();
+    } catch {
+      problems.push(`${name} must be an http(s) URL (got "${v}")`);
+    }
+    return v.replace(/\/+$/, '');
+  };
+
+  const region = str('METAAPI_REGION', 'london');
+  if (!REGION_PATTERN.test(region)) problems.push(`METAAPI_REGION must be a region name like "london" (got "${region}")`);
+
+  if (!/^[A-Z]{3}$/i.test(str('REPORTING_CURRENCY', 'EUR'))) {
+    problems.push(`REPORTING_CURRENCY must be a 3-letter currency code (got "${env.REPORTING_CURRENCY}")`);
+  }
+
+  const caFile = str('TLS_CA_FILE');
+  let ca = null;
+  if (caFile) {
+    try {
+      ca = fs.readFileSync(caFile, 'utf8');
+      if (!ca.includes('BEGIN CERTIFICATE')) problems.push(`TLS_CA_FILE ${caFile} does not contain a PEM certificate`);
+    } catch (e) {
+      problems.push(`TLS_CA_FILE ${caFile} cannot be read: ${e.code || e.message}`);
+    }
+  }
+
+  const config = {
+    token: str('METAAPI_TOKEN'),
+    region,
+    domain: str('METAAPI_DOMAIN', 'agiliumtrade.ai'),
+    strategyId: str('PROVIDER_STRATEGY_ID', '3DvG'),
+    reportingCurrency: str('REPORTING_CURRENCY', 'EUR').toUpperCase(),
+    internalKey: str('INTERNAL_API_KEY'),
+    port: num('PORT', 3000, { min: 1 }),
+    logLevel: oneOf('LOG_LEVEL', ['debug', 'info', 'warn', 'error'], 'info'),
+    urls: {
+      provisioning: url('METAAPI_PROVISIONING_URL', 'https://mt-provisioning-api-v1.agiliumtrade.agiliumtrade.ai'),
+      copyFactory: url('COPYFACTORY_URL', 'https://copyfactory-api-v1.{region}.agiliumtrade.ai'),
+      metaStats: url('METASTATS_URL', 'https://metastats-api-v1.{region}.agiliumtrade.ai')
+    },
+    tls: { caFile: caFile || null, ca, insecure: bool('TLS_INSECURE') },
+    upstream: { timeoutMs: num('UPSTREAM_TIMEOUT_MS', 15000, { min: 1 }), retries: num('UPSTREAM_RETRIES', 2) },
+    // Webhook URLs naar loopback/private/link-local adressen alleen met opt-in of allowlist
+    webhooks: { allowPrivate: bool('WEBHOOK_ALLOW_PRIVATE'), allowedHosts: list('WEBHOOK_ALLOWED_HOSTS') },
+    audit: { maxBytes: num('AUDIT_MAX_MB', 50, { min: 1 }) * 1024 * 1024, maxFiles: num('AUDIT_MAX_FILES', 5, { min: 1 }) },
+    idempotencyTtlMs: num('IDEMPOTENCY_TTL_HOURS', 24) * 60 * 60 * 1000,
+    // Requests per minuut; 0 zet de limiet uit
+    rateLimit: { perKey: num('RATE_LIMIT_PER_KEY', 300), perAccount: num('RATE_LIMIT_PER_ACCOUNT', 60) },
+    lockWaitMs: num('ACCOUNT_LOCK_WAIT_MS', 5000),
+    connectionIdleMs: num('CONNECTION_IDLE_MS', 10 * 60 * 1000, { min: 1 }),
+    guardIntervalMs: num('GUARD_INTERVAL_MS', 30000, { min: 1 }),
+    scheduleIntervalMs: num('SCHEDULE_INTERVAL_MS', 30000, { min: 1 }),
+    streamHeartbeatMs: num('STREAM_HEARTBEAT_MS', 15000, { min: 1 }),
+    // EQUITY_SAMPLE_MS=0 zet de sampler uit
+    equity: { sampleMs: num('EQUITY_SAMPLE_MS', 5 * 60 * 1000), retentionDays: num('EQUITY_RETENTION_DAYS', 365, { min: 1 }) }
+  };
+
+  // Jobs, webhooks, guard, schedules en de equity sampler lopen na de response door
+  if (env.VERCEL) {
+    problems.push('serverless deployments (VERCEL) are not supported; run a long-running process with npm start');
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+// Een eigen `ca` vervangt ook NODE_EXTRA_CA_CERTS, dus die gaan expliciet mee
+function extraCaCertificates() {
+  const file = process.env.NODE_EXTRA_CA_CERTS;
+  if (!file) return [];
+  try {
+    return [fs.readFileSync(file, 'utf8')];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Past de TLS instellingen toe op fetch (undici) en de https module (SDK).
+ * Een eigen CA komt bovenop de standaard roots, niet in plaats daarvan.
+ */
+function configureTls({ ca, insecure }) {
+  if (!ca && !insecure) return;
+  const { Agent, setGlobalDispatcher } = require('undici');
+  const connect = insecure
+    ? { rejectUnauthorized: false }
+    : { ca: [...tls.rootCertificates, ...extraCaCertificates(), ca] };
+  setGlobalDispatcher(new Agent({ connect }));
+  Object.assign(https.globalAgent.options, connect);
+}
+
+module.exports = { loadConfig, configureTls, regionUrl, ConfigError };
@@ -0,0 +1,451 @@
+/**
+ * connections.js — Gedeelde MetaApi SDK connecties per account
+ *
+ * Eén MetaApi instance voor de hele service. Per account id wordt het account
+ * object en de RPC connectie bewaard, zodat niet elke request opnieuw hoeft te
+ * verbinden. Gelijktijdige requests voor hetzelfde account wachten op dezelfde
+ * verbindingspoging. Connecties die een tijd niet gebruikt zijn worden gesloten.
+ *
+ * Daarnaast kan per account een streaming connectie geopend worden (subscribe)
+ * voor live events. Die blijft open zolang er minstens één listener is.
+ */
+
+const MetaApiSdk = require('metaapi.cloud-sdk');
+const MetaApi = MetaApiSdk.default;
+const { SynchronizationListener } = MetaApiSdk;
+const { waitTimeouts } = require('./metrics');
+const { withTimeout } = require('./util');
+
+// HTTP status per ConnectionError code (zie errors.js)
+const CONNECTION_STATUS = { NOT_DEPLOYED: 409, CONNECT_TIMEOUT: 504, CONNECT_FAILED: 502 };
+
+class ConnectionError extends Error {
+  /**
+   * @param {string} message
+   * @param {'NOT_DEPLOYED'|'CONNECT_TIMEOUT'|'CONNECT_FAILED'} code
+   * @param {object} [details]  bv. { state, connectionStatus }
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ConnectionError';
+    this.status = CONNECTION_STATUS[code];
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const EVENT_TYPES = [
+  'connection.restored', 'connection.lost', 'synchronized',
+  'position.opened', 'position.updated', 'position.closed',
+  'order.updated', 'order.completed',
+  'account.updated'
+];
+
+/**
+ * Vertaalt SDK synchronisatie callbacks naar eenvoudige events (EVENT_TYPES).
+ * `synchronized` komt na elke (her)synchronisatie met de volledige toestand
+ * (accountInformation, positions, orders).
+ * Het SDK roept callbacks per replica aan; dubbele events worden hier gefilterd
+ * door de bekende posities en de verbindingsstatus bij te houden.
+ */
+class EventAdapter extends SynchronizationListener {
+  constructor(accountId, emit) {
+    super();
+    this.accountId = accountId;
+    this.emit = emit;
+    this.positions = new Map();
+    this.orders = new Map();
+    this.accountInformation = null;
+    this.connected = null;
+    this.synced = false;
+    this.snapshotDue = true;
+  }
+
+  send(type, data) {
+    this.emit({ type, accountId: this.accountId, time: new Date().toISOString(), data });
+  }
+
+  async onConnected() {
+    if (this.connected !== true) {
+      if (this.connected === false) this.send('connection.restored', {});
+      this.connected = true;
+      this.snapshotDue = true;
+    }
+  }
+
+  async onDisconnected() {
+    if (this.connected !== false) {
+      this.connected = false;
+      this.send('connection.lost', {});
+    }
+  }
+
+  async onAccountInformationUpdated(_instanceIndex, accountInformation) {
+    this.accountInformation = accountInformation;
+    this.send('account.updated', accountInformation);
+  }
+
+  // Volledige lijst na (her)synchronisatie: verschillen melden, geen dubbele opens
+  async onPositionsReplaced(_instanceIndex, positions) {
+    const next = new Map(positions.map(p => [String(p.id), p]));
+    if (this.synced) {
+      for (const [id, p] of next) if (!this.positions.has(id)) this.send('position.opened', p);
+      for (const [id, p] of this.positions) if (!next.has(id)) this.send('position.closed', p);
+    }
+    this.positions = next;
+    this.synced = true;
+  }
+
+  async onPositionUpdated(_instanceIndex, position) {
+    const id = String(position.id);
+    const known = this.positions.has(id);
+    this.positions.set(id, position);
+    if (!this.synced) return;
+    this.send(known ? 'position.updated' : 'position.opened', position);
+  }
+
+  async onPositionRemoved(_instanceIndex, positionId) {
+    const id = String(positionId);
+    const last = this.positions.get(id);
+    if (!last) return;
+    this.positions.delete(id);
+    this.send('position.closed', last);
+  }
+
+  async onPendingOrderUpdated(_instanceIndex, order) {
+    this.orders.set(String(order.id), order);
+    this.send('order.updated', order);
+  }
+
+  async onPendingOrdersReplaced(_instanceIndex, orders) {
+    this.orders = new Map(orders.map(o => [String(o.id), o]));
+  }
+
+  // Laatste stap van een synchronisatie: één snapshot per (her)verbinding
+  async onPendingOrdersSynchronized() {
+    if (!this.snapshotDue) return;
+    this.snapshotDue = false;
+    this.send('synchronized', {
+      accountInformation: this.accountInformation,
+      positions: [...this.positions.values()],
+      orders: [...this.orders.values()]
+    });
+  }
+
+  async onPendingOrderCompleted(_instanceIndex, orderId) {
+    const id = String(orderId);
+    const last = this.orders.get(id);
+    if (!last) return;
+    this.orders.delete(id);
+    this.send('order.completed', last);
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.token
+ * @param {string} [opts.domain]
+ * @param {number} [opts.connectTimeoutMs]  max wachttijd op connect + synchronisatie
+ * @param {number} [opts.idleTimeoutMs]     ongebruikte connecties worden hierna gesloten
+ * @param {number} [opts.sweepIntervalMs]
+ */
+function createConnectionManager({
+  token,
+  domain = 'agiliumtrade.ai',
+  connectTimeoutMs = 30000,
+  idleTimeoutMs = 10 * 60 * 1000,
+  sweepIntervalMs = 60 * 1000
+}) {
+  let api = null;
+  const entries = new Map();
+  const streams = new Map();
+
+  function sdk() {
+    if (!api) api = new MetaApi(token, { domain });
+    return api;
+  }
+
+  function entryFor(accountId) {
+    let entry = entries.get(accountId);
+    if (!entry) {
+      entry = {
+        accountId,
+        status: 'idle',
+        account: null,
+        connection: null,
+        pending: null,
+        activeCalls: 0,
+        createdAt: Date.now(),
+        connectedAt: null,
+        lastUsedAt: Date.now(),
+        lastError: null
+      };
+      entries.set(accountId, entry);
+    }
+    entry.lastUsedAt = Date.now();
+    return entry;
+  }
+
+  // Nieuwe RPC connectie, verbonden en gesynchroniseerd binnen connectTimeoutMs
+  async function openRpc(account) {
+    if (account.state !== 'DEPLOYED') {
+      throw new ConnectionError('Account not deployed', 'NOT_DEPLOYED', {
+        state: account.state, connectionStatus: account.connectionStatus
+      });
+    }
+
+    const connection = account.getRPCConnection();
+    try {
+      await withTimeout(
+        connection.connect().then(() => connection.waitSynchronized(Math.ceil(connectTimeoutMs / 1000))),
+        connectTimeoutMs,
+        'Connection timeout'
+      );
+    } catch (e) {
+      connection.close().catch(() => {});
+      const timedOut = /timeout/i.test(e.message) || e.name === 'TimeoutError';
+      if (timedOut) waitTimeouts.inc({ wait: 'synchronized' });
+      throw new ConnectionError(
+        timedOut ? 'Account connection timeout' : `Account connection failed: ${e.message}`,
+        timedOut ? 'CONNECT_TIMEOUT' : 'CONNECT_FAILED',
+        { state: account.state, connectionStatus: account.connectionStatus }
+      );
+    }
+    return connection;
+  }
+
+  async function connect(entry) {
+    entry.status = 'connecting';
+    const account = await sdk().metatraderAccountApi.getAccount(entry.accountId);
+    entry.account = account;
+    const connection = await openRpc(account);
+
+    entry.connection = connection;
+    entry.status = 'connected';
+    entry.connectedAt = Date.now();
+    entry.lastError = null;
+    return connection;
+  }
+
+  /**
+   * Geeft de (gedeelde) RPC connectie voor een account, verbindt indien nodig.
+   * @returns {Promise<object>} RpcMetaApiConnectionInstance
+   */
+  function getConnection(accountId) {
+    const entry = entryFor(accountId);
+    if (entry.connection) return Promise.resolve(entry.connection);
+    if (!entry.pending) {
+      entry.pending = connect(entry)
+        .catch(e => {
+          entry.status = 'failed';
+          entry.lastError = e.message;
+          entry.connection = null;
+          throw e;
+        })
+        .finally(() => { entry.pending = null; });
+    }
+    return entry.pending;
+  }
+
+  /**
+   * Het account object (provisioning gegevens) zonder een connectie op te zetten.
+   */
+  async function getAccount(accountId) {
+    const entry = entryFor(accountId);
+    if (!entry.account) entry.account = await sdk().metatraderAccountApi.getAccount(accountId);
+    return entry.account;
+  }
+
+  /**
+   * Voert `fn(connection, account)` uit met een gedeelde connectie. Zolang fn
+   * loopt wordt de connectie niet als idle gesloten.
+   */
+  async function withConnection(accountId, fn) {
+    const connection = await getConnection(accountId);
+    const entry = entryFor(accountId);
+    entry.activeCalls++;
+    try {
+      return await fn(connection, entry.account);
+    } finally {
+      entry.activeCalls--;
+      entry.lastUsedAt = Date.now();
+    }
+  }
+
+  /**
+   * Voor achtergrondtaken (equity sampler): gebruikt een bestaande gedeelde
+   * connectie zonder lastUsedAt bij te werken, anders een eigen connectie die
+   * na fn weer gesloten wordt. Zo blijft geen connectie langer open dan nodig.
+   */
+  async function withShortLivedConnection(accountId, fn) {
+    const entry = entries.get(accountId);
+    if (entry && entry.connection) {
+      entry.activeCalls++;
+      try {
+        return await fn(entry.connection, entry.account);
+      } finally {
+        entry.activeCalls--;
+      }
+    }
+    const account = await sdk().metatraderAccountApi.getAccount(accountId);
+    const connection = await openRpc(account);
+    try {
+      return await fn(connection, account);
+    } finally {
+      await connection.close().catch(() => {});
+    }
+  }
+
+  async function close(accountId) {
+    const entry = entries.get(accountId);
+    if (!entry) return false;
+    entries.delete(accountId);
+    if (entry.connection) await entry.connection.close().catch(() => {});
+    return true;
+  }
+
+  // ---------- Streaming (live events) ----------
+
+  async function openStream(stream) {
+    const account = await sdk().metatraderAccountApi.getAccount(stream.accountId);
+    if (account.state !== 'DEPLOYED') {
+      throw new ConnectionError('Account not deployed', 'NOT_DEPLOYED', {
+        state: account.state, connectionStatus: account.connectionStatus
+      });
+    }
+    const connection = account.getStreamingConnection();
+    connection.addSynchronizationListener(stream.adapter);
+    await connection.connect();
+    stream.connection = connection;
+    stream.status = 'connected';
+    // Synchronisatie loopt op de achtergrond door; fouten komen als events binnen
+    connection.waitSynchronized({ timeoutInSeconds: Math.ceil(connectTimeoutMs / 1000) }).catch(e => {
+      if (e.name === 'TimeoutError') waitTimeouts.inc({ wait: 'stream_synchronized' });
+      stream.lastError = e.message;
+    });
+    return connection;
+  }
+
+  /**
+   * Registreert `listener(event)` voor live events van een account. Opent zo
+   * nodig een streaming connectie die gedeeld wordt door alle listeners.
+   *
+   * @returns {Promise<() => Promise<void>>} unsubscribe functie
+   */
+  async function subscribe(accountId, listener) {
+    let stream = streams.get(accountId);
+    if (!stream) {
+      stream = { accountId, listeners: new Set(), connection: null, status: 'connecting', lastError: null };
+      stream.adapter = new EventAdapter(accountId, event => {
+        for (const l of stream.listeners) {
+          try { l(event); } catch (e) { stream.lastError = e.message; }
+        }
+      });
+      stream.pending = openStream(stream).catch(e => {
+        streams.delete(accountId);
+        throw e;
+      });
+      streams.set(accountId, stream);
+    }
+    stream.listeners.add(listener);
+    try {
+      await stream.pending;
+    } catch (e) {
+      stream.listeners.delete(listener);
+      throw e;
+    }
+
+    let active = true;
+    return async () => {
+      if (!active) return;
+      active = false;
+      stream.listeners.delete(listener);
+      if (stream.listeners.size === 0 && streams.get(accountId) === stream) {
+        streams.delete(accountId);
+        if (stream.connection) {
+          stream.connection.removeSynchronizationListener(stream.adapter);
+          await stream.connection.close().catch(() => {});
+        }
+      }
+    };
+  }
+
+  // Laatst bekende posities uit de stream (leeg als er geen stream is)
+  function streamPositions(accountId) {
+    const stream = streams.get(accountId);
+    return stream ? [...stream.adapter.positions.values()] : [];
+  }
+
+  /**
+   * Huidige toestand van de stream, voor nieuwe listeners die niet op het
+   * volgende event willen wachten. null als er geen stream is.
+   */
+  function streamSnapshot(accountId) {
+    const stream = streams.get(accountId);
+    if (!stream) return null;
+    const { adapter } = stream;
+    return {
+      connected: adapter.connected,
+      synchronized: adapter.synced,
+      accountInformation: adapter.accountInformation,
+      positions: [...adapter.positions.values()],
+      orders: [...adapter.orders.values()]
+    };
+  }
+
+  function sweep() {
+    const cutoff = Date.now() - idleTimeoutMs;
+    for (const entry of entries.values()) {
+      if (entry.activeCalls === 0 && !entry.pending && entry.lastUsedAt < cutoff) {
+        close(entry.accountId);
+      }
+    }
+  }
+
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  function stats() {
+    const now = Date.now();
+    return {
+      size: entries.size,
+      idleTimeoutMs,
+      connectTimeoutMs,
+      accounts: [...entries.values()].map(e => ({
+        accountId: e.accountId,
+        status: e.status,
+        accountState: e.account ? e.account.state : null,
+        connectionStatus: e.account ? e.account.connectionStatus : null,
+        activeCalls: e.activeCalls,
+        connectedAt: e.connectedAt ? new Date(e.connectedAt).toISOString() : null,
+        lastUsedAt: new Date(e.lastUsedAt).toISOString(),
+        idleMs: now - e.lastUsedAt,
+        lastError: e.lastError
+      })),
+      streams: [...streams.values()].map(st => ({
+        accountId: st.accountId,
+        status: st.status,
+        listeners: st.listeners.size,
+        connected: st.adapter.connected,
+        positions: st.adapter.positions.size,
+        lastError: st.lastError
+      }))
+    };
+  }
+
+  async function closeAll() {
+    clearInterval(timer);
+    await Promise.all([...entries.keys()].map(close));
+    await Promise.all([...streams.values()].map(st => st.connection && st.connection.close().catch(() => {})));
+    streams.clear();
+    if (api) api.close();
+    api = null;
+  }
+
+  return {
+    getConnection, getAccount, withConnection, withShortLivedConnection,
+    subscribe, streamPositions, streamSnapshot, close, closeAll, stats, sdk
+  };
+}
+
+module.exports = { createConnectionManager, ConnectionError, EVENT_TYPES };
@@ -0,0 +1,177 @@
+/**
+ * cron.js — Cron expressies (5 velden) met tijdzone
+ *
+ *   ┌ minuut (0-59)
+ *   │ ┌ uur (0-23)
+ *   │ │ ┌ dag van de maand (1-31)
+ *   │ │ │ ┌ maand (1-12 of JAN-DEC)
+ *   │ │ │ │ ┌ dag van de week (0-7 of SUN-SAT, 0 en 7 zijn zondag)
+ *   0 22 * * FRI
+ *
+ * Per veld: `*`, een waarde, een bereik `a-b`, een lijst `a,b` en een stap
+ * `* /n` of `a-b/n`. Zijn dag van de maand én dag van de week beperkt, dan is
+ * één van beide genoeg (zoals in gewone cron).
+ *
+ * Tijden worden berekend op de wandklok van de tijdzone (IANA, bv.
+ * 'Europe/Amsterdam'). Bij de zomertijd-sprong schuift een niet bestaande tijd
+ * een uur op; een dubbele tijd bij de wintertijd telt één keer.
+ */
+
+const { badRequest } = require('./errors');
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAYS, offset: 0 }
+];
+
+const MINUTE_MS = 60 * 1000;
+const MAX_STEPS = 200000;
+const LOOKBACK_MS = 400 * 24 * 60 * MINUTE_MS;
+
+function fieldValue(text, field, expr) {
+  const upper = text.toUpperCase();
+  if (field.names && field.names.includes(upper)) return field.names.indexOf(upper) + field.offset;
+  if (!/^\d+$/.test(text)) throw badRequest(`Invalid cron expression "${expr}": "${text}" is not a valid ${field.name}`);
+  const n = Number(text);
+  if (n < field.min || n > field.max) {
+    throw badRequest(`Invalid cron expression "${expr}": ${field.name} ${n} is outside ${field.min}-${field.max}`);
+  }
+  return n;
+}
+
+function parseField(text, field, expr) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw badRequest(`Invalid cron expression "${expr}": bad step in "${part}"`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      from = fieldValue(a, field, expr);
+      to = b === undefined ? (stepText === undefined ? from : field.max) : fieldValue(b, field, expr);
+      if (to < from) throw badRequest(`Invalid cron expression "${expr}": range "${range}" is reversed`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expr   bv. '0 22 * * FRI'
+ * @returns {object} geparste expressie voor nextRun / previousRun
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw badRequest(`Invalid cron expression "${expr}": expected 5 fields (minute hour day month weekday)`);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i], expr));
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+  return {
+    expr: parts.join(' '),
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+// ---------- Tijdzones ----------
+
+const formatters = new Map();
+
+function formatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function assertTimezone(timezone) {
+  try {
+    formatter(timezone);
+  } catch {
+    throw badRequest(`Unknown timezone "${timezone}"; use an IANA name like Europe/Amsterdam`);
+  }
+}
+
+// Wandklok in `timezone` als UTC milliseconden (op de minuut), handig om mee te rekenen
+function wallClock(ms, timezone) {
+  const p = Object.fromEntries(formatter(timezone).formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute));
+}
+
+// Omgekeerd: het moment waarop de wandklok `wall` aangeeft
+function fromWallClock(wall, timezone) {
+  const guess = wall - (wallClock(wall, timezone) - wall);
+  return wall - (wallClock(guess, timezone) - guess);
+}
+
+// ---------- Zoeken ----------
+
+function dayMatches(cron, d) {
+  const dom = cron.dayOfMonth.has(d.getUTCDate());
+  const dow = cron.dayOfWeek.has(d.getUTCDay());
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * Eerste moment ná `afterMs` waarop de expressie valt, of null.
+ */
+function nextRun(cron, timezone, afterMs = Date.now()) {
+  let wall = wallClock(afterMs, timezone) + MINUTE_MS;
+  for (let i = 0; i < MAX_STEPS; i++) {
+    const d = new Date(wall);
+    const [y, m, day, h] = [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()];
+    if (!cron.month.has(m + 1)) wall = Date.UTC(y, m + 1, 1);
+    else if (!dayMatches(cron, d)) wall = Date.UTC(y, m, day + 1);
+    else if (!cron.hour.has(h)) wall = Date.UTC(y, m, day, h + 1);
+    else if (!cron.minute.has(d.getUTCMinutes())) wall += MINUTE_MS;
+    else {
+      const at = fromWallClock(wall, timezone);
+      if (at > afterMs) return new Date(at);
+      wall += MINUTE_MS;
+    }
+  }
+  return null;
+}
+
+/**
+ * Laatste moment op of vóór `atMs` waarop de expressie viel (max ~400 dagen terug), of null.
+ */
+function previousRun(cron, timezone, atMs = Date.now()) {
+  const start = wallClock(atMs, timezone);
+  let wall = start;
+  for (let i = 0; i < MAX_STEPS && wall > start - LOOKBACK_MS; i++) {
+    const d = new Date(wall);
+    const [y, m, day, h] = [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()];
+    if (!cron.month.has(m + 1)) wall = Date.UTC(y, m, 1) - MINUTE_MS;
+    else if (!dayMatches(cron, d)) wall = Date.UTC(y, m, day) - MINUTE_MS;
+    else if (!cron.hour.has(h)) wall = Date.UTC(y, m, day, h) - MINUTE_MS;
+    else if (!cron.minute.has(d.getUTCMinutes())) wall -= MINUTE_MS;
+    else {
+      const at = fromWallClock(wall, timezone);
+      if (at <= atMs) return new Date(at);
+      wall -= MINUTE_MS;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun, previousRun, assertTimezone, wallClock };
@@ -0,0 +1,170 @@
+/**
+ * diagnose.js — Controles waarom copy trading voor een subscriber niet loopt
+ *
+ * `runChecks(input)` is puur: de server verzamelt account, providers,
+ * subscriber config, symbolen en stopouts en deze module zet dat om naar
+ * findings in de vorm
+ *   { check, severity: 'error' | 'warning' | 'info', message, fix, details? }
+ * `status` is de zwaarste severity ('ok' zonder errors of warnings).
+ */
+
+const SEVERITY_ORDER = ['info', 'warning', 'error'];
+
+function finding(check, severity, message, fix, details) {
+  return { check, severity, message, fix: fix || null, ...(details !== undefined ? { details } : {}) };
+}
+
+function accountChecks(accountId, account) {
+  const out = [];
+  if (account.state !== 'DEPLOYED') {
+    out.push(finding('ACCOUNT_NOT_DEPLOYED', 'error', `Account is ${account.state}, not DEPLOYED`,
+      `POST /api/accounts/${accountId}/deploy`, { state: account.state }));
+  } else if (account.connectionStatus !== 'CONNECTED') {
+    out.push(finding('ACCOUNT_NOT_CONNECTED', 'error', `Account is deployed but ${account.connectionStatus} to the broker`,
+      'Check the broker server name and password, or redeploy the account', { connectionStatus: account.connectionStatus }));
+  }
+
+  const roles = account.copyFactoryRoles || [];
+  if (!roles.includes('SUBSCRIBER')) {
+    out.push(finding('SUBSCRIBER_ROLE_MISSING', 'error', 'Account does not have the CopyFactory SUBSCRIBER role',
+      'POST /api/copy/enable-subscriber', { copyFactoryRoles: roles }));
+  } else if (!(account.copyFactoryResourceSlots >= 1)) {
+    out.push(finding('RESOURCE_SLOTS_MISSING', 'error', 'Account has no CopyFactory resource slots',
+      'POST /api/copy/enable-subscriber', { copyFactoryResourceSlots: account.copyFactoryResourceSlots ?? null }));
+  }
+
+  if (account.baseCurrency && account.brokerAccountCurrency && account.baseCurrency !== account.brokerAccountCurrency) {
+    out.push(finding('BROKER_CURRENCY_MISMATCH', 'warning',
+      `Account base currency ${account.baseCurrency} differs from the broker account currency ${account.brokerAccountCurrency}`,
+      'Set baseCurrency to the broker account currency unless the conversion is intended',
+      { baseCurrency: account.baseCurrency, brokerAccountCurrency: account.brokerAccountCurrency }));
+  }
+  return out;
+}
+
+function subscriptionChecks(subscriptions, strategies, strategyHint, hintResolved) {
+  const out = [];
+  if (!subscriptions.length) {
+    out.push(finding('SUBSCRIPTIONS_EMPTY', 'error', 'Subscriber has no subscriptions, nothing is copied',
+      'POST /api/copy/start'));
+  }
+  if (!hintResolved) {
+    out.push(finding('STRATEGY_UNRESOLVED', 'warning', `Strategy '${strategyHint}' does not match any strategy id, name or code`,
+      'Pass ?strategy= with an existing strategy, or set PROVIDER_STRATEGY_ID'));
+  }
+  if (strategies) {
+    for (const s of subscriptions) {
+      if (!strategies.some(st => st._id === s.strategyId)) {
+        out.push(finding('STRATEGY_NOT_FOUND', 'error', `Subscription refers to unknown strategy ${s.strategyId}`,
+          'POST /api/copy/stop with this strategy, then subscribe to an existing one', { strategyId: s.strategyId }));
+      }
+    }
+  }
+  return out;
+}
+
+function providerChecks(account, providers) {
+  const out = [];
+  for (const p of providers) {
+    const details = { strategyId: p.strategyId, providerAccountId: p.accountId };
+    if (p.error) {
+      out.push(finding('PROVIDER_UNKNOWN', 'warning', `Provider account of strategy ${p.strategyId} could not be loaded: ${p.error}`,
+        'Check that the strategy accountId refers to an existing account', details));
+      continue;
+    }
+    const a = p.account;
+    if (a.state !== 'DEPLOYED' || a.connectionStatus !== 'CONNECTED') {
+      out.push(finding('PROVIDER_NOT_CONNECTED', 'error',
+        `Provider account of strategy ${p.strategyId} is ${a.state} / ${a.connectionStatus}; no trades reach subscribers`,
+        `POST /api/accounts/${p.accountId}/deploy or fix the provider broker connection`,
+        { ...details, state: a.state, connectionStatus: a.connectionStatus }));
+    }
+    const subCurrency = account.baseCurrency || account.brokerAccountCurrency;
+    const provCurrency = a.baseCurrency || a.brokerAccountCurrency;
+    if (subCurrency && provCurrency && subCurrency !== provCurrency) {
+      out.push(finding('BASE_CURRENCY_MISMATCH', 'warning',
+        `Subscriber currency ${subCurrency} differs from provider currency ${provCurrency}; balance and equity scaling use the exchange rate`,
+        'Use scalingMode fixedVolume or align the base currencies',
+        { ...details, subscriberCurrency: subCurrency, providerCurrency: provCurrency }));
+    }
+  }
+  return out;
+}
+
+/**
+ * Symbolen die de provider verhandelt (open posities, includeSymbols) maar
+ * die de subscriber niet kent en niet via symbolMapping vertaald worden.
+ */
+function symbolChecks(subscriptions, providers, subscriberSymbols) {
+  if (!subscriberSymbols) {
+    return [finding('SYMBOLS_NOT_CHECKED', 'info', 'Symbols could not be checked without a connection to the account')];
+  }
+  const known = new Set(subscriberSymbols);
+  const out = [];
+  for (const s of subscriptions) {
+    const provider = providers.find(p => p.strategyId === s.strategyId);
+    const traded = new Set([
+      ...((provider && provider.symbols) || []),
+      ...((s.symbolFilter && s.symbolFilter.included) || [])
+    ]);
+    const mapped = new Map((s.symbolMapping || []).map(m => [m.from, m.to]));
+    const excluded = new Set((s.symbolFilter && s.symbolFilter.excluded) || []);
+    const missing = [...traded].filter(sym => !excluded.has(sym) && !known.has(mapped.get(sym) || sym)).sort();
+    if (missing.length) {
+      out.push(finding('SYMBOLS_UNMAPPED', 'warning',
+        `Symbols of strategy ${s.strategyId} not available on the subscriber: ${missing.join(', ')}`,
+        'Add a symbolMapping via POST /api/subscriber/configure (e.g. { "EURUSD": "EURUSD.m" })',
+        { strategyId: s.strategyId, symbols: missing }));
+    }
+  }
+  return out;
+}
+
+function stopoutChecks(stopouts) {
+  if (!stopouts) {
+    return [finding('STOPOUTS_NOT_CHECKED', 'info', 'CopyFactory stopouts could not be loaded')];
+  }
+  return stopouts.map(s => {
+    const strategyId = s.strategy && s.strategy.id;
+    return finding('STOPOUT_ACTIVE', 'error',
+      `Copying of strategy ${strategyId} is stopped: ${s.reasonDescription || s.reason}` +
+        (s.stoppedTill ? ` (until ${new Date(s.stoppedTill).toISOString()})` : ''),
+      'POST /api/copy/stopouts/reset',
+      { strategyId, reason: s.reason, partial: !!s.partial, stoppedAt: s.stoppedAt || null, stoppedTill: s.stoppedTill || null });
+  });
+}
+
+/**
+ * @param {object} input
+ * @param {string} input.accountId
+ * @param {object} input.account              provisioning account
+ * @param {object|null} input.subscriber      CopyFactory subscriber config
+ * @param {object[]|null} input.strategies    alle strategies (null = niet geladen)
+ * @param {string} input.strategyHint
+ * @param {boolean} input.hintResolved
+ * @param {object[]} input.providers          [{ strategyId, accountId, account?, symbols?, error? }]
+ * @param {string[]|null} input.subscriberSymbols
+ * @param {object[]|null} input.stopouts
+ * @param {boolean} [input.guardTripped]
+ * @returns {{ status: string, findings: object[] }}
+ */
+function runChecks(input) {
+  const subscriptions = (input.subscriber && input.subscriber.subscriptions) || [];
+  const findings = [
+    ...accountChecks(input.accountId, input.account),
+    ...subscriptionChecks(subscriptions, input.strategies, input.strategyHint, input.hintResolved),
+    ...providerChecks(input.account, input.providers || []),
+    ...symbolChecks(subscriptions, input.providers || [], input.subscriberSymbols),
+    ...stopoutChecks(input.stopouts)
+  ];
+  if (input.guardTripped) {
+    findings.push(finding('GUARD_TRIPPED', 'error', 'The equity guard stopped copying for this account',
+      `POST /api/guard/${input.accountId}/rearm`));
+  }
+
+  findings.sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+  const worst = findings.length ? findings[0].severity : 'info';
+  return { status: worst === 'info' ? 'ok' : worst, findings };
+}
+
+module.exports = { runChecks };
@@ -0,0 +1,229 @@
+/**
+ * equity.js — Periodieke samples van balance en equity per account
+ *
+ * Een achtergrond sampler legt voor elk gekoppeld (deployed) account balance,
+ * equity, margin en het aantal open posities vast in
+ * data/equity/<accountId>.jsonl. Een gesynchroniseerde stream gaat voor;
+ * anders een kortlevende RPC connectie die na het sample weer dicht gaat.
+ * Bestaande gedeelde connecties worden gebruikt zonder hun idle timer te
+ * verlengen.
+ * Oude data wordt periodiek uitgedund:
+ *  - jonger dan RAW_DAYS:       elk sample
+ *  - tot HOURLY_DAYS:           één sample per uur
+ *  - tot retentionDays:         één sample per dag
+ *  - ouder:                     verwijderd
+ * Een uitgedund sample houdt de laatste waarden plus equityMin/equityMax van
+ * de samples die erin opgingen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./store');
+const { mapWithConcurrency } = require('./util');
+const { badRequest } = require('./errors');
+
+const DIR = dataPath('equity');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const RAW_DAYS = 7;
+const HOURLY_DAYS = 90;
+const MAX_POINTS = 1000;
+
+const INTERVALS = { '1m': MINUTE, '5m': 5 * MINUTE, '15m': 15 * MINUTE, '1h': HOUR, '4h': 4 * HOUR, '1d': DAY };
+
+function fileFor(accountId) {
+  // Account ids zijn uuids; alles daarbuiten kan geen pad worden
+  return path.join(DIR, `${String(accountId).replace(/[^\w-]/g, '_')}.jsonl`);
+}
+
+function readSamples(accountId) {
+  let text = '';
+  try {
+    text = fs.readFileSync(fileFor(accountId), 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const samples = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try { samples.push(JSON.parse(line)); } catch { /* halve regel na een crash */ }
+  }
+  return samples.sort((a, b) => a.t - b.t);
+}
+
+function writeSamples(accountId, samples) {
+  const file = fileFor(accountId);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, samples.map(s => JSON.stringify(s)).join('\n') + (samples.length ? '\n' : ''));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Voegt samples per bucket samen: laatste waarden, min/max equity en het
+ * aantal onderliggende samples.
+ */
+function aggregate(samples, bucketMs) {
+  const buckets = new Map();
+  for (const s of samples) {
+    const key = Math.floor(s.t / bucketMs) * bucketMs;
+    const b = buckets.get(key);
+    const min = s.equityMin ?? s.equity;
+    const max = s.equityMax ?? s.equity;
+    const count = s.samples || 1;
+    if (!b) {
+      buckets.set(key, { ...s, t: key, equityMin: min, equityMax: max, samples: count });
+      continue;
+    }
+    Object.assign(b, {
+      balance: s.balance,
+      equity: s.equity,
+      margin: s.margin,
+      positions: s.positions,
+      equityMin: Math.min(b.equityMin, min),
+      equityMax: Math.max(b.equityMax, max),
+      samples: b.samples + count
+    });
+  }
+  return [...buckets.values()];
+}
+
+// Uitdunnen volgens de retentie stappen bovenaan
+function downsample(samples, now, retentionDays) {
+  const rawFrom = now - RAW_DAYS * DAY;
+  const hourlyFrom = now - HOURLY_DAYS * DAY;
+  const keepFrom = now - retentionDays * DAY;
+  const kept = samples.filter(s => s.t >= keepFrom);
+  return [
+    ...aggregate(kept.filter(s => s.t < hourlyFrom), DAY),
+    ...aggregate(kept.filter(s => s.t >= hourlyFrom && s.t < rawFrom), HOUR),
+    ...kept.filter(s => s.t >= rawFrom)
+  ];
+}
+
+// Kleinste interval met hooguit MAX_POINTS punten
+function autoInterval(from, to) {
+  const span = to - from;
+  const entry = Object.entries(INTERVALS).find(([, ms]) => span / ms <= MAX_POINTS);
+  return entry ? entry[0] : '1d';
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.connections               connection manager
+ * @param {() => Promise<string[]>} opts.listAccounts  account ids om te samplen
+ * @param {number} [opts.intervalMs]              0 = sampler uit
+ * @param {number} [opts.retentionDays]
+ * @param {number} [opts.concurrency]
+ */
+function createEquitySampler({ connections, listAccounts, intervalMs = 5 * MINUTE, retentionDays = 365, concurrency = 3 }) {
+  let timer = null;
+  let running = false;
+  let lastCompactAt = 0;
+  const status = { lastRunAt: null, lastRunMs: null, lastError: null, sampled: 0, errors: {} };
+
+  // Uit de stream als die gesynchroniseerd is, anders via een kortlevende RPC connectie
+  async function sample(accountId) {
+    const snapshot = connections.streamSnapshot(accountId);
+    const live = snapshot && snapshot.synchronized && snapshot.accountInformation
+      ? { info: snapshot.accountInformation, positions: snapshot.positions }
+      : await connections.withShortLivedConnection(accountId, async connection => ({
+        info: await connection.getAccountInformation(),
+        positions: await connection.getPositions()
+      }));
+
+    const s = {
+      t: Date.now(),
+      balance: live.info.balance,
+      equity: live.info.equity,
+      margin: live.info.margin || 0,
+      positions: live.positions.length
+    };
+    fs.mkdirSync(DIR, { recursive: true });
+    fs.appendFileSync(fileFor(accountId), `${JSON.stringify(s)}\n`);
+    return s;
+  }
+
+  function compact(now = Date.now()) {
+    let files = [];
+    try {
+      files = fs.readdirSync(DIR).filter(f => f.endsWith('.jsonl'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    for (const f of files) {
+      const accountId = f.slice(0, -'.jsonl'.length);
+      const samples = readSamples(accountId);
+      const next = downsample(samples, now, retentionDays);
+      if (!next.length) fs.unlinkSync(fileFor(accountId));
+      else if (next.length !== samples.length) writeSamples(accountId, next);
+    }
+    lastCompactAt = now;
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    const started = Date.now();
+    try {
+      const ids = await listAccounts();
+      status.lastError = null;
+      let sampled = 0;
+      await mapWithConcurrency(ids, concurrency, async id => {
+        try {
+          delete status.errors[id];
+          await sample(id);
+          sampled++;
+        } catch (e) {
+          status.errors[id] = e.message;
+        }
+      });
+      status.sampled = sampled;
+      if (Date.now() - lastCompactAt >= HOUR) compact();
+    } finally {
+      status.lastRunAt = new Date(started).toISOString();
+      status.lastRunMs = Date.now() - started;
+      running = false;
+    }
+  }
+
+  /**
+   * Samples tussen from en to, samengevoegd tot `interval` ('raw', '1m' … '1d'
+   * of 'auto').
+   */
+  function curve(accountId, { from, to, interval = 'auto' } = {}) {
+    const toMs = to ? Date.parse(to) : Date.now();
+    const fromMs = from ? Date.parse(from) : toMs - 7 * DAY;
+    if (Number.isNaN(fromMs)) throw badRequest('from must be an ISO date');
+    if (Number.isNaN(toMs)) throw badRequest('to must be an ISO date');
+    if (fromMs >= toMs) throw badRequest('from must be before to');
+    const name = interval === 'auto' ? autoInterval(fromMs, toMs) : interval;
+    if (name !== 'raw' && !INTERVALS[name]) {
+      throw badRequest(`interval must be one of: raw, auto, ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    const samples = readSamples(accountId).filter(s => s.t >= fromMs && s.t <= toMs);
+    const points = name === 'raw' ? samples : aggregate(samples, INTERVALS[name]);
+    return {
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      interval: name,
+      points: points.map(({ t, ...rest }) => ({ time: new Date(t).toISOString(), ...rest }))
+    };
+  }
+
+  function start() {
+    if (timer || !intervalMs) return;
+    timer = setInterval(() => { tick().catch(e => { status.lastError = e.message; }); }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { curve, tick, compact, start, stop, status: () => ({ intervalMs, retentionDays, ...status }) };
+}
+
+module.exports = { createEquitySampler, downsample, aggregate, INTERVALS };
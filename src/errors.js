@@ -0,0 +1,99 @@
+/**
+ * errors.js — Eén foutformaat voor alle routes
+ *
+ * Elke fout gaat als JSON terug in de vorm:
+ *   { ok: false, code: 'VALIDATION_ERROR', error: 'Human readable message', details?: any }
+ *
+ * `code` is stabiel en bedoeld voor clients; `error` is een Engelse melding.
+ * Upstream fouten (MetaApi / CopyFactory) houden hun eigen code
+ * (UPSTREAM_HTTP, UPSTREAM_TIMEOUT, UPSTREAM_NETWORK) met de response in details.
+ * Fouten zonder eigen status (bugs, fs fouten, SDK crashes) worden 500
+ * INTERNAL_ERROR met een algemene melding; de echte melding gaat naar het log.
+ */
+
+const { UpstreamError } = require('./upstream');
+const { log } = require('./logger');
+
+// Code per HTTP status voor fouten zonder eigen code
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+class ApiError extends Error {
+  /**
+   * @param {number} status   HTTP status
+   * @param {string} code     stabiele foutcode, bv. 'ACCOUNT_NOT_FOUND'
+   * @param {string} message
+   * @param {any} [details]
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+const badRequest = (message, details) => new ApiError(400, 'VALIDATION_ERROR', message, details);
+const notFound = (code, message) => new ApiError(404, code, message);
+
+/**
+ * Bepaalt status en body voor een willekeurige fout. `fallbackStatus` geldt
+ * voor fouten zonder eigen status; validatie hoort badRequest() te gooien.
+ *
+ * @returns {{ status: number, body: { ok: false, code: string, error: string, details?: any } }}
+ */
+function describeError(e, fallbackStatus = 500) {
+  if (e instanceof UpstreamError) {
+    const status = e.code === 'UPSTREAM_TIMEOUT' ? 504
+      : (!e.status || e.status >= 500 || e.status === 429) ? 502
+      : 400;
+    return { status, body: { ok: false, code: e.code, error: e.message, details: { upstream: e.toJSON() } } };
+  }
+  // Body-parser fouten (ongeldige JSON, te groot) hebben een `type` en status
+  if (e && e.type === 'entity.parse.failed') {
+    return { status: 400, body: { ok: false, code: 'INVALID_JSON', error: 'Request body is not valid JSON' } };
+  }
+  // withTimeout en het SDK gooien een TimeoutError zonder status
+  if (e && e.name === 'TimeoutError') {
+    return { status: 504, body: { ok: false, code: 'TIMEOUT', error: e.message } };
+  }
+  if (!e || !Number.isInteger(e.status)) {
+    log.error('unhandled error', { error: String((e && e.message) || e), stack: e && e.stack });
+    return { status: fallbackStatus, body: { ok: false, code: STATUS_CODES[fallbackStatus] || 'ERROR', error: 'Internal server error' } };
+  }
+  // ApiError, ConnectionError en SDK fouten hebben een eigen status
+  const status = e.status;
+  const body = {
+    ok: false,
+    code: (typeof e.code === 'string' && e.code) || STATUS_CODES[status] || 'ERROR',
+    error: String(e.message || e)
+  };
+  if (e.details !== undefined) body.details = e.details;
+  return { status, body };
+}
+
+function sendError(res, e, fallbackStatus = 500) {
+  const { status, body } = describeError(e, fallbackStatus);
+  // Voor de access log (logger.js requestTracking)
+  res.locals.error = { code: body.code, error: body.error };
+  return res.status(status).json(body);
+}
+
+// Alleen de body, voor resultaten die per item een fout kunnen bevatten (bulk, close)
+function errorBody(e) {
+  return describeError(e).body;
+}
+
+module.exports = { ApiError, badRequest, notFound, describeError, sendError, errorBody, STATUS_CODES };
@@ -0,0 +1,213 @@
+/**
+ * guard.js — Equity bescherming per account
+ *
+ * Regels (alle optioneel):
+ *  - maxDrawdownPct     max daling van equity t.o.v. de hoogste equity sinds arm, in %
+ *  - maxDrawdownAmount  idem, in accountvaluta
+ *  - dailyLossLimit     max verlies t.o.v. de equity aan het begin van de (UTC) dag
+ *  - marginLevelFloor   minimum margin level in % (alleen als er margin gebruikt wordt)
+ *
+ * Een achtergrond monitor controleert de regels periodiek. Bij een overschrijding
+ * wordt `protect(accountId)` uitgevoerd (copy stoppen + posities sluiten), de
+ * trigger vastgelegd en blijft het account geblokkeerd tot een handmatige re-arm.
+ * Regels en status staan in data/guard.json.
+ */
+
+const { createJsonStore } = require('./store');
+const { ApiError, badRequest, errorBody } = require('./errors');
+
+const RULE_KEYS = ['maxDrawdownPct', 'maxDrawdownAmount', 'dailyLossLimit', 'marginLevelFloor'];
+
+function parseRules(body = {}) {
+  const rules = {};
+  for (const key of RULE_KEYS) {
+    if (body[key] === undefined || body[key] === null) continue;
+    const v = Number(body[key]);
+    if (!(v > 0)) throw badRequest(`${key} must be a positive number`);
+    if (key === 'maxDrawdownPct' && v >= 100) throw badRequest('maxDrawdownPct must be below 100');
+    rules[key] = v;
+  }
+  if (!Object.keys(rules).length) throw badRequest(`At least one rule is required: ${RULE_KEYS.join(', ')}`);
+  return rules;
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Werkt de referentiewaarden bij en controleert de regels.
+ * @returns {{ state: object, breach: object|null }}
+ */
+function evaluateRules(rules, prevState, info, now = new Date()) {
+  const equity = info.equity;
+  const state = { ...prevState };
+  state.peakEquity = Math.max(state.peakEquity || equity, equity);
+  if (!state.dayStart || state.dayStart.date !== utcDay(now)) {
+    state.dayStart = { date: utcDay(now), equity };
+  }
+  state.lastEquity = equity;
+  state.lastMarginLevel = info.marginLevel ?? null;
+  state.lastCheckAt = now.toISOString();
+
+  const drawdown = state.peakEquity - equity;
+  const dailyLoss = state.dayStart.equity - equity;
+  const checks = [
+    ['maxDrawdownPct', state.peakEquity > 0 ? (drawdown / state.peakEquity) * 100 : 0, (v, t) => v >= t],
+    ['maxDrawdownAmount', drawdown, (v, t) => v >= t],
+    ['dailyLossLimit', dailyLoss, (v, t) => v >= t],
+    // Zonder open margin is het margin level leeg of oneindig
+    ['marginLevelFloor', info.margin > 0 ? info.marginLevel : null, (v, t) => v !== null && v <= t]
+  ];
+
+  for (const [rule, value, breached] of checks) {
+    if (rules[rule] !== undefined && breached(value, rules[rule])) {
+      return {
+        state,
+        breach: { rule, value: Number(Number(value).toFixed(2)), threshold: rules[rule], equity, peakEquity: state.peakEquity }
+      };
+    }
+  }
+  return { state, breach: null };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.connections        connection manager
+ * @param {(accountId: string, trigger: object) => Promise<object>} opts.protect  stopt copy + sluit posities
+ * @param {(accountId: string, event: string, data: object) => void} [opts.notify]
+ * @param {number} [opts.intervalMs]
+ */
+function createGuard({ connections, protect, notify = () => {}, intervalMs = 30000 }) {
+  const store = createJsonStore('guard', () => ({ accounts: {} }));
+  const running = new Set();
+  let timer = null;
+
+  function getEntry(accountId) {
+    const entry = store.get().accounts[accountId];
+    if (!entry) throw new ApiError(404, 'GUARD_NOT_FOUND', 'No guard configured for this account');
+    return entry;
+  }
+
+  function setRules(accountId, body) {
+    const rules = parseRules(body);
+    let result;
+    store.update(data => {
+      const existing = data.accounts[accountId];
+      data.accounts[accountId] = result = {
+        accountId,
+        rules,
+        state: existing ? existing.state : {},
+        tripped: existing ? existing.tripped : null,
+        armedAt: existing ? existing.armedAt : new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+    });
+    return result;
+  }
+
+  function remove(accountId) {
+    getEntry(accountId);
+    store.update(data => { delete data.accounts[accountId]; });
+    return true;
+  }
+
+  function isTripped(accountId) {
+    const entry = store.get().accounts[accountId];
+    return !!(entry && entry.tripped);
+  }
+
+  /**
+   * Heft de blokkade op. Peak en dagstart worden opnieuw gezet op de huidige
+   * equity, zodat de oude drawdown niet direct opnieuw triggert.
+   */
+  function rearm(accountId, by) {
+    getEntry(accountId);
+    store.update(data => {
+      const e = data.accounts[accountId];
+      if (e.tripped) {
+        e.history = [...(e.history || []), { ...e.tripped, rearmedAt: new Date().toISOString(), rearmedBy: by || null }].slice(-20);
+      }
+      e.tripped = null;
+      e.state = {};
+      e.armedAt = new Date().toISOString();
+    });
+    return getEntry(accountId);
+  }
+
+  async function trip(accountId, breach) {
+    const tripped = { ...breach, at: new Date().toISOString(), actions: null };
+    store.update(data => { data.accounts[accountId].tripped = tripped; });
+    notify(accountId, 'guard.triggered', breach);
+
+    let actions;
+    try {
+      actions = await protect(accountId, tripped);
+    } catch (e) {
+      actions = errorBody(e);
+    }
+    store.update(data => {
+      if (data.accounts[accountId] && data.accounts[accountId].tripped) data.accounts[accountId].tripped.actions = actions;
+    });
+    return { ...tripped, actions };
+  }
+
+  /**
+   * Controleert één account. Geeft de (eventuele) trigger terug.
+   */
+  async function check(accountId) {
+    const entry = getEntry(accountId);
+    if (entry.tripped || running.has(accountId)) return { checked: false, tripped: entry.tripped };
+
+    running.add(accountId);
+    try {
+      const info = await connections.withConnection(accountId, c => c.getAccountInformation());
+      const { state, breach } = evaluateRules(entry.rules, entry.state, info);
+      store.update(data => {
+        if (data.accounts[accountId]) data.accounts[accountId].state = state;
+      });
+      if (!breach) return { checked: true, tripped: null, state };
+      return { checked: true, tripped: await trip(accountId, breach), state };
+    } finally {
+      running.delete(accountId);
+    }
+  }
+
+  async function tick() {
+    const ids = Object.values(store.get().accounts).filter(e => !e.tripped).map(e => e.accountId);
+    for (const id of ids) {
+      try {
+        await check(id);
+      } catch (e) {
+        store.update(data => {
+          if (data.accounts[id]) data.accounts[id].state = { ...data.accounts[id].state, lastError: e.message };
+        });
+      }
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => { tick().catch(() => {}); }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    list: () => Object.values(store.get().accounts),
+    get: getEntry,
+    setRules,
+    remove,
+    rearm,
+    check,
+    isTripped,
+    start,
+    stop
+  };
+}
+
+module.exports = { createGuard, evaluateRules, RULE_KEYS };
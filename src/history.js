@@ -0,0 +1,170 @@
+/**
+ * history.js — Deals en historische orders ophalen via de MetaApi RPC connectie
+ *
+ * Paginering gaat met een opaque cursor die per soort (deals/orders) de
+ * upstream offset bijhoudt. Omdat het symbool filter lokaal wordt toegepast
+ * wijst de offset naar het eerste nog niet bekeken upstream record.
+ *
+ * De CSV export is begrensd op CSV_MAX_ROWS; daarboven volgt een 422
+ * EXPORT_TOO_LARGE in plaats van een stilzwijgend afgekapt bestand. Cellen die
+ * met =, +, -, @, tab of CR beginnen krijgen een ' ervoor, zodat een spreadsheet
+ * broker comments of symbolen niet als formule uitvoert.
+ */
+
+const { toList } = require('./util');
+const { ApiError, badRequest } = require('./errors');
+
+const UPSTREAM_PAGE = 1000;        // max limit van de MetaApi history calls
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const CSV_MAX_ROWS = 50000;
+const DEFAULT_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const KINDS = {
+  deals: { fetch: (c, from, to, offset, limit) => c.getDealsByTimeRange(from, to, offset, limit), key: 'deals' },
+  orders: { fetch: (c, from, to, offset, limit) => c.getHistoryOrdersByTimeRange(from, to, offset, limit), key: 'historyOrders' }
+};
+
+const CSV_COLUMNS = {
+  deals: ['time', 'brokerTime', 'id', 'type', 'entryType', 'symbol', 'volume', 'price', 'profit', 'commission', 'swap',
+    'positionId', 'orderId', 'magic', 'comment'],
+  orders: ['doneTime', 'time', 'id', 'type', 'state', 'symbol', 'volume', 'currentVolume', 'openPrice', 'stopLoss',
+    'takeProfit', 'positionId', 'magic', 'comment']
+};
+
+function parseDate(v, field) {
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) throw badRequest(`${field} must be an ISO date`);
+  return d;
+}
+
+function encodeCursor(offsets) {
+  return Buffer.from(JSON.stringify(offsets)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const offsets = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof offsets !== 'object' || offsets === null) throw new Error();
+    return offsets;
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+}
+
+/**
+ * Normaliseert de query parameters van GET /api/history.
+ */
+function parseHistoryQuery(query = {}) {
+  const to = query.to ? parseDate(query.to, 'to') : new Date();
+  const from = query.from ? parseDate(query.from, 'from') : new Date(to.getTime() - DEFAULT_RANGE_MS);
+  if (from >= to) throw badRequest('from must be before to');
+
+  const format = query.format || 'json';
+  if (!['json', 'csv'].includes(format)) throw badRequest('format must be json or csv');
+
+  // CSV heeft één kolomset: standaard de deals
+  const type = query.type || (format === 'csv' ? 'deals' : 'all');
+  if (!['all', 'deals', 'orders'].includes(type)) throw badRequest('type must be all, deals or orders');
+  if (format === 'csv' && type === 'all') throw badRequest('csv export needs type deals or orders');
+
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw badRequest(`limit must be between 1 and ${MAX_LIMIT}`);
+
+  return {
+    from,
+    to,
+    kinds: type === 'all' ? ['deals', 'orders'] : [type],
+    symbols: toList(query.symbol || query.symbols),
+    limit,
+    offsets: query.cursor ? decodeCursor(query.cursor) : {},
+    format
+  };
+}
+
+/**
+ * Leest vanaf `offset` tot er `limit` records matchen of de range op is.
+ * @returns {Promise<{ items: object[], nextOffset: number|null, synchronizing: boolean }>}
+ */
+async function readPage(connection, kind, { from, to, symbols, limit }, offset) {
+  const { fetch, key } = KINDS[kind];
+  const items = [];
+  let synchronizing = false;
+
+  for (;;) {
+    const page = await fetch(connection, from, to, offset, UPSTREAM_PAGE);
+    const records = (page && page[key]) || [];
+    synchronizing = synchronizing || !!(page && page.synchronizing);
+
+    for (let i = 0; i < records.length; i++) {
+      if (symbols.length && !symbols.includes(records[i].symbol)) continue;
+      items.push(records[i]);
+      if (items.length === limit) {
+        const next = offset + i + 1;
+        // Precies aan het einde van een korte pagina: er komt niets meer
+        return { items, nextOffset: records.length < UPSTREAM_PAGE && i === records.length - 1 ? null : next, synchronizing };
+      }
+    }
+
+    if (records.length < UPSTREAM_PAGE) return { items, nextOffset: null, synchronizing };
+    offset += records.length;
+  }
+}
+
+/**
+ * Eén pagina history. Per soort in `kinds` komen maximaal `limit` records terug.
+ * `nextCursor` is null als alle soorten uitgelezen zijn.
+ */
+async function getHistoryPage(connection, opts) {
+  const result = { synchronizing: false };
+  const nextOffsets = {};
+
+  for (const kind of opts.kinds) {
+    const offset = opts.offsets[kind];
+    if (offset === null) {
+      // Deze soort was in een vorige pagina al klaar
+      result[kind] = [];
+      nextOffsets[kind] = null;
+      continue;
+    }
+    const page = await readPage(connection, kind, opts, Number(offset) || 0);
+    result[kind] = page.items;
+    result.synchronizing = result.synchronizing || page.synchronizing;
+    nextOffsets[kind] = page.nextOffset;
+  }
+
+  const more = Object.values(nextOffsets).some(o => o !== null);
+  result.nextCursor = more ? encodeCursor(nextOffsets) : null;
+  return result;
+}
+
+/**
+ * Alle records van één soort, per upstream pagina gelezen. Standaard begrensd
+ * op CSV_MAX_ROWS (CSV export); `maxRows: Infinity` leest alles (statistieken).
+ * Zijn er meer dan maxRows records, dan volgt EXPORT_TOO_LARGE.
+ */
+async function getAllHistory(connection, kind, opts, { maxRows = CSV_MAX_ROWS } = {}) {
+  const { items } = await readPage(connection, kind, { ...opts, limit: maxRows + 1 }, 0);
+  if (items.length > maxRows) {
+    throw new ApiError(422, 'EXPORT_TOO_LARGE',
+      `More than ${maxRows} ${kind} in this range; narrow from/to or filter by symbol`, { maxRows });
+  }
+  return items;
+}
+
+function csvCell(v) {
+  if (v === undefined || v === null) return '';
+  let s = v instanceof Date ? v.toISOString() : String(v);
+  // Getallen (negatieve profit) blijven getallen; tekst kan een formule zijn
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(kind, rows) {
+  const columns = CSV_COLUMNS[kind];
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseHistoryQuery, getHistoryPage, getAllHistory, toCsv, CSV_MAX_ROWS };
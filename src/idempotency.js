@@ -0,0 +1,129 @@
+/**
+ * idempotency.js — Idempotency-Key header voor POST routes
+ *
+ * De eerste response voor een key wordt bewaard (data/idempotency.json) en bij
+ * een herhaalde request met dezelfde key letterlijk teruggegeven, met de header
+ * `Idempotency-Replayed: true`. Keys zijn per API key: twee clients kunnen
+ * dezelfde waarde gebruiken zonder elkaars responses te zien.
+ *
+ *  - zelfde key, andere route of payload  → 422 IDEMPOTENCY_KEY_REUSED
+ *  - zelfde key terwijl de eerste loopt   → 409 IDEMPOTENCY_IN_PROGRESS
+ *  - alleen 2xx responses en validatiefouten (400 VALIDATION_ERROR of
+ *    INVALID_JSON) worden bewaard; die geven bij herhalen toch hetzelfde. Fouten
+ *    die van de huidige toestand afhangen (409 GUARD_TRIPPED, lock conflicten,
+ *    upstream fouten, 5xx, 429) niet, zodat een retry opnieuw uitvoert
+ *  - gevoelige velden (secret, token, ...) worden vóór het opslaan vervangen
+ *    door '[REDACTED]'; een replay van bv. POST /api/keys geeft het secret dus
+ *    niet opnieuw, maar maakt ook geen tweede key aan
+ *
+ * Verbreekt de client de verbinding, dan loopt de handler door en wordt zijn
+ * response alsnog bewaard voor de retry. Een key die na PENDING_TIMEOUT_MS nog
+ * geen response heeft geldt als verlaten en mag opnieuw uitgevoerd worden.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { ApiError, badRequest, sendError } = require('./errors');
+const { redact } = require('./logger');
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+// Fouten die alleen van de request afhangen; alle andere fouten worden niet bewaard
+const DETERMINISTIC_CODES = ['VALIDATION_ERROR', 'INVALID_JSON'];
+
+function replayable(status, code) {
+  if (status >= 200 && status < 300) return true;
+  return status === 400 && DETERMINISTIC_CODES.includes(code);
+}
+
+// JSON met gesorteerde object keys, zodat { a, b } en { b, a } gelijk hashen
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function fingerprint(req) {
+  return crypto.createHash('sha256').update(canonical(req.body || {})).digest('hex');
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.ttlMs]  hoe lang een key bewaard blijft (default 24 uur)
+ */
+function createIdempotency({ ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const store = createJsonStore('idempotency', () => ({ keys: {} }));
+
+  function prune(data, now) {
+    for (const [id, entry] of Object.entries(data.keys)) {
+      if (Date.parse(entry.createdAt) + ttlMs < now) delete data.keys[id];
+    }
+  }
+
+  function middleware(req, res, next) {
+    const key = req.get(HEADER);
+    if (key === undefined) return next();
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return sendError(res, badRequest(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`));
+    }
+
+    const id = `${(req.auth && req.auth.keyId) || 'anonymous'}:${key}`;
+    const request = { method: req.method, path: req.originalUrl, hash: fingerprint(req) };
+    const existing = store.get().keys[id];
+    const age = existing ? Date.now() - Date.parse(existing.createdAt) : Infinity;
+    const live = existing && age <= ttlMs && (existing.response || age <= PENDING_TIMEOUT_MS);
+
+    if (live) {
+      if (existing.method !== request.method || existing.path !== request.path || existing.hash !== request.hash) {
+        return sendError(res, new ApiError(422, 'IDEMPOTENCY_KEY_REUSED',
+          'Idempotency-Key was already used for a different request', { path: existing.path }));
+      }
+      if (!existing.response) {
+        return sendError(res, new ApiError(409, 'IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is still running'));
+      }
+      res.set('Idempotency-Replayed', 'true');
+      return res.status(existing.response.status).json(existing.response.body);
+    }
+
+    store.update(data => {
+      prune(data, Date.now());
+      data.keys[id] = { ...request, createdAt: new Date().toISOString(), response: null };
+    });
+
+    let settled = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+      const code = res.locals.error && res.locals.error.code;
+      const keep = replayable(res.statusCode, code);
+      store.update(data => {
+        if (!data.keys[id]) return;
+        if (keep) data.keys[id].response = { status: res.statusCode, body: body === undefined ? null : redact(body) };
+        else delete data.keys[id];
+      });
+    };
+
+    let body;
+    let aborted = false;
+    const json = res.json.bind(res);
+    res.json = b => {
+      body = b;
+      const result = json(b);
+      // Na een verbroken verbinding komt er geen 'finish' meer
+      if (aborted) settle();
+      return result;
+    };
+    res.on('finish', settle);
+    res.on('close', () => {
+      if (!res.writableFinished) aborted = true;
+    });
+    next();
+  }
+
+  return { middleware };
+}
+
+module.exports = { createIdempotency };
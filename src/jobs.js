@@ -0,0 +1,259 @@
+/**
+ * jobs.js — Job registry voor trage operaties (account linken, posities sluiten)
+ *
+ * Een job bestaat uit vaste stappen. De route start de job en geeft direct het
+ * job id terug; de voortgang is op te vragen via GET /api/jobs/:id.
+ *
+ * Jobs draaien in het proces dat ze startte, ná de 202 response. Dat vraagt
+ * een langlopend proces (`npm start`); serverless platforms bevriezen de
+ * functie na de response en worden niet ondersteund (zie config.js).
+ *
+ * Elke job staat in een eigen bestand data/jobs/<id>.json, zodat een poll op een
+ * andere instance (met dezelfde DATA_DIR) of na een herstart de job nog vindt.
+ * Alleen het proces dat de job uitvoert schrijft dat bestand, dus instances
+ * overschrijven elkaars jobs niet. Dat proces ververst elke HEARTBEAT_MS
+ * `heartbeatAt`; een lopende job zonder recente heartbeat is gestopt en wordt
+ * als failed (JOB_ABANDONED) getoond.
+ *
+ * Job statussen:  running → succeeded | failed
+ * Stap statussen: pending → running → done | failed | skipped
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./store');
+const { log, currentRequestId } = require('./logger');
+
+const JOB_TTL_MS = 60 * 60 * 1000; // afgeronde jobs blijven een uur op te vragen
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_MS = 3 * HEARTBEAT_MS;
+const DIR = dataPath('jobs');
+const JOB_ID = /^[\w-]{1,64}$/;
+
+const running = new Map();   // jobs die in dit proces lopen
+const finishListeners = new Set();
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Extra context van een fout: stepError details of de upstream response
+function errorDetails(e) {
+  if (e.details !== undefined) return e.details;
+  if (typeof e.toJSON === 'function') return e.toJSON();
+  return undefined;
+}
+
+// Foutcode voor job.error, zelfde codes als de HTTP fouten (zie errors.js)
+function errorCode(e) {
+  return (e && typeof e.code === 'string' && e.code) || 'JOB_STEP_FAILED';
+}
+
+const fileFor = id => path.join(DIR, `${id}.json`);
+
+function readJob(id) {
+  try {
+    return JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT' && !(e instanceof SyntaxError)) throw e;
+    return null;
+  }
+}
+
+function storedJobs() {
+  let files = [];
+  try {
+    files = fs.readdirSync(DIR).filter(f => f.endsWith('.json'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  return files.map(f => readJob(f.slice(0, -'.json'.length))).filter(Boolean);
+}
+
+// Atomair (tmp + rename). Een mislukte schrijfactie stopt de job niet; hij loopt in dit proces door
+function persist(job) {
+  job.heartbeatAt = now();
+  try {
+    fs.mkdirSync(DIR, { recursive: true });
+    const tmp = `${fileFor(job.id)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(job));
+    fs.renameSync(tmp, fileFor(job.id));
+  } catch (e) {
+    log.error('job not saved', { jobId: job.id, error: e.message });
+  }
+}
+
+// Lopende job van een proces dat gestopt is
+function abandoned(job) {
+  if (job.status !== 'running' || running.has(job.id)) return false;
+  return Date.now() - Date.parse(job.heartbeatAt || job.updatedAt) > STALE_MS;
+}
+
+function view(job) {
+  if (!abandoned(job)) return job;
+  return {
+    ...job,
+    status: 'failed',
+    error: { step: job.currentStep, code: 'JOB_ABANDONED', message: 'The process running this job stopped before it finished' }
+  };
+}
+
+function sweep() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const job of storedJobs()) {
+    if (Date.parse(job.finishedAt || (abandoned(job) && job.heartbeatAt) || now()) < cutoff) {
+      fs.rmSync(fileFor(job.id), { force: true });
+    }
+  }
+}
+
+/**
+ * Start een job op de achtergrond.
+ *
+ * @param {string} type        bv. 'link-account'
+ * @param {string[]} steps     namen van de stappen, in volgorde
+ * @param {(ctx) => Promise<any>} run  voert de stappen uit via ctx.step / ctx.skip
+ * @param {object} [opts]
+ * @param {object} [opts.meta]  vrije metadata (accountId e.d.), ook aanpasbaar vanuit run
+ * @param {(job) => Promise<any>} [opts.cleanup]  wordt aangeroepen als de job faalt
+ * @returns {object} de job (zelfde object als in de registry)
+ */
+function startJob(type, steps, run, { meta = {}, cleanup } = {}) {
+  sweep();
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'running',
+    currentStep: null,
+    steps: steps.map(name => ({ name, status: 'pending' })),
+    meta,
+    result: null,
+    error: null,
+    cleanup: null,
+    // Request die de job startte, ook terug te vinden in de logs
+    requestId: currentRequestId() || null,
+    createdAt: now(),
+    updatedAt: now(),
+    heartbeatAt: now(),
+    finishedAt: null
+  };
+  running.set(job.id, job);
+  persist(job);
+  const heartbeat = setInterval(() => persist(job), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  const findStep = name => {
+    const step = job.steps.find(s => s.name === name);
+    if (!step) throw new Error(`Unknown step '${name}' for job type ${type}`);
+    return step;
+  };
+
+  const ctx = {
+    job,
+    meta,
+
+    // Voert één stap uit; de return value komt als `detail` in de stap te staan
+    async step(name, fn) {
+      const step = findStep(name);
+      step.status = 'running';
+      step.startedAt = now();
+      job.currentStep = name;
+      job.updatedAt = now();
+      persist(job);
+      try {
+        const detail = await fn();
+        step.status = 'done';
+        if (detail !== undefined) step.detail = detail;
+        return detail;
+      } catch (e) {
+        step.status = 'failed';
+        step.error = String(e.message || e);
+        const details = errorDetails(e);
+        if (details !== undefined) step.details = details;
+        throw e;
+      } finally {
+        step.finishedAt = now();
+        job.updatedAt = now();
+        persist(job);
+      }
+    },
+
+    skip(name, reason) {
+      const step = findStep(name);
+      step.status = 'skipped';
+      if (reason) step.detail = reason;
+      job.updatedAt = now();
+      persist(job);
+    }
+  };
+
+  (async () => {
+    try {
+      job.result = await run(ctx);
+      job.status = 'succeeded';
+    } catch (e) {
+      job.status = 'failed';
+      job.error = { step: job.currentStep, code: errorCode(e), message: String(e.message || e) };
+      const details = errorDetails(e);
+      if (details !== undefined) job.error.details = details;
+
+      if (cleanup) {
+        try {
+          job.cleanup = { ok: true, result: await cleanup(job) };
+        } catch (cleanupErr) {
+          job.cleanup = { ok: false, error: String(cleanupErr.message || cleanupErr) };
+        }
+      }
+    } finally {
+      clearInterval(heartbeat);
+      job.currentStep = null;
+      job.finishedAt = now();
+      job.updatedAt = now();
+      persist(job);
+      running.delete(job.id);
+      log[job.status === 'failed' ? 'warn' : 'info']('job finished', {
+        jobId: job.id, type, status: job.status, ...(job.error ? { step: job.error.step, code: job.error.code } : {})
+      });
+      for (const listener of finishListeners) {
+        try { listener(job); } catch (e) { log.warn('job listener error', { jobId: job.id, error: e.message }); }
+      }
+    }
+  })();
+
+  return job;
+}
+
+function getJob(id) {
+  sweep();
+  const job = running.get(id) || (JOB_ID.test(String(id)) ? readJob(id) : null);
+  return job ? view(job) : null;
+}
+
+function listJobs({ type, accountId } = {}) {
+  sweep();
+  const all = { ...Object.fromEntries(storedJobs().map(j => [j.id, j])), ...Object.fromEntries(running) };
+  return Object.values(all)
+    .map(view)
+    .filter(j => (!type || j.type === type) && (!accountId || j.meta.accountId === accountId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Registreert `listener(job)` voor elke job die klaar is (succeeded of failed).
+ * @returns {() => void} afmelden
+ */
+function onJobFinished(listener) {
+  finishListeners.add(listener);
+  return () => finishListeners.delete(listener);
+}
+
+// Error met extra context die in de job/stap terechtkomt
+function stepError(message, details) {
+  const e = new Error(message);
+  e.details = details;
+  return e;
+}
+
+module.exports = { startJob, getJob, listJobs, onJobFinished, stepError };
@@ -0,0 +1,93 @@
+/**
+ * locks.js — Eén muterende operatie tegelijk per account
+ *
+ * `run(accountId, operation, fn)` wacht maximaal `waitMs` tot een lopende
+ * operatie op hetzelfde account klaar is en geeft anders 409
+ * OPERATION_IN_PROGRESS. Wachtende operaties komen in volgorde aan de beurt.
+ *
+ * Locks zijn reentrant binnen dezelfde async keten: stopCopy mag unsubscribe
+ * en closeAccountPositions aanroepen, die zelf ook een lock nemen.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { ApiError } = require('./errors');
+
+function conflict(accountId, holder) {
+  return new ApiError(409, 'OPERATION_IN_PROGRESS',
+    `Another operation (${holder.operation}) is in progress for account ${accountId}`,
+    { accountId, operation: holder.operation, since: new Date(holder.since).toISOString() });
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.waitMs]  default wachttijd op een bezette lock
+ */
+function createAccountLocks({ waitMs = 5000 } = {}) {
+  const held = new Map();   // accountId -> { operation, since, waiters: [] }
+  const context = new AsyncLocalStorage();
+
+  function acquire(accountId, operation, maxWaitMs) {
+    const holder = held.get(accountId);
+    if (!holder) {
+      held.set(accountId, { operation, since: Date.now(), waiters: [] });
+      return Promise.resolve();
+    }
+    if (maxWaitMs <= 0) return Promise.reject(conflict(accountId, holder));
+
+    return new Promise((resolve, reject) => {
+      const waiter = { operation, resolve };
+      waiter.timer = setTimeout(() => {
+        holder.waiters.splice(holder.waiters.indexOf(waiter), 1);
+        reject(conflict(accountId, holder));
+      }, maxWaitMs);
+      holder.waiters.push(waiter);
+    });
+  }
+
+  function release(accountId) {
+    const holder = held.get(accountId);
+    if (!holder) return;
+    const next = holder.waiters.shift();
+    if (!next) {
+      held.delete(accountId);
+      return;
+    }
+    clearTimeout(next.timer);
+    holder.operation = next.operation;
+    holder.since = Date.now();
+    next.resolve();
+  }
+
+  /**
+   * @param {string} accountId
+   * @param {string} operation        naam voor de foutmelding, bv. 'copy-start'
+   * @param {() => Promise<any>} fn
+   * @param {object} [opts]
+   * @param {number} [opts.waitMs]    afwijkende wachttijd (bv. langer voor de guard)
+   */
+  async function run(accountId, operation, fn, opts = {}) {
+    const mine = context.getStore();
+    if (mine && mine.has(accountId)) return fn();
+
+    await acquire(accountId, operation, opts.waitMs ?? waitMs);
+    try {
+      return await context.run(new Set([...(mine || []), accountId]), fn);
+    } finally {
+      release(accountId);
+    }
+  }
+
+  function stats() {
+    const now = Date.now();
+    return [...held.entries()].map(([accountId, h]) => ({
+      accountId,
+      operation: h.operation,
+      heldMs: now - h.since,
+      waiting: h.waiters.map(w => w.operation)
+    }));
+  }
+
+  return { run, stats };
+}
+
+module.exports = { createAccountLocks };
@@ -0,0 +1,126 @@
+/**
+ * logger.js — Gestructureerde JSON logs met request ids
+ *
+ * Elke log is één regel JSON op stdout: { time, level, msg, requestId?, ...fields }.
+ * Binnen een request (zie requestTracking) komt de request id vanzelf mee, ook in
+ * logs van jobs en upstream calls die vanuit die request starten. Velden met een
+ * gevoelige naam (password, token, secret, apiKey, authorization, cookie,
+ * internal key) worden op elk niveau vervangen door '[REDACTED]'. Dezelfde
+ * `redact` wordt gebruikt voor het audit log en bewaarde idempotency responses.
+ *
+ * Niveau via LOG_LEVEL: debug | info | warn | error (default info).
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SENSITIVE = /password|pass$|token|secret|api-?key|authorization|cookie|internal-?key/i;
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+let minLevel = LEVELS.info;
+
+function setLogLevel(level) {
+  if (!LEVELS[level]) throw new Error(`Unknown log level ${level}`);
+  minLevel = LEVELS[level];
+}
+
+// Request id van de lopende request (of van de request die een job startte)
+function currentRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.requestId : undefined;
+}
+
+function serializeError(e, depth) {
+  return {
+    name: e.name,
+    message: e.message,
+    ...(e.code !== undefined ? { code: e.code } : {}),
+    ...(e.status !== undefined ? { status: e.status } : {}),
+    ...(e.details !== undefined ? { details: redact(e.details, depth + 1) } : {}),
+    stack: e.stack
+  };
+}
+
+/**
+ * Kopie van `value` met gevoelige velden vervangen door '[REDACTED]'.
+ */
+function redact(value, depth = 0) {
+  if (depth > MAX_DEPTH) return '[Truncated]';
+  if (value instanceof Error) return serializeError(value, depth);
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') return redact(value.toJSON(), depth + 1);
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SENSITIVE.test(k) && v !== null && v !== undefined && typeof v !== 'boolean' ? '[REDACTED]' : redact(v, depth + 1);
+    }
+    return out;
+  }
+  return value;
+}
+
+function createLogger(bindings = {}) {
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < minLevel) return;
+    const requestId = currentRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(requestId ? { requestId } : {}),
+      ...redact({ ...bindings, ...fields })
+    };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch {
+      line = JSON.stringify({ time: entry.time, level, msg, requestId, note: 'fields not serializable' });
+    }
+    process.stdout.write(`${line}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const log = createLogger();
+
+/**
+ * Express middleware: request id uit de X-Request-Id header (of een nieuwe),
+ * terug in de response header, en één access log per request met status en duur.
+ * Fouten via sendError komen mee als `code` en `error` (res.locals.error).
+ */
+function requestTracking() {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    const start = process.hrtime.bigint();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      requestContext.run({ requestId }, () => log[level]('request', {
+        method: req.method,
+        path: req.path,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        keyId: req.auth ? req.auth.keyId : undefined,
+        ...(res.locals.error || {})
+      }));
+    });
+    requestContext.run({ requestId }, next);
+  };
+}
+
+module.exports = { log, createLogger, redact, requestTracking, requestContext, currentRequestId, setLogLevel, LEVELS };
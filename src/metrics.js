@@ -0,0 +1,158 @@
+/**
+ * metrics.js — Prometheus metrics in het text exposition format
+ *
+ * Modules maken hun metrics één keer aan (counter, histogram, gauge) en de
+ * service serveert ze op GET /metrics. Labels zijn vaste namen per metric; houd
+ * de waarden begrensd (route templates, geen account ids).
+ *
+ * Gauges hebben een collect functie die pas bij het uitlezen wordt aangeroepen.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map();
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function labelValues(labelNames, labels = {}) {
+  return labelNames.map(n => (labels[n] === undefined || labels[n] === null ? '' : labels[n]));
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ */
+function counter(name, help, labelNames = []) {
+  const series = new Map();   // key -> { values, value }
+  return register({
+    name,
+    inc(labels, n = 1) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const s = series.get(key) || { values, value: 0 };
+      s.value += n;
+      series.set(key, s);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const s of series.values()) lines.push(`${name}${formatLabels(labelNames, s.values)} ${s.value}`);
+      return lines;
+    }
+  });
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets]   bovengrenzen in seconden
+ */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();   // key -> { values, counts, sum, count }
+  const metric = register({
+    name,
+    observe(labels, seconds) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      let s = series.get(key);
+      if (!s) {
+        s = { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+      s.sum += seconds;
+      s.count++;
+    },
+    // Geeft een functie terug die de verstreken tijd vastlegt
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extra = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        metric.observe({ ...labels, ...extra }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const s of series.values()) {
+        buckets.forEach((b, i) => lines.push(`${name}_bucket${formatLabels(labelNames, s.values, `le="${b}"`)} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels(labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, s.values)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, s.values)} ${s.count}`);
+      }
+      return lines;
+    }
+  });
+  return metric;
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} labelNames
+ * @param {() => Array<{ labels?: object, value: number }>} collect
+ */
+function gauge(name, help, labelNames, collect) {
+  return register({
+    name,
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      let samples = [];
+      try {
+        samples = collect() || [];
+      } catch {
+        samples = [];
+      }
+      for (const { labels, value } of samples) {
+        lines.push(`${name}${formatLabels(labelNames, labelValues(labelNames, labels))} ${value}`);
+      }
+      return lines;
+    }
+  });
+}
+
+function render() {
+  return `${[...registry.values()].flatMap(m => m.render()).join('\n')}\n`;
+}
+
+// ---------- Gedeelde metrics ----------
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+const waitTimeouts = counter('metaapi_wait_timeouts_total', 'Timeouts while waiting for an account to connect, synchronize or change state', ['wait']);
+
+/**
+ * Express middleware voor http_requests_total en http_request_duration_seconds.
+ * Onbekende routes tellen als route "unmatched", zodat het aantal series begrensd blijft.
+ */
+function httpMetrics() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  };
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { counter, histogram, gauge, render, httpMetrics, waitTimeouts, CONTENT_TYPE };
@@ -0,0 +1,287 @@
+/**
+ * mock/metaapi.js — In-process stand-in voor de MetaApi provisioning en CopyFactory API's
+ *
+ * Imiteert de account-, strategy- en subscriber-endpoints die de service gebruikt,
+ * zodat de hele service offline te draaien en te testen is. Provisioning en
+ * CopyFactory (en MetaStats) draaien op dezelfde server voor alle regio's; zet
+ * de base URLs op de mock:
+ *
+ *   METAAPI_PROVISIONING_URL=http://localhost:4010 COPYFACTORY_URL=http://localhost:4010 \
+ *   METASTATS_URL=http://localhost:4010
+ *
+ * Gebruik in-process:
+ *   const { startMockServer } = require('./mock/metaapi');
+ *   const mock = await startMockServer({ token: 'test' });
+ *   mock.url; mock.state; mock.failNext('GET', /strategies/, 503); await mock.close();
+ *   mock.addStopout(subscriberId, strategyId, 'daily-equity');
+ *
+ * Of los:  npm run mock   (poort via MOCK_PORT, token via METAAPI_TOKEN)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { log } = require('../logger');
+
+function createState() {
+  return { accounts: new Map(), strategies: new Map(), subscribers: new Map(), stopouts: [], calls: [] };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.token]           verwacht auth-token; leeg = elke token
+ * @param {number} [opts.connectDelayMs]  tijd tussen deploy en CONNECTED
+ */
+function createMockApp({ token = '', connectDelayMs = 50 } = {}) {
+  const state = createState();
+  const faults = [];
+  const app = express();
+  app.use(express.json());
+
+  // Call log + auth + fault injection
+  app.use((req, res, next) => {
+    state.calls.push({ method: req.method, path: req.path, body: req.body });
+    if (token && req.headers['auth-token'] !== token) {
+      return res.status(401).json({ id: 1, error: 'UnauthorizedError', message: 'Invalid auth-token' });
+    }
+    const fault = faults.find(f => f.times > 0 && f.method === req.method && f.path.test(req.path));
+    if (fault) {
+      fault.times--;
+      return res.status(fault.status).json({ error: 'MockFault', message: `Injected ${fault.status}` });
+    }
+    next();
+  });
+
+  const notFound = (res, what) => res.status(404).json({ error: 'NotFoundError', message: `${what} not found` });
+
+  // ---------- Provisioning: accounts ----------
+
+  app.get('/users/current/accounts', (req, res) => {
+    const limit = Number(req.query.limit) || 1000;
+    const offset = Number(req.query.offset) || 0;
+    res.json([...state.accounts.values()].slice(offset, offset + limit));
+  });
+
+  app.post('/users/current/accounts', (req, res) => {
+    const { login, server, password } = req.body || {};
+    if (!login || !server || !password) {
+      return res.status(400).json({ error: 'ValidationError', message: 'login, server and password are required' });
+    }
+    const id = crypto.randomUUID();
+    const { password: _pw, ...rest } = req.body;
+    state.accounts.set(id, {
+      ...rest,
+      _id: id,
+      id,
+      state: 'UNDEPLOYED',
+      connectionStatus: 'DISCONNECTED',
+      copyFactoryRoles: rest.copyFactoryRoles || []
+    });
+    res.status(201).json({ id, state: 'UNDEPLOYED' });
+  });
+
+  const withAccount = handler => (req, res) => {
+    const acc = state.accounts.get(req.params.id);
+    if (!acc) return notFound(res, 'Account');
+    return handler(acc, req, res);
+  };
+
+  app.get('/users/current/accounts/:id', withAccount((acc, _req, res) => res.json(acc)));
+
+  app.put('/users/current/accounts/:id', withAccount((acc, req, res) => {
+    const { name, server, password, ...rest } = req.body || {};
+    if (name) acc.name = name;
+    if (server) acc.server = server;
+    Object.assign(acc, rest);
+    res.sendStatus(204);
+  }));
+
+  app.delete('/users/current/accounts/:id', withAccount((acc, _req, res) => {
+    state.accounts.delete(acc.id);
+    state.subscribers.delete(acc.id);
+    res.sendStatus(204);
+  }));
+
+  function deploy(acc) {
+    acc.state = 'DEPLOYING';
+    setTimeout(() => {
+      if (acc.state !== 'DEPLOYING') return;
+      acc.state = 'DEPLOYED';
+      acc.connectionStatus = 'CONNECTED';
+    }, connectDelayMs).unref();
+  }
+
+  function undeploy(acc) {
+    acc.state = 'UNDEPLOYING';
+    setTimeout(() => {
+      if (acc.state !== 'UNDEPLOYING') return;
+      acc.state = 'UNDEPLOYED';
+      acc.connectionStatus = 'DISCONNECTED';
+    }, connectDelayMs).unref();
+  }
+
+  app.post('/users/current/accounts/:id/deploy', withAccount((acc, _req, res) => {
+    deploy(acc);
+    res.sendStatus(204);
+  }));
+
+  app.post('/users/current/accounts/:id/undeploy', withAccount((acc, _req, res) => {
+    undeploy(acc);
+    res.sendStatus(204);
+  }));
+
+  app.post('/users/current/accounts/:id/redeploy', withAccount((acc, _req, res) => {
+    deploy(acc);
+    res.sendStatus(204);
+  }));
+
+  app.post('/users/current/accounts/:id/enable-copy-factory-api', withAccount((acc, req, res) => {
+    const roles = (req.body && req.body.copyFactoryRoles) || [];
+    acc.copyFactoryRoles = [...new Set([...(acc.copyFactoryRoles || []), ...roles])];
+    acc.copyFactoryResourceSlots = (req.body && req.body.copyFactoryResourceSlots) || 1;
+    res.sendStatus(204);
+  }));
+
+  app.post('/users/current/accounts/:id/enable-account-features', withAccount((acc, req, res) => {
+    Object.assign(acc, req.body || {});
+    res.sendStatus(204);
+  }));
+
+  // MetaStats staat in de mock nooit aan: de service valt terug op eigen berekening
+  app.get('/users/current/accounts/:id/metrics', withAccount((_acc, _req, res) => notFound(res, 'Metrics')));
+
+  // ---------- CopyFactory: strategies ----------
+
+  app.get('/users/current/configuration/unused-strategy-id', (_req, res) => {
+    res.json({ id: crypto.randomBytes(2).toString('hex') });
+  });
+
+  app.get('/users/current/configuration/strategies', (_req, res) => {
+    res.json([...state.strategies.values()]);
+  });
+
+  app.post('/users/current/configuration/strategies', (req, res) => {
+    const { name, accountId } = req.body || {};
+    if (!name || !accountId) {
+      return res.status(400).json({ error: 'ValidationError', message: 'name and accountId are required' });
+    }
+    const id = crypto.randomBytes(2).toString('hex');
+    const strategy = { ...req.body, _id: id };
+    state.strategies.set(id, strategy);
+    res.json(strategy);
+  });
+
+  app.get('/users/current/configuration/strategies/:id', (req, res) => {
+    const strategy = state.strategies.get(req.params.id);
+    if (!strategy) return notFound(res, 'Strategy');
+    res.json(strategy);
+  });
+
+  app.put('/users/current/configuration/strategies/:id', (req, res) => {
+    state.strategies.set(req.params.id, { ...req.body, _id: req.params.id });
+    res.sendStatus(204);
+  });
+
+  app.delete('/users/current/configuration/strategies/:id', (req, res) => {
+    if (!state.strategies.delete(req.params.id)) return notFound(res, 'Strategy');
+    res.sendStatus(204);
+  });
+
+  // ---------- CopyFactory: subscribers ----------
+
+  app.get('/users/current/configuration/subscribers', (_req, res) => {
+    res.json([...state.subscribers.values()]);
+  });
+
+  app.get('/users/current/configuration/subscribers/:id', (req, res) => {
+    const sub = state.subscribers.get(req.params.id);
+    if (!sub) return notFound(res, 'Subscriber');
+    res.json(sub);
+  });
+
+  app.put('/users/current/configuration/subscribers/:id', (req, res) => {
+    const { subscriptions = [] } = req.body || {};
+    const unknown = subscriptions.find(s => !state.strategies.has(s.strategyId));
+    if (unknown) {
+      return res.status(400).json({ error: 'ValidationError', message: `Strategy ${unknown.strategyId} not found` });
+    }
+    state.subscribers.set(req.params.id, { ...req.body, _id: req.params.id });
+    res.sendStatus(204);
+  });
+
+  app.delete('/users/current/configuration/subscribers/:id', (req, res) => {
+    if (!state.subscribers.delete(req.params.id)) return notFound(res, 'Subscriber');
+    res.sendStatus(204);
+  });
+
+  app.post('/users/current/subscribers/:id/resynchronize', (req, res) => {
+    if (!state.subscribers.has(req.params.id)) return notFound(res, 'Subscriber');
+    res.sendStatus(204);
+  });
+
+  // ---------- CopyFactory: stopouts ----------
+
+  app.get('/users/current/subscribers/:id/stopouts', (req, res) => {
+    res.json(state.stopouts.filter(s => s.subscriberId === req.params.id));
+  });
+
+  app.post('/users/current/subscribers/:id/subscription-strategies/:strategyId/stopouts/:reason/reset', (req, res) => {
+    const { id, strategyId, reason } = req.params;
+    state.stopouts = state.stopouts.filter(s =>
+      !(s.subscriberId === id && s.strategy.id === strategyId && s.reason === reason));
+    res.sendStatus(204);
+  });
+
+  return {
+    app,
+    state,
+    addStopout(subscriberId, strategyId, reason = 'daily-equity') {
+      const stopout = {
+        subscriberId,
+        strategy: { id: strategyId, name: (state.strategies.get(strategyId) || {}).name },
+        reason,
+        reasonDescription: `Mock stopout (${reason})`,
+        closePositions: false,
+        stoppedAt: new Date().toISOString(),
+        stoppedTill: new Date(Date.now() + 24 * 3600 * 1000).toISOString()
+      };
+      state.stopouts.push(stopout);
+      return stopout;
+    },
+    // Laat de volgende `times` requests die matchen falen met `status`
+    failNext(method, path, status = 503, times = 1) {
+      faults.push({ method, path: path instanceof RegExp ? path : new RegExp(path), status, times });
+    },
+    reset() {
+      const fresh = createState();
+      Object.keys(fresh).forEach(k => { state[k] = fresh[k]; });
+      faults.length = 0;
+    }
+  };
+}
+
+/**
+ * Start de mock op een (willekeurige) poort.
+ * @returns {Promise<{ url: string, state: object, failNext: Function, reset: Function, close: () => Promise<void> }>}
+ */
+function startMockServer({ port = 0, ...opts } = {}) {
+  const mock = createMockApp(opts);
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, () => {
+      resolve({
+        ...mock,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { createMockApp, startMockServer };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_PORT) || 4010;
+  startMockServer({ port, token: process.env.METAAPI_TOKEN || '' }).then(mock => {
+    log.info('mock started', { url: mock.url });
+  });
+}
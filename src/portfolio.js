@@ -0,0 +1,97 @@
+/**
+ * portfolio.js — Overzicht over alle gekoppelde accounts
+ *
+ * Puur: de aanroeper haalt de accounts, live gegevens en subscriptions op,
+ * hier worden ze samengevoegd tot één rij per account en totalen.
+ *
+ * Totalen staan in één rapportagevaluta. Per account:
+ *  - accountvaluta gelijk aan de rapportagevaluta: ongewijzigd
+ *  - baseCurrency gelijk aan de rapportagevaluta: maal accountCurrencyExchangeRate
+ *    (koers van de accountvaluta naar de base currency, uit de account informatie)
+ *  - anders niet om te rekenen; het account staat dan in `unconverted`
+ * Offline accounts (geen live gegevens) tellen niet mee in de bedragen.
+ */
+
+const { netProfit } = require('./positions');
+
+const round = v => (v === null || !Number.isFinite(v) ? null : Number(v.toFixed(2)));
+
+// Factor van de accountvaluta naar `currency`, of null als dat niet kan
+function conversionRate(row, currency) {
+  if (!row.currency) return null;
+  if (row.currency === currency) return 1;
+  const rate = Number(row.exchangeRate);
+  if (row.baseCurrency === currency && Number.isFinite(rate) && rate > 0) return rate;
+  return null;
+}
+
+/**
+ * @param {object} account          provisioning account
+ * @param {object} live
+ * @param {object} [live.info]      account informatie (leeg = offline)
+ * @param {object[]} [live.positions]
+ * @param {string} [live.source]    'stream' | 'rpc'
+ * @param {object} [live.error]     errorBody van de mislukte poging
+ * @param {string[]} [strategyIds]  actieve subscriptions van het account
+ */
+function accountRow(account, { info, positions = [], source = null, error = null } = {}, strategyIds = []) {
+  const online = !!info;
+  return {
+    accountId: account._id || account.id,
+    name: account.name || null,
+    login: account.login || null,
+    server: account.server || null,
+    region: account.region || null,
+    tags: account.tags || [],
+    state: account.state || null,
+    connectionStatus: account.connectionStatus || null,
+    online,
+    source: online ? source : null,
+    currency: (online && info.currency) || account.brokerAccountCurrency || null,
+    baseCurrency: account.baseCurrency || null,
+    exchangeRate: online && info.accountCurrencyExchangeRate !== undefined ? info.accountCurrencyExchangeRate : null,
+    balance: online ? round(info.balance) : null,
+    equity: online ? round(info.equity) : null,
+    openProfit: online ? round(positions.reduce((sum, p) => sum + netProfit(p), 0)) : null,
+    positions: online ? positions.length : null,
+    strategies: strategyIds,
+    error: online ? null : error
+  };
+}
+
+/**
+ * Totalen in `currency` over de rijen uit accountRow.
+ */
+function portfolioTotals(rows, currency) {
+  const totals = {
+    currency,
+    accounts: rows.length,
+    online: 0,
+    offline: 0,
+    balance: 0,
+    equity: 0,
+    openProfit: 0,
+    positions: 0,
+    unconverted: []
+  };
+  for (const row of rows) {
+    if (!row.online) {
+      totals.offline++;
+      continue;
+    }
+    totals.online++;
+    totals.positions += row.positions;
+    const rate = conversionRate(row, currency);
+    if (rate === null) {
+      totals.unconverted.push(row.accountId);
+      continue;
+    }
+    totals.balance += row.balance * rate;
+    totals.equity += row.equity * rate;
+    totals.openProfit += row.openProfit * rate;
+  }
+  for (const key of ['balance', 'equity', 'openProfit']) totals[key] = round(totals[key]);
+  return totals;
+}
+
+module.exports = { accountRow, portfolioTotals, conversionRate };
@@ -0,0 +1,206 @@
+/**
+ * positions.js — Selecteren en (gedeeltelijk) sluiten van open posities
+ *
+ * Werkt op een RPC connectie uit de connection manager. Filters:
+ *  - symbols      ['EURUSD', ...] of 'EURUSD,GBPUSD'
+ *  - side         'buy' | 'sell'
+ *  - magic        nummer of lijst van nummers
+ *  - comment      deel van het position comment (bv. CopyFactory strategy id)
+ *  - profitState  'profit' | 'loss'
+ *  - positionIds  expliciete lijst van position ids
+ *
+ * Gedeeltelijk sluiten via `volume` (lots per positie) of `fraction` (0-1).
+ * Een gedeeltelijke close die minder dan minVolume laat staan wordt
+ * overgeslagen met een reden; hij wordt nooit stilzwijgend een volledige close.
+ */
+
+const { mapWithConcurrency, toList } = require('./util');
+const { badRequest } = require('./errors');
+
+const SIDES = { buy: 'POSITION_TYPE_BUY', sell: 'POSITION_TYPE_SELL' };
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 20;
+
+/**
+ * Normaliseert en valideert de filter/close opties uit een request body.
+ */
+function parseCloseOptions(body = {}) {
+  const symbols = toList(body.symbols || body.symbol);
+  const magic = toList(body.magic).map(Number);
+  const positionIds = toList(body.positionIds).map(String);
+
+  if (body.side !== undefined && !SIDES[body.side]) throw badRequest(`side must be one of: ${Object.keys(SIDES).join(', ')}`);
+  if (body.profitState !== undefined && !['profit', 'loss'].includes(body.profitState)) {
+    throw badRequest('profitState must be profit or loss');
+  }
+  if (magic.some(Number.isNaN)) throw badRequest('magic must be numeric');
+  if (body.volume !== undefined && body.fraction !== undefined) throw badRequest('use either volume or fraction, not both');
+  if (body.volume !== undefined && !(Number(body.volume) > 0)) throw badRequest('volume must be a positive number');
+  if (body.fraction !== undefined && !(Number(body.fraction) > 0 && Number(body.fraction) <= 1)) {
+    throw badRequest('fraction must be between 0 and 1');
+  }
+
+  const concurrency = Math.min(Math.max(Number(body.concurrency) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+
+  return {
+    filters: {
+      symbols,
+      side: body.side,
+      magic,
+      comment: body.comment ? String(body.comment) : undefined,
+      profitState: body.profitState,
+      positionIds
+    },
+    volume: body.volume !== undefined ? Number(body.volume) : undefined,
+    fraction: body.fraction !== undefined ? Number(body.fraction) : undefined,
+    concurrency,
+    dryRun: !!body.dryRun
+  };
+}
+
+function netProfit(p) {
+  return (p.profit || 0) + (p.swap || 0) + (p.commission || 0);
+}
+
+function matches(p, f) {
+  if (f.positionIds.length && !f.positionIds.includes(String(p.id))) return false;
+  if (f.symbols.length && !f.symbols.includes(p.symbol)) return false;
+  if (f.side && p.type !== SIDES[f.side]) return false;
+  if (f.magic.length && !f.magic.includes(Number(p.magic))) return false;
+  if (f.comment && !String(p.comment || '').toLowerCase().includes(f.comment.toLowerCase())) return false;
+  if (f.profitState === 'profit' && !(netProfit(p) > 0)) return false;
+  if (f.profitState === 'loss' && !(netProfit(p) < 0)) return false;
+  return true;
+}
+
+function selectPositions(positions, filters) {
+  return positions.filter(p => matches(p, filters));
+}
+
+// Rondt af naar beneden op de volume step van het symbool
+function roundToStep(volume, step) {
+  if (!step) return Math.floor(volume * 100) / 100;
+  const decimals = (String(step).split('.')[1] || '').length;
+  return Number((Math.floor(volume / step + 1e-9) * step).toFixed(decimals));
+}
+
+/**
+ * Bepaalt per positie welk volume gesloten wordt. Zonder volume/fraction is
+ * dat de hele positie.
+ */
+async function planCloses(connection, positions, { volume, fraction }) {
+  const specs = new Map();
+  const specFor = symbol => {
+    if (!specs.has(symbol)) {
+      specs.set(symbol, connection.getSymbolSpecification(symbol).catch(() => null));
+    }
+    return specs.get(symbol);
+  };
+
+  return Promise.all(positions.map(async p => {
+    const plan = {
+      positionId: String(p.id),
+      symbol: p.symbol,
+      type: p.type,
+      magic: p.magic,
+      comment: p.comment,
+      volume: p.volume,
+      closeVolume: p.volume,
+      partial: false,
+      profit: netProfit(p)
+    };
+    if (volume === undefined && fraction === undefined) return plan;
+
+    const spec = await specFor(p.symbol);
+    const wanted = volume !== undefined ? volume : p.volume * fraction;
+    const rounded = roundToStep(Math.min(wanted, p.volume), spec && spec.volumeStep);
+
+    if (rounded >= p.volume) return plan;
+    if (rounded <= 0 || (spec && rounded < spec.minVolume)) {
+      return { ...plan, closeVolume: 0, skipped: `volume ${wanted} below minimum ${spec ? spec.minVolume : 'step'}` };
+    }
+    // Restpositie moet zelf ook minimaal minVolume zijn
+    const remaining = Number((p.volume - rounded).toFixed(8));
+    if (spec && remaining < spec.minVolume) {
+      return {
+        ...plan,
+        closeVolume: 0,
+        skipped: `remaining volume ${remaining} would be below minimum ${spec.minVolume}; ` +
+          'close the whole position or a smaller part'
+      };
+    }
+    return { ...plan, closeVolume: rounded, partial: true };
+  }));
+}
+
+/**
+ * Zoekt de gerealiseerde P/L van een close op via de deals van de positie.
+ * Valt terug op een schatting op basis van de open P/L.
+ */
+async function realizedProfitFor(connection, plan, response) {
+  const estimate = plan.profit * (plan.closeVolume / plan.volume);
+  try {
+    const { deals = [] } = await connection.getDealsByPosition(plan.positionId);
+    const out = deals.filter(d => d.entryType !== 'DEAL_ENTRY_IN' &&
+      (!response || !response.orderId || String(d.orderId) === String(response.orderId)));
+    if (!out.length) return { realizedProfit: estimate, realizedProfitEstimated: true };
+    return { realizedProfit: out.reduce((sum, d) => sum + netProfit(d), 0), realizedProfitEstimated: false };
+  } catch {
+    return { realizedProfit: estimate, realizedProfitEstimated: true };
+  }
+}
+
+/**
+ * Sluit de geselecteerde posities parallel (max `concurrency` tegelijk).
+ *
+ * @returns {Promise<object>} { ok, dryRun?, closedCount, failedCount, totalPositions, realizedProfit, results }
+ */
+async function closePositions(connection, options) {
+  const { filters, concurrency, dryRun } = options;
+  const all = await connection.getPositions();
+  const selected = selectPositions(all, filters);
+  const plans = await planCloses(connection, selected, options);
+
+  if (dryRun) {
+    return { ok: true, dryRun: true, totalPositions: selected.length, openPositions: all.length, positions: plans };
+  }
+
+  const results = await mapWithConcurrency(plans, concurrency, async plan => {
+    const base = { positionId: plan.positionId, symbol: plan.symbol, volume: plan.volume };
+    if (plan.skipped) return { ...base, success: false, skipped: true, error: plan.skipped };
+    try {
+      const response = plan.partial
+        ? await connection.closePositionPartially(plan.positionId, plan.closeVolume, {})
+        : await connection.closePosition(plan.positionId, {});
+      return {
+        ...base,
+        success: true,
+        closedVolume: plan.closeVolume,
+        partial: plan.partial,
+        stringCode: response && response.stringCode,
+        numericCode: response && response.numericCode,
+        ...(await realizedProfitFor(connection, plan, response))
+      };
+    } catch (err) {
+      return {
+        ...base,
+        success: false,
+        error: err.message,
+        stringCode: err.stringCode,
+        numericCode: err.numericCode
+      };
+    }
+  });
+
+  const closed = results.filter(r => r.success);
+  return {
+    ok: true,
+    closedCount: closed.length,
+    failedCount: results.length - closed.length,
+    totalPositions: selected.length,
+    realizedProfit: Number(closed.reduce((sum, r) => sum + r.realizedProfit, 0).toFixed(2)),
+    results
+  };
+}
+
+module.exports = { parseCloseOptions, selectPositions, planCloses, closePositions, netProfit };
@@ -0,0 +1,98 @@
+/**
+ * ratelimit.js — Rate limits per API key en per account
+ *
+ * Token buckets: elke key en elk account heeft `limit` requests per
+ * `windowMs`, die geleidelijk weer aanvullen. Een request telt mee voor de
+ * key én voor elk account waar hij op werkt. Bij overschrijding volgt 429
+ * RATE_LIMITED met Retry-After. Limit 0 zet die scope uit.
+ */
+
+const { ApiError, sendError } = require('./errors');
+const { requestAccountIds } = require('./util');
+
+function createBuckets(limit, windowMs) {
+  const buckets = new Map();
+  const ratePerMs = limit / windowMs;
+
+  function refill(id, now) {
+    const b = buckets.get(id) || { tokens: limit, at: now };
+    b.tokens = Math.min(limit, b.tokens + (now - b.at) * ratePerMs);
+    b.at = now;
+    buckets.set(id, b);
+    return b;
+  }
+
+  return {
+    limit,
+    // Geeft de wachttijd in ms terug als er geen token meer is, anders 0
+    peek(id, now) {
+      const b = refill(id, now);
+      return b.tokens >= 1 ? 0 : Math.ceil((1 - b.tokens) / ratePerMs);
+    },
+    take(id) {
+      buckets.get(id).tokens -= 1;
+    },
+    remaining(id) {
+      return Math.floor(buckets.get(id).tokens);
+    },
+    // Volle buckets zijn gelijk aan geen bucket
+    sweep(now) {
+      for (const [id, b] of buckets) {
+        if (b.tokens + (now - b.at) * ratePerMs >= limit) buckets.delete(id);
+      }
+    }
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {number} opts.perKey       requests per window per API key (0 = uit)
+ * @param {number} opts.perAccount   requests per window per account (0 = uit)
+ * @param {number} [opts.windowMs]
+ */
+function createRateLimiter({ perKey, perAccount, windowMs = 60 * 1000 }) {
+  const keys = perKey > 0 ? createBuckets(perKey, windowMs) : null;
+  const accounts = perAccount > 0 ? createBuckets(perAccount, windowMs) : null;
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    if (keys) keys.sweep(now);
+    if (accounts) accounts.sweep(now);
+  }, windowMs);
+  timer.unref();
+
+  function limited(res, scope, id, limit, waitMs) {
+    res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+    return sendError(res, new ApiError(429, 'RATE_LIMITED', `Rate limit of ${limit} requests per ${windowMs / 1000}s exceeded for ${scope} ${id}`, {
+      scope, id, limit, windowMs, retryAfterMs: waitMs
+    }));
+  }
+
+  function middleware(req, res, next) {
+    const now = Date.now();
+    const keyId = (req.auth && req.auth.keyId) || req.ip;
+    const accountIds = accounts ? requestAccountIds(req) : [];
+
+    // Eerst alles controleren, dan pas tokens afnemen: een geweigerde request kost niets
+    if (keys) {
+      const wait = keys.peek(keyId, now);
+      if (wait) return limited(res, 'key', (req.auth && req.auth.name) || keyId, keys.limit, wait);
+    }
+    for (const id of accountIds) {
+      const wait = accounts.peek(id, now);
+      if (wait) return limited(res, 'account', id, accounts.limit, wait);
+    }
+
+    if (keys) {
+      keys.take(keyId);
+      res.set('RateLimit-Limit', String(keys.limit));
+      res.set('RateLimit-Remaining', String(keys.remaining(keyId)));
+    }
+    for (const id of accountIds) accounts.take(id);
+    next();
+  }
+
+  return { middleware };
+}
+
+module.exports = { createRateLimiter };
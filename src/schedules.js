@@ -0,0 +1,344 @@
+/**
+ * schedules.js — Geplande pauzes in copy trading (weekend, rollover, nieuws)
+ *
+ * Een schedule heeft twee cron expressies (zie cron.js) in zijn eigen tijdzone:
+ * `pause` start het pauzevenster, `resume` beëindigt het. Het doel is één
+ * account (alle subscriptions, of alleen `strategyId`) of één strategy (die
+ * subscription bij al zijn subscribers).
+ *
+ * Pauzeren en hervatten zelf gebeurt via de callbacks uit server.js; de
+ * weggehaalde subscriptions worden in het schedule bewaard, zodat hervatten
+ * precies die instellingen terugzet. Met `closePositions` worden bij de pauze
+ * ook de open posities gesloten, anders blijven ze staan.
+ *
+ * Een monitor bepaalt elke `intervalMs` de gewenste status uit de laatste
+ * grens in het verleden; een gemiste grens (bv. tijdens een herstart) wordt zo
+ * ingehaald. Een handmatige override geldt tot de volgende grens. Een
+ * uitgeschakeld schedule hoort niet te pauzeren: staat het op pauze, dan wordt
+ * copy trading hervat. Accounts waarvoor pauzeren of hervatten mislukte staan
+ * in `state.failed` en worden na RETRY_MS opnieuw geprobeerd. Elke uitvoering
+ * komt in de history (laatste 50). Opslag in data/schedules.json.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { ApiError, badRequest, errorBody } = require('./errors');
+const { parseCron, nextRun, previousRun, assertTimezone } = require('./cron');
+const { log } = require('./logger');
+
+const STATUSES = ['active', 'paused'];
+const MAX_HISTORY = 50;
+const RETRY_MS = 5 * 60 * 1000;
+
+const scheduleNotFound = () => new ApiError(404, 'SCHEDULE_NOT_FOUND', 'Schedule not found');
+
+/**
+ * Controleert en normaliseert de velden van een schedule. Bij een update
+ * worden de bestaande waarden aangevuld met `body`.
+ */
+function parseSchedule(body = {}, existing = {}) {
+  const s = { ...existing };
+  for (const key of ['name', 'accountId', 'strategyId', 'timezone', 'pause', 'resume']) {
+    if (body[key] !== undefined) s[key] = body[key] === null ? null : String(body[key]).trim();
+  }
+  for (const key of ['closePositions', 'enabled']) {
+    if (body[key] !== undefined) s[key] = !!body[key];
+  }
+  s.timezone = s.timezone || 'UTC';
+  s.closePositions = !!s.closePositions;
+  s.enabled = s.enabled !== false;
+
+  if (!s.accountId && !s.strategyId) throw badRequest('Provide accountId, strategyId or both');
+  if (!s.pause || !s.resume) throw badRequest('pause and resume cron expressions are required');
+  assertTimezone(s.timezone);
+  const pause = parseCron(s.pause);
+  const resume = parseCron(s.resume);
+  if (pause.expr === resume.expr) throw badRequest('pause and resume must differ');
+  for (const [field, cron] of [['pause', pause], ['resume', resume]]) {
+    if (!nextRun(cron, s.timezone)) throw badRequest(`${field} "${cron.expr}" never fires`);
+  }
+  s.pause = pause.expr;
+  s.resume = resume.expr;
+  return s;
+}
+
+/**
+ * Gewenste status op `now` volgens de cron expressies (zonder override), en
+ * wanneer de volgende grens valt.
+ */
+function windowAt(schedule, now = Date.now()) {
+  const pause = parseCron(schedule.pause);
+  const resume = parseCron(schedule.resume);
+  const lastPause = previousRun(pause, schedule.timezone, now);
+  const lastResume = previousRun(resume, schedule.timezone, now);
+  const paused = !!lastPause && (!lastResume || lastPause > lastResume);
+  const nextPause = nextRun(pause, schedule.timezone, now);
+  const nextResume = nextRun(resume, schedule.timezone, now);
+  const next = [nextPause, nextResume].filter(Boolean).sort((a, b) => a - b)[0] || null;
+  return {
+    status: paused ? 'paused' : 'active',
+    since: (paused ? lastPause : lastResume) || null,
+    nextPauseAt: nextPause,
+    nextResumeAt: nextResume,
+    nextBoundaryAt: next
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {(schedule: object, opts: { accountIds?: string[] }) => Promise<{ saved: object, failed: string[], result: any }>} opts.pause
+ *        pauzeert copy trading (alleen `accountIds` bij een retry); `saved` is
+ *        { accountId: subscriptions[] }, `failed` de accounts die niet lukten
+ * @param {(schedule: object, saved: object) => Promise<{ failed: object, result: any }>} opts.resume
+ *        zet de bewaarde subscriptions terug; `failed` zijn de accounts die niet lukten
+ * @param {number} [opts.intervalMs]
+ */
+function createSchedules({ pause, resume, intervalMs = 30000 }) {
+  const store = createJsonStore('schedules', () => ({ schedules: {} }));
+  const running = new Set();
+  let timer = null;
+
+  function getEntry(id) {
+    const entry = store.get().schedules[id];
+    if (!entry) throw scheduleNotFound();
+    return entry;
+  }
+
+  // Schedule met de berekende vensters, voor de API
+  function view(entry, now = Date.now()) {
+    const w = windowAt(entry, now);
+    const iso = d => (d ? d.toISOString() : null);
+    return {
+      ...entry,
+      window: {
+        status: w.status,
+        since: iso(w.since),
+        nextPauseAt: iso(w.nextPauseAt),
+        nextResumeAt: iso(w.nextResumeAt)
+      }
+    };
+  }
+
+  function create(body, by) {
+    const fields = parseSchedule(body);
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      name: fields.name || null,
+      accountId: fields.accountId || null,
+      strategyId: fields.strategyId || null,
+      timezone: fields.timezone,
+      pause: fields.pause,
+      resume: fields.resume,
+      closePositions: fields.closePositions,
+      enabled: fields.enabled,
+      override: null,
+      // Copy trading loopt bij het aanmaken; een lopend venster pauzeert bij de eerste tick
+      state: { status: 'active', saved: null, failed: [], lastRunAt: null, lastError: null, lastAttemptAt: null },
+      history: [],
+      createdBy: by || null,
+      createdAt: now,
+      updatedAt: now
+    };
+    store.update(data => { data.schedules[entry.id] = entry; });
+    return view(entry);
+  }
+
+  function update(id, body) {
+    let result;
+    store.update(data => {
+      const entry = data.schedules[id];
+      if (!entry) throw scheduleNotFound();
+      if ((body.accountId !== undefined && body.accountId !== entry.accountId)
+        || (body.strategyId !== undefined && body.strategyId !== entry.strategyId)) {
+        throw badRequest('accountId and strategyId cannot change; create a new schedule');
+      }
+      const fields = parseSchedule(body, entry);
+      Object.assign(entry, {
+        name: fields.name || null,
+        timezone: fields.timezone,
+        pause: fields.pause,
+        resume: fields.resume,
+        closePositions: fields.closePositions,
+        enabled: fields.enabled,
+        updatedAt: new Date().toISOString()
+      });
+      result = entry;
+    });
+    return view(result);
+  }
+
+  /**
+   * Verwijdert het schedule. Staat copy trading op pauze, dan worden de
+   * bewaarde subscriptions eerst teruggezet (tenzij `keepPaused`); lukt dat
+   * niet, dan blijft het schedule staan.
+   */
+  async function remove(id, { keepPaused = false } = {}) {
+    const entry = getEntry(id);
+    if (running.has(id)) throw new ApiError(409, 'SCHEDULE_RUNNING', 'Schedule is executing; try again shortly');
+
+    let resumed = null;
+    if (entry.state.saved && !keepPaused) {
+      running.add(id);
+      try {
+        const { failed, result } = await resume(entry, entry.state.saved);
+        if (Object.keys(failed || {}).length) {
+          throw new ApiError(409, 'SCHEDULE_RESUME_FAILED', 'Could not restore the paused subscriptions; schedule kept', { result });
+        }
+        resumed = result;
+      } finally {
+        running.delete(id);
+      }
+    }
+    store.update(data => { delete data.schedules[id]; });
+    return { removed: view(entry), resumed };
+  }
+
+  /**
+   * Handmatige override tot de volgende grens van het schedule, bv. toch
+   * doorhandelen tijdens een nieuwsvenster. Wordt bij de volgende check uitgevoerd.
+   */
+  function setOverride(id, status, by) {
+    if (!STATUSES.includes(status)) throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    const entry = getEntry(id);
+    const { nextBoundaryAt } = windowAt(entry);
+    store.update(data => {
+      data.schedules[id].override = {
+        status,
+        until: nextBoundaryAt ? nextBoundaryAt.toISOString() : null,
+        by: by || null,
+        at: new Date().toISOString()
+      };
+      data.schedules[id].state.lastAttemptAt = null;
+    });
+    return view(getEntry(id));
+  }
+
+  function clearOverride(id) {
+    getEntry(id);
+    store.update(data => {
+      data.schedules[id].override = null;
+      data.schedules[id].state.lastAttemptAt = null;
+    });
+    return view(getEntry(id));
+  }
+
+  function record(id, item, state) {
+    store.update(data => {
+      const entry = data.schedules[id];
+      if (!entry) return;
+      entry.state = { ...entry.state, ...state };
+      entry.history = [...entry.history, item].slice(-MAX_HISTORY);
+    });
+  }
+
+  // Status na een (deels) gelukte uitvoering; mislukte accounts wachten RETRY_MS
+  function outcome(item, failed) {
+    return {
+      failed,
+      lastRunAt: item.at,
+      lastError: failed.length ? `${item.action === 'pause' ? 'Pause' : 'Resume'} failed for ${failed.join(', ')}` : null,
+      lastAttemptAt: failed.length ? Date.now() : null
+    };
+  }
+
+  /**
+   * Voert de pauze of hervatting uit. Met `retry` alleen voor de accounts uit
+   * state.failed; de status zelf is dan al bereikt.
+   */
+  async function transition(entry, to, trigger, { retry = false } = {}) {
+    const item = { at: new Date().toISOString(), action: to === 'paused' ? 'pause' : 'resume', trigger: retry ? 'retry' : trigger };
+    try {
+      if (to === 'paused') {
+        const { saved, failed = [], result } = await pause(entry, retry ? { accountIds: entry.state.failed } : {});
+        record(entry.id, { ...item, ok: !failed.length, failed, result }, {
+          status: 'paused', saved: { ...(entry.state.saved || {}), ...saved }, ...outcome(item, failed)
+        });
+      } else {
+        const { failed, result } = await resume(entry, entry.state.saved || {});
+        const pending = Object.keys(failed || {}).length ? failed : null;
+        const failedIds = Object.keys(pending || {});
+        record(entry.id, { ...item, ok: !pending, failed: failedIds, result }, {
+          status: 'active', saved: pending, ...outcome(item, failedIds)
+        });
+      }
+      log.info('schedule executed', { scheduleId: entry.id, action: item.action, trigger });
+    } catch (e) {
+      const error = errorBody(e);
+      record(entry.id, { ...item, ok: false, error }, { lastError: error.error, lastAttemptAt: Date.now() });
+      log.warn('schedule failed', { scheduleId: entry.id, action: item.action, trigger, error: error.error });
+    }
+  }
+
+  /**
+   * Brengt één schedule in de gewenste status, of probeert de mislukte
+   * accounts opnieuw. Een mislukte poging wordt pas na RETRY_MS herhaald
+   * (tenzij `force`).
+   */
+  async function check(id, { force = false } = {}) {
+    let entry = getEntry(id);
+    if (running.has(id)) return { checked: false, reason: 'running', schedule: view(entry) };
+
+    const now = Date.now();
+    if (entry.override && entry.override.until && Date.parse(entry.override.until) <= now) {
+      store.update(data => { if (data.schedules[id]) data.schedules[id].override = null; });
+      entry = getEntry(id);
+    }
+    const desired = !entry.enabled ? 'active' : entry.override ? entry.override.status : windowAt(entry, now).status;
+    const retry = desired === entry.state.status && (entry.state.failed || []).length > 0;
+    if (desired === entry.state.status && !retry) {
+      return entry.enabled
+        ? { checked: true, changed: false, schedule: view(entry) }
+        : { checked: false, reason: 'disabled', schedule: view(entry) };
+    }
+    if (!force && entry.state.lastAttemptAt && now - entry.state.lastAttemptAt < RETRY_MS) {
+      return { checked: false, reason: 'retry-wait', schedule: view(entry) };
+    }
+
+    running.add(id);
+    try {
+      const trigger = !entry.enabled ? 'disabled' : entry.override ? 'override' : 'schedule';
+      await transition(entry, desired, trigger, { retry });
+    } finally {
+      running.delete(id);
+    }
+    return { checked: true, changed: true, schedule: view(getEntry(id)) };
+  }
+
+  async function tick() {
+    for (const id of Object.keys(store.get().schedules)) {
+      try {
+        await check(id);
+      } catch (e) {
+        log.warn('schedule check failed', { scheduleId: id, error: e.message });
+      }
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => { tick().catch(() => {}); }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    list: () => Object.values(store.get().schedules).map(e => view(e)),
+    get: id => view(getEntry(id)),
+    create,
+    update,
+    remove,
+    setOverride,
+    clearOverride,
+    check,
+    tick,
+    start,
+    stop
+  };
+}
+
+module.exports = { createSchedules, parseSchedule, windowAt, STATUSES };
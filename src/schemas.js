@@ -0,0 +1,287 @@
+/**
+ * schemas.js — JSON schemas voor request bodies en query strings
+ *
+ * Gebruikt door api.js voor validatie en voor het OpenAPI document. De schemas
+ * controleren vorm en types; inhoudelijke checks (bestaat de strategy, past
+ * het volume) blijven in de handlers.
+ */
+
+const { EVENTS } = require('./webhooks');
+const { RULE_KEYS } = require('./guard');
+
+const str = (description, extra = {}) => ({ type: 'string', minLength: 1, ...(description ? { description } : {}), ...extra });
+const bool = description => ({ type: 'boolean', ...(description ? { description } : {}) });
+const positive = description => ({ type: 'number', exclusiveMinimum: 0, ...(description ? { description } : {}) });
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+
+// Array van strings of een komma-gescheiden string
+const stringList = description => ({
+  anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string', minLength: 1 } }],
+  ...(description ? { description } : {})
+});
+const integerList = description => ({
+  anyOf: [{ type: 'string' }, { type: 'integer' }, { type: 'array', items: { type: ['integer', 'string'] } }],
+  ...(description ? { description } : {})
+});
+
+const accountId = str('MetaApi account id');
+const asyncFlag = bool('Run as a background job and return a jobId (202)');
+
+const body = (properties, required = []) => ({ properties, required });
+const query = (properties, required = []) => ({ properties, required });
+
+// ---------- Subscriptions ----------
+
+const subscriptionFields = {
+  strategyId: str('CopyFactory strategy id'),
+  strategy: str('Strategy id, name or code'),
+  multiplier: positive('Trade size multiplier'),
+  scalingMode: { type: 'string', enum: ['fixedVolume', 'balance', 'equity', 'contractSize'] },
+  tradeVolume: positive('Required for scalingMode fixedVolume'),
+  maxTradeRisk: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+  includeSymbols: stringList(),
+  excludeSymbols: stringList(),
+  symbolMapping: {
+    description: 'Array of { from, to } or an object { FROM: "TO" }',
+    anyOf: [
+      { type: 'array', items: { type: 'object', required: ['from', 'to'], properties: { from: str(), to: str() } } },
+      { type: 'object', additionalProperties: { type: 'string', minLength: 1 } }
+    ]
+  }
+};
+
+const subscriptionList = {
+  type: 'array',
+  minItems: 1,
+  items: { type: 'object', properties: subscriptionFields },
+  description: 'Multiple subscriptions; without it the subscription fields are read from the body itself'
+};
+
+// ---------- Positions ----------
+
+const closeFields = {
+  symbols: stringList('Only positions in these symbols'),
+  symbol: stringList(),
+  side: { type: 'string', enum: ['buy', 'sell'] },
+  magic: integerList('Only positions with these magic numbers'),
+  comment: { type: 'string', description: 'Case-insensitive substring of the position comment' },
+  profitState: { type: 'string', enum: ['profit', 'loss'] },
+  positionIds: stringList(),
+  volume: positive('Lots to close per position; skipped if the rest would fall below minVolume'),
+  fraction: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Part of each position to close' },
+  concurrency: { type: 'integer', minimum: 1, maximum: 20 },
+  dryRun: bool('Only return what would be closed')
+};
+
+// ---------- Trading ----------
+
+const price = description => positive(description);
+const stopLevel = description => nullable(positive(`${description}; null removes it`));
+
+// ---------- Bulk ----------
+
+const bulkFields = {
+  accountIds: stringList('Target accounts (array or comma separated)'),
+  subscribersOf: str('Target all subscribers of this strategy (id, name or code)'),
+  concurrency: { type: 'integer', minimum: 1, maximum: 20, description: 'Accounts processed in parallel (default 5)' },
+  async: asyncFlag
+};
+
+// ---------- Strategies ----------
+
+const strategyUpdate = body({
+  name: str(),
+  description: nullable({ type: 'string' }),
+  riskLimits: nullable({ type: ['object', 'array'] }),
+  maxTradeRisk: nullable({ type: 'number', exclusiveMinimum: 0, maximum: 1 }),
+  includeSymbols: nullable(stringList()),
+  excludeSymbols: nullable(stringList()),
+  includeMagics: nullable(integerList()),
+  excludeMagics: nullable(integerList())
+});
+
+// ---------- Keys, webhooks, guard ----------
+
+const keyFields = {
+  name: str(),
+  role: { type: 'string', enum: ['read', 'trader', 'admin'] },
+  accounts: nullable({ type: 'array', minItems: 1, items: str() }),
+  expiresAt: nullable({ type: 'string', description: 'ISO date' })
+};
+
+const webhookFields = {
+  url: str('http(s) URL that receives the POST'),
+  events: { type: 'array', minItems: 1, items: { type: 'string', enum: EVENTS } }
+};
+
+const guardRules = body(Object.fromEntries(RULE_KEYS.map(k => [k, positive()])));
+guardRules.properties.maxDrawdownPct = { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 100 };
+
+// ---------- Schedules ----------
+
+const cron = description => str(`5-field cron expression (minute hour day month weekday), ${description}`);
+const scheduleFields = {
+  name: nullable(str()),
+  timezone: str('IANA timezone, default UTC'),
+  pause: cron('start of the pause window, e.g. "0 22 * * FRI"'),
+  resume: cron('end of the pause window, e.g. "0 23 * * SUN"'),
+  closePositions: bool('Close all open positions of the account when the pause starts'),
+  enabled: bool()
+};
+
+module.exports = {
+  linkAccount: body({
+    brokerServer: str('Broker server name'),
+    login: { anyOf: [str(), { type: 'integer' }] },
+    password: str(),
+    dryRun: bool('Create and deploy, then delete the account again'),
+    baseCurrency: str(),
+    copyFactoryRoles: { type: 'array', items: { type: 'string', enum: ['SUBSCRIBER', 'PROVIDER'] } },
+    platform: { type: 'string', enum: ['mt4', 'mt5'] },
+    region: str('MetaApi region, default METAAPI_REGION', { pattern: '^[a-z0-9][a-z0-9-]*$' }),
+    application: str()
+  }, ['brokerServer', 'login', 'password']),
+
+  createKey: body(keyFields, ['name']),
+  updateKey: body(keyFields),
+
+  listWebhooks: query({ accountId }),
+  createWebhook: body({ accountId, ...webhookFields, secret: str('Own signing secret (generated when omitted)') }, ['accountId', 'url', 'events']),
+  updateWebhook: body({ ...webhookFields, active: bool() }),
+  listDeliveries: query({ limit: { type: 'integer', minimum: 1, maximum: 500 } }),
+
+  guardRules,
+
+  listJobs: query({ type: str(), accountId }),
+
+  listAccounts: query({
+    state: str(),
+    limit: { type: 'integer', minimum: 1 },
+    offset: { type: 'integer', minimum: 0 },
+    query: str()
+  }),
+  renameAccount: body({ name: str() }, ['name']),
+  changePassword: body({ password: str(), type: { type: 'string', enum: ['master', 'investor'] } }, ['password']),
+
+  accountQuery: query({ id: accountId }, ['id']),
+  portfolio: query({
+    strategy: str('Only accounts subscribed to this strategy (id, name or code)'),
+    tag: str('Only accounts with this tag'),
+    currency: str('Reporting currency for the totals, default REPORTING_CURRENCY', { pattern: '^[A-Za-z]{3}$' })
+  }),
+  equityCurve: query({
+    id: accountId,
+    from: str('ISO date, default 7 days before to'),
+    to: str('ISO date, default now'),
+    interval: { type: 'string', enum: ['auto', 'raw', '1m', '5m', '15m', '1h', '4h', '1d'], description: 'Bucket size (default auto)' }
+  }, ['id']),
+  stream: query({
+    id: accountId,
+    events: stringList('Only these event types (default all)'),
+    apiKey: str('API key, for EventSource clients that cannot set headers')
+  }, ['id']),
+  history: query({
+    id: accountId,
+    from: str('ISO date, default 30 days before to'),
+    to: str('ISO date, default now'),
+    symbol: stringList(),
+    type: { type: 'string', enum: ['all', 'deals', 'orders'] },
+    format: { type: 'string', enum: ['json', 'csv'] },
+    limit: { type: 'integer', minimum: 1, maximum: 1000 },
+    cursor: str('nextCursor of the previous page')
+  }, ['id']),
+
+  enableSubscriber: body({ accountId }, ['accountId']),
+  createStrategy: body({
+    name: str(),
+    accountId,
+    description: { type: 'string' },
+    riskLimits: { type: ['object', 'array'] }
+  }, ['name', 'accountId']),
+  strategyUpdate,
+  deleteStrategy: query({ force: bool('Unsubscribe attached subscribers first') }),
+
+  configureSubscriber: {
+    ...body({ accountId, ...subscriptionFields, subscriptions: subscriptionList, replace: bool() }, ['accountId']),
+    anyOf: [{ required: ['strategyId'] }, { required: ['subscriptions'] }]
+  },
+  copyStart: body({
+    accountId,
+    ...subscriptionFields,
+    subscriptions: subscriptionList,
+    mirrorOpenTrades: bool('Resynchronize so open provider trades are copied (default true)')
+  }, ['accountId']),
+  copyStop: body({
+    accountId,
+    strategy: str('Only remove this strategy'),
+    closePositions: bool('Default true when no strategy is given'),
+    async: asyncFlag
+  }, ['accountId']),
+  closeAll: body({ accountId, async: asyncFlag }, ['accountId']),
+  closePositions: body({ accountId, ...closeFields, async: asyncFlag }, ['accountId']),
+
+  listOrders: query({ accountId }, ['accountId']),
+  placeOrder: body({
+    accountId,
+    symbol: str(),
+    side: { type: 'string', enum: ['buy', 'sell'] },
+    type: { type: 'string', enum: ['market', 'limit', 'stop', 'stopLimit'], description: 'Default market' },
+    volume: positive('Lots; checked against minVolume, maxVolume and volumeStep of the symbol'),
+    openPrice: price('Required for pending orders'),
+    stopLimitPrice: price('Required for stopLimit orders'),
+    stopLoss: price('Stop loss price'),
+    takeProfit: price('Take profit price'),
+    comment: { type: 'string' },
+    clientId: str(),
+    magic: { type: 'integer' },
+    expiration: str('ISO date, pending orders only')
+  }, ['accountId', 'symbol', 'side', 'volume']),
+  modifyOrder: body({
+    accountId,
+    openPrice: price(),
+    stopLoss: stopLevel('Stop loss price'),
+    takeProfit: stopLevel('Take profit price')
+  }, ['accountId']),
+  cancelOrder: query({ accountId }, ['accountId']),
+  modifyPosition: body({
+    accountId,
+    stopLoss: stopLevel('Stop loss price'),
+    takeProfit: stopLevel('Take profit price')
+  }, ['accountId']),
+  closePosition: body({ accountId, volume: positive('Lots to close; default the whole position') }, ['accountId']),
+
+  bulkCopyStart: body({ ...bulkFields, ...subscriptionFields, subscriptions: subscriptionList, mirrorOpenTrades: bool() }),
+  bulkCopyStop: body({
+    ...bulkFields,
+    strategy: str('Only remove this strategy; default the subscribersOf strategy'),
+    closePositions: bool('Close all open positions of each account; default false')
+  }),
+  bulkCloseAll: body(bulkFields),
+
+  diagnose: query({ accountId, strategy: str() }, ['accountId']),
+  stopouts: query({ accountId }, ['accountId']),
+  resetStopouts: body({
+    accountId,
+    strategy: str('Only stopouts of this strategy (id, name or code)'),
+    reason: str('Only stopouts with this reason, e.g. "daily-equity"')
+  }, ['accountId']),
+
+  listSchedules: query({ accountId, strategyId: str() }),
+  createSchedule: body({
+    accountId,
+    strategy: str('Strategy id, name or code; without accountId the schedule applies to all its subscribers'),
+    ...scheduleFields
+  }, ['pause', 'resume']),
+  updateSchedule: body(scheduleFields),
+  deleteSchedule: query({ keepPaused: bool('Leave copying paused instead of restoring the subscriptions') }),
+  scheduleOverride: body({ status: { type: 'string', enum: ['active', 'paused'] } }, ['status']),
+
+  audit: query({
+    accountId,
+    keyId: str('API key id of the caller'),
+    action: str('Action prefix, e.g. "POST /api/copy" or "job.finished"'),
+    from: str('ISO date'),
+    to: str('ISO date'),
+    limit: { type: 'integer', minimum: 1, maximum: 1000 }
+  })
+};
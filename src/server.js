@@ -3,53 +3,121 @@
  * server.js — Complete MetaApi + CopyFactory service met statistieken en positie management
  *
  * Endpoints:
- *  - GET  /api/health
- *  - POST /api/link-account
+ *  - GET  /api/health, /api/health/live, /api/health/ready
+ *  - GET  /metrics                        [Prometheus metrics]
+ *  - POST /api/link-account             [async: geeft een jobId terug]
+ *  - GET  /api/accounts, /api/accounts/:id
+ *  - POST /api/accounts/:id/deploy | undeploy | redeploy | rename | password
+ *  - DELETE /api/accounts/:id
  *  - GET  /api/account-metrics?id=<metaapiAccountId>
- *  - GET  /api/account-statistics?id=<metaapiAccountId>  [NIEUW]
+ *  - GET  /api/stream?id=<metaapiAccountId>  [live events als Server-Sent Events]
+ *  - GET  /api/account-statistics?id=<metaapiAccountId>  [MetaStats of berekend uit deals]
+ *  - GET  /api/account-equity-curve?id=&from=&to=&interval=  [balance/equity samples]
+ *  - GET  /api/portfolio?strategy=&tag=&currency=  [alle accounts met totalen]
+ *  - GET  /api/history?id=&from=&to=&symbol=&cursor=&format=csv
  *  - POST /api/copy/enable-subscriber
- *  - POST /api/subscriber/configure
+ *  - POST /api/subscriber/configure      [merge van meerdere subscriptions]
  *  - POST /api/strategy/create
- *  - POST /api/copy/start
- *  - POST /api/copy/stop                  [UITGEBREID met positie sluiting]
- *  - GET  /api/copy/diagnose
- *  - POST /api/positions/close-all        [NIEUW]
+ *  - GET  /api/strategies, GET|PUT|DELETE /api/strategies/:id
+ *  - POST /api/copy/start                 [per-subscription scaling/filters]
+ *  - POST /api/copy/stop                  [UITGEBREID met positie sluiting, per strategy]
+ *  - GET  /api/copy/diagnose             [checks met findings en suggested fix]
+ *  - GET  /api/copy/stopouts, POST /api/copy/stopouts/reset
+ *  - POST /api/positions/close-all        [NIEUW, optioneel async]
+ *  - POST /api/positions/close            [filters, gedeeltelijk sluiten, dryRun]
+ *  - GET|POST /api/orders, PUT|DELETE /api/orders/:orderId   [handmatig handelen]
+ *  - PUT /api/positions/:positionId, POST /api/positions/:positionId/close
+ *  - POST /api/bulk/copy/start | copy/stop | positions/close-all  [meerdere accounts]
+ *  - GET  /api/jobs, /api/jobs/:id        [voortgang van async operaties]
+ *  - GET  /api/connections                [gedeelde SDK connecties]
+ *  - GET|POST /api/keys, PUT|DELETE /api/keys/:id, POST /api/keys/:id/rotate
+ *  - GET|POST /api/webhooks, GET|PUT|DELETE /api/webhooks/:id, deliveries, test
+ *  - GET /api/guard, GET|PUT|DELETE /api/guard/:accountId, POST rearm | check
+ *  - GET|POST /api/schedules, GET|PUT|DELETE /api/schedules/:id, POST|DELETE override, POST check
+ *  - GET  /api/openapi.json               [OpenAPI 3.1 document van alle routes]
+ *  - GET  /api/audit                      [audit log van muterende operaties]
+ *
+ * Alle routes behalve /api/health en /api/openapi.json vereisen een API key met
+ * de juiste rol (read / trader / admin), zie src/auth.js.
+ *
+ * POST routes accepteren een Idempotency-Key header (zie src/idempotency.js).
+ * Muterende copy/positie/order operaties lopen per account één tegelijk
+ * (src/locks.js) en alle routes hebben rate limits per key en account
+ * (src/ratelimit.js).
+ *
+ * Request bodies en query strings worden gevalideerd tegen de schemas in
+ * src/schemas.js. Fouten hebben altijd de vorm { ok: false, code, error, details },
+ * zie src/errors.js.
+ *
+ * Logs zijn JSON regels met een request id (X-Request-Id), zie src/logger.js;
+ * metrics staan op /metrics, zie src/metrics.js.
+ *
+ * Instellingen komen uit de env en worden bij het opstarten gevalideerd, zie
+ * src/config.js. Upstream URLs zijn te overschrijven met METAAPI_PROVISIONING_URL,
+ * COPYFACTORY_URL en METASTATS_URL (bv. naar de mock in src/mock/metaapi.js voor
+ * offline testen). CopyFactory en MetaStats calls gaan naar de regio van het account.
+ *
+ * Deployment: draai de service als langlopend proces (`npm start`, container of
+ * VM). Async jobs lopen door na de 202 response en webhooks, guard, schedules en
+ * de equity sampler zijn achtergrond timers; een serverless functie wordt na de
+ * response bevroren, dus dat wordt bij het opstarten geweigerd. Meerdere
+ * instances delen hun toestand via dezelfde DATA_DIR.
  */
 
+const { loadConfig, configureTls, regionUrl } = require('./config');
+const fs = require('fs');
 const express = require('express');
-const MetaApiSdk = require('metaapi.cloud-sdk');
-const MetaApi = MetaApiSdk.default;
-
-// === ENV / CONSTANTS ===
-const TOKEN   = process.env.METAAPI_TOKEN || '';
-const REGION  = process.env.METAAPI_REGION || 'london';
-const STRAT   = process.env.PROVIDER_STRATEGY_ID || '3DvG';
-const PROV    = `https://mt-provisioning-api-v1.agiliumtrade.agiliumtrade.ai`;
-const CLIENT  = `https://mt-client-api-v1.agiliumtrade.agiliumtrade.ai`;
-const CF      = `https://copyfactory-api-v1.london.agiliumtrade.ai`;
-const INTERNAL_KEY = process.env.INTERNAL_API_KEY || '';
-
-if (!TOKEN) console.warn('⚠️  METAAPI_TOKEN ontbreekt — voeg die toe in je env.');
-
-// SSL certificaat fix
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-const https = require('https');
-const originalFetch = global.fetch;
-global.fetch = (url, options = {}) => {
-  if (url.includes('agiliumtrade.ai')) {
-    options.agent = new https.Agent({ rejectUnauthorized: false });
-  }
-  return originalFetch(url, options);
-};
+const { log, setLogLevel, requestTracking } = require('./logger');
+const metrics = require('./metrics');
+const { ensureDir, DATA_DIR } = require('./store');
+const { startJob, getJob, listJobs, onJobFinished, stepError } = require('./jobs');
+const { parseCloseOptions, closePositions } = require('./positions');
+const { parseHistoryQuery, getHistoryPage, getAllHistory, toCsv } = require('./history');
+const { createClient, UpstreamError } = require('./upstream');
+const { createConnectionManager, EVENT_TYPES } = require('./connections');
+const { createAuth } = require('./auth');
+const { createWebhooks } = require('./webhooks');
+const { createGuard } = require('./guard');
+const { mapWithConcurrency, withTimeout, toList } = require('./util');
+const { ApiError, badRequest, notFound, sendError, errorBody } = require('./errors');
+const { createApi, JOB_ACCEPTED } = require('./api');
+const { createAudit } = require('./audit');
+const { createIdempotency } = require('./idempotency');
+const { createAccountLocks } = require('./locks');
+const { createRateLimiter } = require('./ratelimit');
+const { computeStatistics } = require('./statistics');
+const { accountRow, portfolioTotals } = require('./portfolio');
+const { createEquitySampler } = require('./equity');
+const { runChecks } = require('./diagnose');
+const { createSchedules } = require('./schedules');
+const trading = require('./trading');
+const schemas = require('./schemas');
+const { version } = require('../package.json');
+
+// === CONFIG ===
+const config = loadConfig();
+setLogLevel(config.logLevel);
+const TOKEN  = config.token;
+const REGION = config.region;
+const STRAT  = config.strategyId;
+
+if (!TOKEN) log.warn('METAAPI_TOKEN is not set');
+
+configureTls(config.tls);
+if (config.tls.insecure) log.warn('TLS_INSECURE is on, upstream certificates are not verified');
 
 const app = express();
+// Request id en metrics eerst, zodat ook ongeldige JSON gelogd en geteld wordt
+app.use(requestTracking());
+app.use(metrics.httpMetrics());
 app.use(express.json());
 
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-internal-key');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, x-internal-key, Idempotency-Key, X-Request-Id');
+  res.header('Access-Control-Expose-Headers', 'Idempotency-Replayed, X-Request-Id, Retry-After, RateLimit-Limit, RateLimit-Remaining');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -58,591 +126,2293 @@ app.use((req, res, next) => {
   }
 });
 
-// Internal key protection
-app.use((req, res, next) => {
-  if (INTERNAL_KEY && req.method === 'POST') {
-    const k = req.headers['x-internal-key'];
-    if (k !== INTERNAL_KEY) {
-      return res.status(401).json({ ok: false, error: 'Unauthorized' });
-    }
+// API key authenticatie op alle routes behalve health (zie auth.js voor rollen)
+const auth = createAuth({ internalKey: config.internalKey });
+const { requireRole } = auth;
+const byParamId = { accounts: req => [req.params.id] };
+app.use(auth.authenticate({
+  publicPaths: ['/api/health', '/api/health/live', '/api/health/ready', '/api/openapi.json'],
+  queryKeyPaths: ['/api/stream']
+}));
+if (!auth.enabled()) log.warn('No API keys configured, all routes are open');
+
+// Muterende routes en hun jobs komen in data/audit.jsonl (zie audit.js)
+const audit = createAudit(config.audit);
+onJobFinished(audit.jobFinished);
+
+// Routes met rol, schema validatie en OpenAPI beschrijving (zie api.js)
+const api = createApi(app, {
+  requireRole,
+  audit,
+  idempotency: createIdempotency({ ttlMs: config.idempotencyTtlMs }),
+  rateLimit: createRateLimiter(config.rateLimit),
+  info: { title: 'MetaApi node service', version }
+});
+
+const prov = createClient({ service: 'provisioning', baseUrl: config.urls.provisioning, token: TOKEN, ...config.upstream });
+
+// CopyFactory en MetaStats draaien per regio. Subscriber, stopout en statistiek
+// calls gaan naar de regio van het account; strategy configuratie naar REGION.
+const regionClients = new Map();
+function regionClient(service, region) {
+  const key = `${service}:${region}`;
+  if (!regionClients.has(key)) {
+    const template = service === 'copyfactory' ? config.urls.copyFactory : config.urls.metaStats;
+    regionClients.set(key, createClient({ service, baseUrl: regionUrl(template, region), token: TOKEN, ...config.upstream }));
+  }
+  return regionClients.get(key);
+}
+
+const cf = regionClient('copyfactory', REGION);
+
+// De regio van een account verandert niet; eenmaal opgehaald blijft hij bewaard
+const accountRegions = new Map();
+function rememberRegion(account) {
+  const id = account && (account._id || account.id);
+  if (id && account.region) accountRegions.set(id, account.region);
+}
+
+async function accountRegion(accountId) {
+  if (!accountRegions.has(accountId)) {
+    const account = await prov.get(`/users/current/accounts/${accountId}`, { allowNotFound: true });
+    if (!account) return REGION;
+    accountRegions.set(accountId, account.region || REGION);
+  }
+  return accountRegions.get(accountId);
+}
+
+async function copyFactoryFor(accountId) {
+  return regionClient('copyfactory', await accountRegion(accountId));
+}
+
+// Gedeelde SDK connecties, idle na CONNECTION_IDLE_MS (default 10 min) gesloten.
+// Het SDK verbindt zelf met de regio van het account.
+const connections = createConnectionManager({
+  token: TOKEN,
+  domain: config.domain,
+  idleTimeoutMs: config.connectionIdleMs
+});
+
+const webhooks = createWebhooks({ connections, ...config.webhooks });
+
+// Subscriber config en posities per account één operatie tegelijk; een
+// tweede wacht ACCOUNT_LOCK_WAIT_MS en krijgt daarna 409 OPERATION_IN_PROGRESS
+const locks = createAccountLocks({ waitMs: config.lockWaitMs });
+
+// Equity guard: bij een overschrijding copy stoppen en alle posities sluiten
+async function guardProtect(accountId, trigger) {
+  const entry = {
+    accountIds: [accountId],
+    payload: { rule: trigger.rule, value: trigger.value, threshold: trigger.threshold }
+  };
+  try {
+    // De guard wacht langer op een lopende operatie dan een gewone request
+    const actions = await locks.run(accountId, 'guard-protect', async () => ({
+      ...await unsubscribe(accountId),
+      positionsClosed: await closeAllPositions(accountId)
+    }), { waitMs: 60000 });
+    audit.system('guard', 'guard.protect', {
+      ...entry,
+      result: { ok: actions.positionsClosed.ok !== false, closedCount: actions.positionsClosed.closedCount }
+    });
+    return actions;
+  } catch (e) {
+    audit.system('guard', 'guard.protect', { ...entry, result: errorBody(e) });
+    throw e;
   }
-  next();
+}
+
+const guard = createGuard({
+  connections,
+  protect: guardProtect,
+  notify: (accountId, event, data) => webhooks.emit(accountId, event, data),
+  intervalMs: config.guardIntervalMs
 });
 
-function h() {
-  return { 'auth-token': TOKEN, 'Content-Type': 'application/json' };
+const tokenMissing = () => new ApiError(500, 'TOKEN_MISSING', 'METAAPI_TOKEN is not configured');
+
+// Antwoord voor operaties die als job op de achtergrond lopen
+function jobAccepted(res, job) {
+  return res.status(202).json({ ok: true, jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` });
 }
 
 // ---------- Helpers ----------
 
-async function waitAccountConnected(accountId, maxWaitMs = 90000) {
+const POLL_INTERVAL_MS = 2500;
+
+/**
+ * Pollt het account tot `done(account)` true geeft. `gone: true` wacht tot het
+ * account niet meer bestaat (404).
+ */
+async function waitAccountState(accountId, { done, gone = false, label }, maxWaitMs = 90000) {
   const start = Date.now();
   while (Date.now() - start < maxWaitMs) {
-    const r = await fetch(`${PROV}/users/current/accounts/${accountId}`, { headers: h() });
-    const j = await r.json();
+    const j = await prov.get(`/users/current/accounts/${accountId}`, { allowNotFound: gone });
+    if (!j) return { ok: true, state: 'DELETED' };
+
     const state = j.state;
     const cs = j.connectionStatus;
     const err = j.errorCode;
 
-    if (state === 'DEPLOYED' && cs === 'CONNECTED') return { ok: true, state, connectionStatus: cs };
+    if (!gone && done(j)) return { ok: true, state, connectionStatus: cs };
     if (state === 'DEPLOY_FAILED' || err) return { ok: false, state, connectionStatus: cs, errorCode: err, raw: j };
 
-    await new Promise(s => setTimeout(s, 2500));
+    await new Promise(s => setTimeout(s, POLL_INTERVAL_MS));
   }
-  return { ok: false, error: 'Timeout waiting for CONNECTED' };
+  metrics.waitTimeouts.inc({ wait: `account_${label.toLowerCase()}` });
+  return { ok: false, error: `Timeout waiting for ${label}` };
+}
+
+function waitAccountConnected(accountId, maxWaitMs = 90000) {
+  return waitAccountState(accountId, {
+    done: j => j.state === 'DEPLOYED' && j.connectionStatus === 'CONNECTED',
+    label: 'CONNECTED'
+  }, maxWaitMs);
+}
+
+function waitAccountUndeployed(accountId, maxWaitMs = 90000) {
+  return waitAccountState(accountId, { done: j => j.state === 'UNDEPLOYED', label: 'UNDEPLOYED' }, maxWaitMs);
+}
+
+function waitAccountDeleted(accountId, maxWaitMs = 90000) {
+  return waitAccountState(accountId, { gone: true, label: 'deletion' }, maxWaitMs);
 }
 
 async function resolveStrategyId(strategyMaybe) {
-  let r = await fetch(`${CF}/users/current/configuration/strategies/${encodeURIComponent(strategyMaybe)}`, { headers: h() });
-  if (r.ok) return strategyMaybe;
+  try {
+    const direct = await cf.get(`/users/current/configuration/strategies/${encodeURIComponent(strategyMaybe)}`, { allowNotFound: true });
+    if (direct) return strategyMaybe;
+  } catch (e) {
+    // Een naam/code is geen geldig id: val terug op de lijst
+    if (!(e instanceof UpstreamError) || e.status !== 400) throw e;
+  }
 
-  const list = await fetch(`${CF}/users/current/configuration/strategies`, { headers: h() }).then(x => x.json());
+  const list = await cf.get('/users/current/configuration/strategies');
   const items = Array.isArray(list) ? list : [];
   const hit = items.find(s => s._id === strategyMaybe || s.name === strategyMaybe || s.code === strategyMaybe);
   if (!hit) {
-    throw new Error(`Strategy not found for '${strategyMaybe}'. Maak/zoek de strategy in CopyFactory en gebruik de _id.`);
+    throw notFound('STRATEGY_NOT_FOUND', `Strategy not found for '${strategyMaybe}'; create it in CopyFactory or use its _id`);
   }
   return hit._id;
 }
 
 async function ensureSubscriberRole(accountId) {
-  const info = await fetch(`${PROV}/users/current/accounts/${accountId}`, { headers: h() }).then(r => r.json());
-  if (info.copyFactoryRoles?.includes('SUBSCRIBER')) return true;
-
-  const r = await fetch(`${PROV}/users/current/accounts/${accountId}/enable-copy-factory-api`, {
-    method: 'POST', headers: h(),
-    body: JSON.stringify({ copyFactoryRoles: ['SUBSCRIBER'], copyFactoryResourceSlots: 1 })
+  const info = await prov.get(`/users/current/accounts/${accountId}`);
+  rememberRegion(info);
+  const roles = info.copyFactoryRoles || [];
+  if (roles.includes('SUBSCRIBER') && info.copyFactoryResourceSlots >= 1) return true;
+
+  // Bestaande rollen (PROVIDER) behouden en minstens één resource slot
+  await prov.post(`/users/current/accounts/${accountId}/enable-copy-factory-api`, {
+    copyFactoryRoles: [...new Set([...roles, 'SUBSCRIBER'])],
+    copyFactoryResourceSlots: Math.max(1, info.copyFactoryResourceSlots || 0)
   });
-  if (!r.ok) {
-    throw new Error(`enable SUBSCRIBER failed: ${r.status} ${await r.text()}`);
-  }
   await new Promise(s => setTimeout(s, 1500));
   return true;
 }
 
-// ---------- NIEUW: Functie om alle posities te sluiten ----------
-async function closeAllPositions(accountId) {
-  try {
-    const api = new MetaApi(TOKEN, { domain: `agiliumtrade.ai` });
-    const account = await api.metatraderAccountApi.getAccount(accountId);
-    
-    // Wacht tot account verbonden is
-    await Promise.race([
-      account.waitConnected(),
-      new Promise((_, rej) => setTimeout(() => rej(new Error('Connection timeout')), 30000))
-    ]);
+// ---------- Subscriber configuratie ----------
 
-    // Haal alle open posities op
-    const positions = await account.getPositions();
-    
-    if (positions.length === 0) {
-      return { ok: true, closedCount: 0, message: 'Geen open posities gevonden' };
-    }
+const SCALING_MODES = ['fixedVolume', 'balance', 'equity', 'contractSize'];
 
-    // Sluit alle posities
-    const closeResults = [];
-    for (const position of positions) {
-      try {
-        const result = await account.closePosition(position.id);
-        closeResults.push({ success: true, positionId: position.id, symbol: position.symbol });
-      } catch (err) {
-        closeResults.push({ success: false, positionId: position.id, error: err.message });
-      }
-    }
+function toSymbolList(v, field) {
+  if (v === undefined || v === null) return undefined;
+  if (typeof v === 'string') v = v.split(',');
+  if (!Array.isArray(v)) throw badRequest(`${field} must be an array or comma separated string`);
+  const list = v.map(x => String(x).trim()).filter(Boolean);
+  return list.length ? list : undefined;
+}
 
-    const successCount = closeResults.filter(r => r.success).length;
-    
-    return {
-      ok: true,
-      closedCount: successCount,
-      totalPositions: positions.length,
-      results: closeResults
-    };
+function toSymbolMapping(v) {
+  if (v === undefined || v === null) return undefined;
+  const list = Array.isArray(v)
+    ? v.map(m => ({ from: m && m.from, to: m && m.to }))
+    : Object.entries(v).map(([from, to]) => ({ from, to }));
+  for (const m of list) {
+    if (!m.from || !m.to) throw badRequest('symbolMapping entries need both from and to');
+  }
+  return list.length ? list : undefined;
+}
+
+/**
+ * Zet een subscription uit de request body om naar het CopyFactory formaat.
+ * Accepteert: strategyId, multiplier, scalingMode, tradeVolume, maxTradeRisk,
+ * includeSymbols, excludeSymbols en symbolMapping (array of { FROM: 'TO' }).
+ */
+function buildSubscription(input, strategyId) {
+  const {
+    multiplier, scalingMode = 'equity', tradeVolume, maxTradeRisk,
+    includeSymbols, excludeSymbols, symbolMapping
+  } = input || {};
+
+  if (!SCALING_MODES.includes(scalingMode)) {
+    throw badRequest(`Invalid scalingMode '${scalingMode}', expected one of: ${SCALING_MODES.join(', ')}`);
+  }
+  const tradeSizeScaling = { mode: scalingMode };
+  if (scalingMode === 'fixedVolume') {
+    if (!(Number(tradeVolume) > 0)) throw badRequest('tradeVolume is required for scalingMode fixedVolume');
+    tradeSizeScaling.tradeVolume = Number(tradeVolume);
+  }
+
+  const sub = { strategyId, tradeSizeScaling };
+  if (multiplier !== undefined) {
+    if (!(Number(multiplier) > 0)) throw badRequest('multiplier must be a positive number');
+    sub.multiplier = Number(multiplier);
+  }
+  if (maxTradeRisk !== undefined) {
+    if (!(Number(maxTradeRisk) > 0 && Number(maxTradeRisk) <= 1)) throw badRequest('maxTradeRisk must be a fraction between 0 and 1');
+    sub.maxTradeRisk = Number(maxTradeRisk);
+  }
+
+  const included = toSymbolList(includeSymbols, 'includeSymbols');
+  const excluded = toSymbolList(excludeSymbols, 'excludeSymbols');
+  if (included || excluded) {
+    sub.symbolFilter = {};
+    if (included) sub.symbolFilter.included = included;
+    if (excluded) sub.symbolFilter.excluded = excluded;
+  }
+
+  const mapping = toSymbolMapping(symbolMapping);
+  if (mapping) sub.symbolMapping = mapping;
+
+  return sub;
+}
+
+async function getSubscriberConfig(accountId) {
+  return (await copyFactoryFor(accountId)).get(`/users/current/configuration/subscribers/${accountId}`, { allowNotFound: true });
+}
+
+/**
+ * Schrijft de subscriber config weg. Bestaande velden (naam, overige
+ * instellingen) blijven behouden, alleen de subscriptions worden vervangen.
+ */
+async function putSubscriberConfig(accountId, existing, subscriptions) {
+  const { _id, subscriptions: _old, ...rest } = existing || {};
+  const body = { ...rest, name: rest.name || `${accountId}-subscriber`, subscriptions };
+  await (await copyFactoryFor(accountId)).put(`/users/current/configuration/subscribers/${accountId}`, body);
+  return body;
+}
+
+// Vervangt subscriptions met dezelfde strategyId, laat de rest staan
+function mergeSubscriptions(current, updates) {
+  const byId = new Map((current || []).map(s => [s.strategyId, s]));
+  for (const u of updates) byId.set(u.strategyId, u);
+  return [...byId.values()];
+}
+
+/**
+ * Leest `subscriptions` (array) of een enkele subscription uit de body en
+ * resolved per item de strategy id. `defaultStrategy` wordt gebruikt als er
+ * geen strategy in de enkele variant staat.
+ */
+async function subscriptionsFromBody(body, defaultStrategy) {
+  const items = Array.isArray(body.subscriptions) ? body.subscriptions : [body];
+  if (!items.length) throw badRequest('subscriptions must not be empty');
+
+  const result = [];
+  for (const item of items) {
+    const hint = item.strategyId || item.strategy || defaultStrategy;
+    if (!hint) throw badRequest('strategyId is required for every subscription');
+    result.push(buildSubscription(item, await resolveStrategyId(hint)));
+  }
+  return result;
+}
+
+// ---------- Posities sluiten (alles of een selectie) ----------
+
+/**
+ * Sluit de posities die matchen met `body` (zie parseCloseOptions). Zonder
+ * filters worden alle posities gesloten. Geeft altijd een resultaat-object
+ * terug, fouten komen als { ok: false, code, error }.
+ */
+async function closeAccountPositions(accountId, body = {}) {
+  let options;
+  try {
+    options = parseCloseOptions(body);
+  } catch (e) {
+    return errorBody(e);
+  }
+  // Een bezette lock wordt gegooid (409), niet als resultaat teruggegeven
+  return locks.run(accountId, 'close-positions', () => closeLocked(accountId, body, options));
+}
+
+async function closeLocked(accountId, body, options) {
+  try {
+    return await connections.withConnection(accountId, async connection => {
+      const result = await closePositions(connection, options);
+      if (options.dryRun) return result;
+
+      webhooks.emit(accountId, 'close_all.completed', {
+        closedCount: result.closedCount,
+        failedCount: result.failedCount,
+        totalPositions: result.totalPositions,
+        realizedProfit: result.realizedProfit,
+        filtered: Object.keys(body).some(k => !['accountId', 'async', 'concurrency'].includes(k))
+      });
+      if (result.totalPositions === 0) {
+        return { ...result, message: 'No open positions found' };
+      }
+      return result;
+    });
   } catch (e) {
-    return { ok: false, error: e.message };
+    return errorBody(e);
   }
 }
 
+function closeAllPositions(accountId) {
+  return closeAccountPositions(accountId);
+}
+
+// Variant voor jobs: een mislukte close laat de job falen
+async function closeAllPositionsOrThrow(accountId, body) {
+  const result = await closeAccountPositions(accountId, body);
+  if (!result.ok) throw stepError(result.error, result);
+  return result;
+}
+
 // ---------- Health ----------
 
-app.get('/api/health', async (_req, res) => {
+api.get('/api/health', {
+  tags: ['Health'],
+  summary: 'Upstream reachability and token check'
+}, async (_req, res) => {
+  try {
+    await prov.get('/users/current/accounts', { query: { limit: 1 }, retries: 0 });
+    res.json({ ok: true, status: 200, region: REGION, tokenPresent: !!TOKEN });
+  } catch (e) {
+    if (e instanceof UpstreamError && e.status) {
+      return res.json({ ok: false, code: e.code, error: e.message, status: e.status, region: REGION, tokenPresent: !!TOKEN });
+    }
+    sendError(res, e, 500);
+  }
+});
+
+const startedAt = Date.now();
+
+// Liveness: het proces draait en de event loop reageert
+api.get('/api/health/live', {
+  tags: ['Health'],
+  summary: 'Liveness check, no upstream calls'
+}, (_req, res) => {
+  res.json({ ok: true, status: 'live', version, uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+});
+
+async function readinessChecks() {
+  const checks = {
+    token: TOKEN ? { ok: true } : { ok: false, error: 'METAAPI_TOKEN is not configured' }
+  };
   try {
-    const r = await fetch(`${PROV}/users/current/accounts`, { headers: h() });
-    res.json({ ok: r.ok, status: r.status, region: REGION, tokenPresent: !!TOKEN });
+    ensureDir();
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+    checks.dataDir = { ok: true };
   } catch (e) {
-    res.status(500).json({ ok: false, error: String(e.message || e) });
+    checks.dataDir = { ok: false, error: e.message };
+  }
+  if (TOKEN) {
+    const start = Date.now();
+    try {
+      await prov.get('/users/current/accounts', { query: { limit: 1 }, retries: 0, timeoutMs: 5000 });
+      checks.provisioning = { ok: true, latencyMs: Date.now() - start };
+    } catch (e) {
+      checks.provisioning = { ok: false, code: e.code, error: e.message };
+    }
+  }
+  return checks;
+}
+
+// Readiness: token, schrijfbare data directory en bereikbare MetaApi; anders 503
+api.get('/api/health/ready', {
+  tags: ['Health'],
+  summary: 'Readiness check: token, data directory and MetaApi reachability',
+  responses: { 503: { description: 'Not ready, see details.checks' } }
+}, async (_req, res) => {
+  const checks = await readinessChecks();
+  const failed = Object.keys(checks).filter(k => !checks[k].ok);
+  if (failed.length) {
+    return sendError(res, new ApiError(503, 'NOT_READY', `Not ready: ${failed.join(', ')}`, { checks }));
   }
+  res.json({ ok: true, status: 'ready', region: REGION, checks });
+});
+
+// ---------- Metrics ----------
+
+metrics.gauge('metaapi_connections', 'Shared SDK connections by status', ['status'], () => {
+  const counts = {};
+  for (const a of connections.stats().accounts) counts[a.status] = (counts[a.status] || 0) + 1;
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
 });
+metrics.gauge('metaapi_streams', 'Open streaming connections', [], () => [{ value: connections.stats().streams.length }]);
+metrics.gauge('account_locks_held', 'Accounts with a mutating operation in progress', [], () => [{ value: locks.stats().length }]);
+
+// Prometheus text format, buiten de OpenAPI routes; scrapen met een read key als Bearer token
+app.get('/metrics', requireRole('read'), (_req, res) => {
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
+
+// ---------- Link account (als job) ----------
+
+const LINK_STEPS = ['create', 'enableCopyFactory', 'deploy', 'connected', 'metastats'];
 
-// ---------- Link account ----------
+async function deleteAccount(id) {
+  await prov.del(`/users/current/accounts/${id}`, { allowNotFound: true });
+  accountRegions.delete(id);
+  return { deleted: id };
+}
 
-app.post('/api/link-account', async (req, res) => {
+api.post('/api/link-account', {
+  role: 'trader', tags: ['Accounts'],
+  summary: 'Link a broker account (create, deploy, connect)',
+  body: schemas.linkAccount, responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
   const {
     brokerServer, login, password, dryRun,
     baseCurrency = 'EUR',
     copyFactoryRoles,
     platform = 'mt5',
-    region = 'london',
+    region = REGION,
     application = 'CopyFactory'
   } = req.body || {};
 
-  if (!brokerServer || !login || !password) {
-    return res.status(400).json({ ok: false, error: 'Missing fields: brokerServer, login, password' });
-  }
-  if (!TOKEN) return res.status(500).json({ ok: false, error: 'METAAPI_TOKEN missing' });
-
-  try {
-    const createBody = {
-      name: `${login}@${brokerServer}`,
-      type: 'cloud',
-      region,
-      platform,
-      server: brokerServer,
-      login: login.toString(),
-      password,
-      application,
-      baseCurrency,
-      magic: Math.floor(Math.random() * 1000000),
-      keywords: [],
-      ...(copyFactoryRoles ? { copyFactoryRoles } : {})
-    };
-
-    const create = await fetch(`${PROV}/users/current/accounts`, {
-      method: 'POST', headers: h(), body: JSON.stringify(createBody)
+  if (!TOKEN) return sendError(res, tokenMissing());
+
+  const job = startJob('link-account', LINK_STEPS, async ctx => {
+    const id = await ctx.step('create', async () => {
+      const createBody = {
+        name: `${login}@${brokerServer}`,
+        type: 'cloud',
+        region,
+        platform,
+        server: brokerServer,
+        login: login.toString(),
+        password,
+        application,
+        baseCurrency,
+        magic: Math.floor(Math.random() * 1000000),
+        keywords: [],
+        ...(copyFactoryRoles ? { copyFactoryRoles } : {})
+      };
+
+      const acc = await prov.post('/users/current/accounts', createBody);
+      ctx.meta.accountId = acc.id;
+      accountRegions.set(acc.id, region);
+      return acc.id;
     });
-    if (!create.ok) {
-      return res.status(400).json({ ok: false, step: 'create', status: create.status, error: await create.text() });
-    }
-    const acc = await create.json();
-    const id = acc.id;
 
     if (copyFactoryRoles?.length) {
-      const enable = await fetch(`${PROV}/users/current/accounts/${id}/enable-copy-factory-api`, {
-        method: 'POST', headers: h(),
-        body: JSON.stringify({ copyFactoryRoles, copyFactoryResourceSlots: 1 })
+      await ctx.step('enableCopyFactory', async () => {
+        await prov.post(`/users/current/accounts/${id}/enable-copy-factory-api`, {
+          copyFactoryRoles, copyFactoryResourceSlots: 1
+        });
+        return { copyFactoryRoles };
       });
-      if (!enable.ok) {
-        console.warn('enable-copy-factory-api failed:', await enable.text());
-      }
+    } else {
+      ctx.skip('enableCopyFactory', 'no copyFactoryRoles requested');
     }
 
-    const dep = await fetch(`${PROV}/users/current/accounts/${id}/deploy`, {
-      method: 'POST', headers: h()
+    await ctx.step('deploy', async () => {
+      await prov.post(`/users/current/accounts/${id}/deploy`);
     });
-    if (!dep.ok) {
-      await fetch(`${PROV}/users/current/accounts/${id}`, { method: 'DELETE', headers: h() }).catch(() => {});
-      return res.status(400).json({ ok: false, step: 'deploy', status: dep.status, error: await dep.text() });
-    }
 
     if (dryRun) {
-      await fetch(`${PROV}/users/current/accounts/${id}`, { method: 'DELETE', headers: h() }).catch(() => {});
-      return res.json({ ok: true, dryRun: true });
+      await deleteAccount(id);
+      ctx.skip('connected', 'dryRun');
+      ctx.skip('metastats', 'dryRun');
+      return { dryRun: true };
     }
 
-    const wait = await waitAccountConnected(id, 90000);
-    if (!wait.ok) {
-      return res.status(400).json({ ok: false, step: 'poll', ...wait, accountId: id });
-    }
+    const connection = await ctx.step('connected', async () => {
+      const wait = await waitAccountConnected(id, 90000);
+      if (!wait.ok) throw stepError(wait.error || 'Account failed to connect', wait);
+      return wait;
+    });
 
-    // Enable MetaStats voor statistieken
-    try {
-      const enableStats = await fetch(`${PROV}/users/current/accounts/${id}/enable-account-features`, {
-        method: 'POST', 
-        headers: h(),
-        body: JSON.stringify({ 
-          metastatsApiEnabled: true 
-        })
-      });
-      
-      if (enableStats.ok) {
-        console.log('MetaStats enabled for account:', id);
-      } else {
-        console.warn('MetaStats enable failed:', await enableStats.text());
+    // MetaStats is niet kritiek: een fout hier laat het account gewoon staan
+    await ctx.step('metastats', async () => {
+      try {
+        await prov.post(`/users/current/accounts/${id}/enable-account-features`, { metastatsApiEnabled: true });
+        return { enabled: true };
+      } catch (e) {
+        return { enabled: false, warning: e.message };
       }
-    } catch (e) {
-      console.warn('MetaStats enable error:', e.message);
-    }
+    });
 
-    return res.json({ ok: true, accountId: id, region, connection: wait });
-  } catch (e) {
-    return res.status(400).json({ ok: false, error: String(e.message || e) });
-  }
+    return { accountId: id, region, connection };
+  }, {
+    meta: { login: login.toString(), brokerServer, region, dryRun: !!dryRun },
+    // Geen half-geprovisioned accounts achterlaten
+    cleanup: job => (job.meta.accountId ? deleteAccount(job.meta.accountId) : null)
+  });
+
+  return jobAccepted(res, job);
 });
 
-// ---------- Account metrics ----------
+// ---------- API keys ----------
 
-app.get('/api/account-metrics', async (req, res) => {
-  const id = req.query.id;
-  if (!id) return res.status(400).json({ ok: false, error: 'Missing id' });
-  if (!TOKEN) return res.status(500).json({ ok: false, error: 'METAAPI_TOKEN missing' });
+api.get('/api/keys', {
+  role: 'admin', tags: ['Keys'],
+  summary: 'List API keys'
+}, (_req, res) => {
+  res.json({ ok: true, keys: auth.listKeys() });
+});
 
+api.post('/api/keys', {
+  role: 'admin', tags: ['Keys'],
+  summary: 'Create an API key; the secret is only returned here',
+  body: schemas.createKey
+}, (req, res) => {
   try {
-    const api = new MetaApi(TOKEN, { domain: `agiliumtrade.ai` });
-    const account = await api.metatraderAccountApi.getAccount(id);
-
-    const state = account.state;
-    const cs = account.connectionStatus;
-    if (state !== 'DEPLOYED') {
-      return res.status(400).json({ ok: false, error: 'Account not deployed', state, connectionStatus: cs });
-    }
-
-    try {
-      await Promise.race([
-        account.waitConnected(),
-        new Promise((_, rej) => setTimeout(() => rej(new Error('Connection timeout')), 30000))
-      ]);
-    } catch (_e) {
-      return res.status(400).json({ ok: false, error: 'Account connection timeout', state, connectionStatus: account.connectionStatus });
-    }
-
-    if (!account.getAccountInformation || typeof account.getAccountInformation !== 'function') {
-      return res.status(400).json({
-        ok: false,
-        error: 'Account methods not available. Account may still be starting up.',
-        accountId: id,
-        state: account.state,
-        connectionStatus: account.connectionStatus,
-        suggestion: 'Try again shortly'
-      });
-    }
-
-    let info, positions = [], orders = [];
-    try { info = await account.getAccountInformation(); } catch (infoErr) {
-      return res.status(400).json({
-        ok: false,
-        error: 'Failed to retrieve account information',
-        details: infoErr.message
-      });
-    }
-    try { positions = await account.getPositions(); } catch {}
-    try { orders = await account.getOrders(); } catch {}
-
-    res.json({
-      ok: true,
-      info,
-      positions,
-      counts: { positions: positions.length, orders: orders.length },
-      accountState: account.state,
-      connectionStatus: account.connectionStatus
-    });
+    const { key, secret } = auth.createKey(req.body || {}, req.auth.keyId);
+    res.status(201).json({ ok: true, key, secret });
   } catch (e) {
-    res.status(400).json({ ok: false, error: String(e.message || e) });
+    sendError(res, e);
   }
 });
 
-// ---------- NIEUW: Account statistieken endpoint ----------
-app.get('/api/account-statistics', async (req, res) => {
-  const id = req.query.id;
-  if (!id) return res.status(400).json({ ok: false, error: 'Missing id' });
-  if (!TOKEN) return res.status(500).json({ ok: false, error: 'METAAPI_TOKEN missing' });
-
+api.put('/api/keys/:id', {
+  role: 'admin', tags: ['Keys'],
+  summary: 'Update role, scope, name or expiry of a key',
+  body: schemas.updateKey
+}, (req, res) => {
   try {
-    // Gebruik de directe MetaStats API endpoint
-    const metricsResponse = await fetch(`${PROV}/users/current/accounts/${id}/metrics`, {
-      headers: h()
-    });
-
-    if (metricsResponse.ok) {
-      const metrics = await metricsResponse.json();
-      
-      // Bereken rendement percentages
-      const dailyGrowth = metrics.dailyGrowth || 0;
-      const monthlyGrowth = metrics.monthlyGrowth || 0;
-      const totalGrowth = metrics.gain || 0;
-
-      res.json({
-        ok: true,
-        statistics: {
-          balance: metrics.balance || 0,
-          equity: metrics.equity || 0,
-          profit: metrics.profit || 0,
-          dailyGrowth: dailyGrowth,
-          monthlyGrowth: monthlyGrowth,
-          totalGrowth: totalGrowth,
-          deposits: metrics.deposits || 0,
-          withdrawals: metrics.withdrawals || 0,
-          totalTrades: metrics.trades || 0,
-          wonTrades: metrics.wonTrades || 0,
-          lostTrades: metrics.lostTrades || 0,
-          winRate: metrics.wonTrades && metrics.trades ? 
-            ((metrics.wonTrades / metrics.trades) * 100).toFixed(2) : 0,
-          averageWin: metrics.averageWin || 0,
-          averageLoss: metrics.averageLoss || 0,
-          bestTrade: metrics.bestTrade || 0,
-          worstTrade: metrics.worstTrade || 0,
-          maxDrawdown: metrics.absoluteDrawdown || 0,
-          riskRewardRatio: metrics.averageWin && metrics.averageLoss ? 
-            (Math.abs(metrics.averageWin / metrics.averageLoss)).toFixed(2) : 0
-        }
-      });
-    } else {
-      // Als MetaStats niet beschikbaar is, val terug op basis account info
-      const api = new MetaApi(TOKEN, { domain: `agiliumtrade.ai` });
-      const account = await api.metatraderAccountApi.getAccount(id);
-      
-      await Promise.race([
-        account.waitConnected(),
-        new Promise((_, rej) => setTimeout(() => rej(new Error('Connection timeout')), 15000))
-      ]);
-
-      const info = await account.getAccountInformation();
-      
-      res.json({
-        ok: true,
-        statistics: {
-          balance: info.balance || 0,
-          equity: info.equity || 0,
-          profit: (info.equity - info.balance) || 0,
-          margin: info.margin || 0,
-          freeMargin: info.freeMargin || 0,
-          marginLevel: info.marginLevel || 0,
-          dailyGrowth: 0,
-          monthlyGrowth: 0,
-          totalGrowth: 0,
-          message: 'MetaStats wordt geactiveerd, statistieken komen beschikbaar na eerste trades'
-        }
-      });
-    }
+    res.json({ ok: true, key: auth.updateKey(req.params.id, req.body || {}) });
   } catch (e) {
-    // Fallback naar basis account info
-    try {
-      const api = new MetaApi(TOKEN, { domain: `agiliumtrade.ai` });
-      const account = await api.metatraderAccountApi.getAccount(id);
-      
-      await Promise.race([
-        account.waitConnected(),
-        new Promise((_, rej) => setTimeout(() => rej(new Error('Connection timeout')), 15000))
-      ]);
-
-      const info = await account.getAccountInformation();
-      
-      res.json({
-        ok: true,
-        statistics: {
-          balance: info.balance || 0,
-          equity: info.equity || 0,
-          profit: (info.equity - info.balance) || 0,
-          margin: info.margin || 0,
-          freeMargin: info.freeMargin || 0,
-          marginLevel: info.marginLevel || 0,
-          dailyGrowth: 0,
-          monthlyGrowth: 0,
-          totalGrowth: 0,
-          totalTrades: 0,
-          winRate: 0,
-          maxDrawdown: 0,
-          riskRewardRatio: 0,
-          message: 'Uitgebreide statistieken worden verzameld...'
-        }
-      });
-    } catch (fallbackError) {
-      res.status(400).json({ 
-        ok: false, 
-        error: 'Statistieken tijdelijk niet beschikbaar',
-        details: e.message 
-      });
-    }
+    sendError(res, e);
   }
 });
 
-// ---------- Enable subscriber ----------
-
-app.post('/api/copy/enable-subscriber', async (req, res) => {
-  const { accountId } = req.body || {};
-  if (!accountId) return res.status(400).json({ ok: false, error: 'Missing accountId' });
-
+api.post('/api/keys/:id/rotate', {
+  role: 'admin', tags: ['Keys'],
+  summary: 'Rotate the secret of a key'
+}, (req, res) => {
   try {
-    await ensureSubscriberRole(accountId);
-    res.json({ ok: true });
+    const { key, secret } = auth.rotateKey(req.params.id);
+    res.json({ ok: true, key, secret });
   } catch (e) {
-    res.status(400).json({ ok: false, error: String(e.message || e) });
+    sendError(res, e);
   }
 });
 
-// ---------- Strategy create ----------
-
-app.post('/api/strategy/create', async (req, res) => {
-  const { name, accountId, description = 'EUR provider strategy', riskLimits = { maxLeverage: 100 } } = req.body || {};
-  if (!name || !accountId) return res.status(400).json({ ok: false, error: 'name and accountId are required' });
-
+api.delete('/api/keys/:id', {
+  role: 'admin', tags: ['Keys'],
+  summary: 'Revoke a key'
+}, (req, res) => {
   try {
-    const r = await fetch(`${CF}/users/current/configuration/strategies`, {
-      method: 'POST',
-      headers: h(),
-      body: JSON.stringify({ name, description, accountId, riskLimits })
-    });
-    const data = await r.json().catch(() => ({}));
-    if (!r.ok) return res.status(r.status).json({ ok: false, error: data });
-
-    return res.json({ ok: true, strategy: data });
+    res.json({ ok: true, key: auth.revokeKey(req.params.id) });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: String(e.message || e) });
+    sendError(res, e);
   }
 });
 
-// ---------- Subscriber configure ----------
+// ---------- Webhooks ----------
 
-app.post('/api/subscriber/configure', async (req, res) => {
-  const { accountId, strategyId, multiplier = 1.0 } = req.body || {};
-  if (!accountId || !strategyId) return res.status(400).json({ ok: false, error: 'accountId and strategyId required' });
-
-  try {
-    const put = await fetch(`${CF}/users/current/configuration/subscribers/${accountId}`, {
-      method: 'PUT',
-      headers: h(),
-      body: JSON.stringify({
-        name: `${accountId}-subscriber`,
-        subscriptions: [
-          {
-            strategyId,
-            tradeSizeScaling: { mode: 'equity' }
-          }
-        ]
-      })
-    });
-    const data = await put.json().catch(() => ({}));
-    if (!put.ok) return res.status(400).json({ ok: false, error: data });
+// Account-scope van een bestaande webhook (voor requireRole)
+const byHookAccount = {
+  accounts: req => {
+    try { return [webhooks.get(req.params.id).accountId]; } catch { return []; }
+  }
+};
+
+api.get('/api/webhooks', {
+  role: 'read', access: { filter: true }, tags: ['Webhooks'],
+  summary: 'List webhooks',
+  query: schemas.listWebhooks
+}, (req, res) => {
+  const hooks = webhooks.list({ accountId: req.query.accountId }).filter(h => auth.inScope(req.auth, h.accountId));
+  res.json({ ok: true, events: webhooks.EVENTS, webhooks: hooks });
+});
 
-    return res.json({ ok: true, config: data });
+api.post('/api/webhooks', {
+  role: 'trader', tags: ['Webhooks'],
+  summary: 'Register a webhook',
+  body: schemas.createWebhook
+}, async (req, res) => {
+  try {
+    const { hook, secret } = await webhooks.register(req.body || {});
+    res.status(201).json({ ok: true, webhook: hook, secret });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: String(e.message || e) });
+    sendError(res, e);
   }
 });
 
-// ---------- Copy start ----------
-
-app.post('/api/copy/start', async (req, res) => {
-  const { accountId, multiplier = 1.0, mirrorOpenTrades = true, strategy } = req.body || {};
-  if (!accountId) return res.status(400).json({ ok: false, error: 'Missing accountId' });
+api.get('/api/webhooks/:id', {
+  role: 'read', access: byHookAccount, tags: ['Webhooks'],
+  summary: 'Get a webhook'
+}, (req, res) => {
+  try {
+    res.json({ ok: true, webhook: webhooks.get(req.params.id) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
+api.put('/api/webhooks/:id', {
+  role: 'trader', access: byHookAccount, tags: ['Webhooks'],
+  summary: 'Update a webhook',
+  body: schemas.updateWebhook
+}, async (req, res) => {
   try {
-    await ensureSubscriberRole(accountId);
+    res.json({ ok: true, webhook: await webhooks.update(req.params.id, req.body || {}) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    const strategyHint = strategy || STRAT;
-    const strategyId = await resolveStrategyId(strategyHint);
-
-    const put = await fetch(`${CF}/users/current/configuration/subscribers/${accountId}`, {
-      method: 'PUT', headers: h(),
-      body: JSON.stringify({
-        name: `${accountId}-subscriber`,
-        subscriptions: [{
-          strategyId,
-          tradeSizeScaling: { mode: 'equity' }
-        }]
-      })
-    });
-    if (!put.ok) {
-      return res.status(400).json({ ok: false, error: `subscriber upsert failed: ${put.status} ${await put.text()}` });
-    }
+api.delete('/api/webhooks/:id', {
+  role: 'trader', access: byHookAccount, tags: ['Webhooks'],
+  summary: 'Remove a webhook'
+}, (req, res) => {
+  try {
+    res.json({ ok: true, webhook: webhooks.remove(req.params.id) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    if (mirrorOpenTrades) {
-      const rs = await fetch(`${CF}/users/current/subscribers/${accountId}/resynchronize`, {
-        method: 'POST', headers: h()
-      });
-      if (!rs.ok) {
-        return res.json({
-          ok: true, strategyId, multiplier, mirrorOpenTrades,
-          warning: `resync failed: ${rs.status} ${await rs.text()}`
-        });
-      }
-    }
+api.get('/api/webhooks/:id/deliveries', {
+  role: 'read', access: byHookAccount, tags: ['Webhooks'],
+  summary: 'Recent deliveries of a webhook',
+  query: schemas.listDeliveries
+}, (req, res) => {
+  try {
+    webhooks.get(req.params.id);
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({ ok: true, deliveries: webhooks.listDeliveries(req.params.id, { limit }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    res.json({ ok: true, strategyId, multiplier, mirrorOpenTrades });
+api.post('/api/webhooks/:id/test', {
+  role: 'trader', access: byHookAccount, tags: ['Webhooks'],
+  summary: 'Send a test event'
+}, (req, res) => {
+  try {
+    const delivery = webhooks.ping(req.params.id);
+    res.status(202).json({ ok: true, deliveryId: delivery.id });
   } catch (e) {
-    res.status(400).json({ ok: false, error: String(e.message || e) });
+    sendError(res, e);
   }
 });
 
-// ---------- VERBETERD: Copy stop met positie sluiting ----------
+// ---------- Equity guard ----------
 
-app.post('/api/copy/stop', async (req, res) => {
-  const { accountId, closePositions = true } = req.body || {};
-  if (!accountId) return res.status(400).json({ ok: false, error: 'Missing accountId' });
+const byGuardAccount = { accounts: req => [req.params.accountId] };
 
-  try {
-    // 1. Stop eerst de copy trading
-    const put = await fetch(`${CF}/users/current/configuration/subscribers/${accountId}`, {
-      method: 'PUT', headers: h(),
-      body: JSON.stringify({ name: `${accountId}-subscriber`, subscriptions: [] })
-    });
-    if (!put.ok) {
-      return res.status(400).json({ ok: false, error: `unsubscribe failed: ${put.status} ${await put.text()}` });
-    }
+// Geblokkeerd door de guard: copy pas weer starten na een re-arm
+function guardBlocked(res, accountId) {
+  if (!guard.isTripped(accountId)) return false;
+  sendError(res, new ApiError(409, 'GUARD_TRIPPED', 'Copy trading is blocked by the equity guard; re-arm first', {
+    tripped: guard.get(accountId).tripped
+  }));
+  return true;
+}
 
-    // 2. Sluit alle open posities als gevraagd
-    let closeResult = null;
-    if (closePositions) {
-      closeResult = await closeAllPositions(accountId);
-    }
+api.get('/api/guard', {
+  role: 'read', access: { filter: true }, tags: ['Guard'],
+  summary: 'List equity guards'
+}, (req, res) => {
+  const guards = guard.list().filter(g => auth.inScope(req.auth, g.accountId));
+  res.json({ ok: true, guards });
+});
 
-    res.json({ 
-      ok: true, 
-      copyingStopped: true,
-      positionsClosed: closeResult
-    });
+api.get('/api/guard/:accountId', {
+  role: 'read', access: byGuardAccount, tags: ['Guard'],
+  summary: 'Get the guard rules and state of an account'
+}, (req, res) => {
+  try {
+    res.json({ ok: true, guard: guard.get(req.params.accountId) });
   } catch (e) {
-    res.status(400).json({ ok: false, error: String(e.message || e) });
+    sendError(res, e);
   }
 });
 
-// ---------- NIEUW: Endpoint om alleen posities te sluiten ----------
-app.post('/api/positions/close-all', async (req, res) => {
-  const { accountId } = req.body || {};
-  if (!accountId) return res.status(400).json({ ok: false, error: 'Missing accountId' });
-
+api.put('/api/guard/:accountId', {
+  role: 'trader', access: byGuardAccount, tags: ['Guard'],
+  summary: 'Set the guard rules of an account',
+  body: schemas.guardRules
+}, (req, res) => {
   try {
-    const result = await closeAllPositions(accountId);
-    res.json(result);
+    res.json({ ok: true, guard: guard.setRules(req.params.accountId, req.body || {}) });
   } catch (e) {
-    res.status(400).json({ ok: false, error: String(e.message || e) });
+    sendError(res, e);
   }
 });
 
-// ---------- Diagnose ----------
-
-app.get('/api/copy/diagnose', async (req, res) => {
-  const { accountId, strategy } = req.query || {};
-  if (!accountId) return res.status(400).json({ ok: false, error: 'Missing accountId' });
-
+api.delete('/api/guard/:accountId', {
+  role: 'trader', access: byGuardAccount, tags: ['Guard'],
+  summary: 'Remove the guard of an account'
+}, (req, res) => {
   try {
-    const accResp = await fetch(`${PROV}/users/current/accounts/${accountId}`, { headers: h() });
-    const acc = await accResp.json();
+    guard.remove(req.params.accountId);
+    res.json({ ok: true, removed: req.params.accountId });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    let strategyId = null, strategiesList = null, subscriberCfg = null;
+api.post('/api/guard/:accountId/rearm', {
+  role: 'trader', access: byGuardAccount, tags: ['Guard'],
+  summary: 'Re-arm a tripped guard'
+}, (req, res) => {
+  try {
+    res.json({ ok: true, guard: guard.rearm(req.params.accountId, req.auth.keyId) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Directe controle, zonder op de monitor te wachten
+api.post('/api/guard/:accountId/check', {
+  role: 'trader', access: byGuardAccount, tags: ['Guard'],
+  summary: 'Evaluate the guard rules now'
+}, async (req, res) => {
+  try {
+    res.json({ ok: true, ...await guard.check(req.params.accountId) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Schedules (geplande pauzes) ----------
+
+// Samenvatting van closeAllPositions voor de schedule history
+function closeSummary(r) {
+  return r && { ok: r.ok !== false, closedCount: r.closedCount, failedCount: r.failedCount, error: r.error };
+}
+
+async function pauseAccount(schedule, accountId) {
+  return locks.run(accountId, 'schedule-pause', async () => {
+    const existing = await getSubscriberConfig(accountId);
+    const current = existing?.subscriptions || [];
+    const removed = schedule.strategyId ? current.filter(s => s.strategyId === schedule.strategyId) : current;
+    if (removed.length) await putSubscriberConfig(accountId, existing, current.filter(s => !removed.includes(s)));
+    const positionsClosed = schedule.closePositions ? closeSummary(await closeAllPositions(accountId)) : null;
+    webhooks.emit(accountId, 'copy.paused', {
+      scheduleId: schedule.id, strategyIds: removed.map(s => s.strategyId), closePositions: schedule.closePositions
+    });
+    return { removed, positionsClosed };
+  });
+}
+
+async function resumeAccount(schedule, accountId, subscriptions) {
+  if (guard.isTripped(accountId)) {
+    throw new ApiError(409, 'GUARD_TRIPPED', 'Copy trading is blocked by the equity guard; re-arm first');
+  }
+  await locks.run(accountId, 'schedule-resume', async () => {
+    const existing = await getSubscriberConfig(accountId);
+    await putSubscriberConfig(accountId, existing, mergeSubscriptions(existing?.subscriptions, subscriptions));
+  });
+  webhooks.emit(accountId, 'copy.resumed', { scheduleId: schedule.id, strategyIds: subscriptions.map(s => s.strategyId) });
+}
+
+/**
+ * Pauzeert alle accounts van een schedule (of alleen `accountIds` bij een
+ * retry). Per account worden de weggehaalde subscriptions bewaard; mislukte
+ * accounts komen in `failed`. Alleen als geen enkel account lukt is het een fout.
+ */
+async function pauseSchedule(schedule, { accountIds: only } = {}) {
+  const accountIds = only || (schedule.accountId
+    ? [schedule.accountId]
+    : subscribersOf(schedule.strategyId, await listSubscribers()).map(s => s.accountId));
+
+  const saved = {};
+  const accounts = await mapWithConcurrency(accountIds, 5, async accountId => {
+    try {
+      const { removed, positionsClosed } = await pauseAccount(schedule, accountId);
+      if (removed.length) saved[accountId] = removed;
+      return { accountId, ok: true, strategyIds: removed.map(s => s.strategyId), positionsClosed };
+    } catch (e) {
+      return { accountId, ...errorBody(e) };
+    }
+  });
+  audit.system('schedule', 'schedule.pause', { accountIds, payload: { scheduleId: schedule.id }, result: { accounts } });
+  if (accounts.length && accounts.every(a => !a.ok)) {
+    throw new ApiError(502, 'SCHEDULE_PAUSE_FAILED', 'Pausing failed for every account', { accounts });
+  }
+  return { saved, failed: accounts.filter(a => !a.ok).map(a => a.accountId), result: { accounts } };
+}
+
+async function resumeSchedule(schedule, saved) {
+  const failed = {};
+  const accounts = await mapWithConcurrency(Object.entries(saved), 5, async ([accountId, subscriptions]) => {
+    try {
+      await resumeAccount(schedule, accountId, subscriptions);
+      return { accountId, ok: true, strategyIds: subscriptions.map(s => s.strategyId) };
+    } catch (e) {
+      failed[accountId] = subscriptions;
+      return { accountId, ...errorBody(e) };
+    }
+  });
+  audit.system('schedule', 'schedule.resume', {
+    accountIds: Object.keys(saved), payload: { scheduleId: schedule.id }, result: { accounts }
+  });
+  return { failed, result: { accounts } };
+}
+
+const schedules = createSchedules({
+  pause: pauseSchedule,
+  resume: resumeSchedule,
+  intervalMs: config.scheduleIntervalMs
+});
+
+// Account-scope van een schedule; strategy-brede schedules alleen voor keys zonder scope
+const bySchedule = {
+  accounts: req => {
+    try { return [schedules.get(req.params.id).accountId].filter(Boolean); } catch { return []; }
+  }
+};
+
+api.get('/api/schedules', {
+  role: 'read', access: { filter: true }, tags: ['Schedules'],
+  summary: 'List copy-trading schedules',
+  query: schemas.listSchedules
+}, (req, res) => {
+  const { accountId, strategyId } = req.query;
+  const list = schedules.list().filter(s =>
+    auth.inScope(req.auth, s.accountId)
+    && (!accountId || s.accountId === accountId)
+    && (!strategyId || s.strategyId === strategyId));
+  res.json({ ok: true, schedules: list });
+});
+
+api.post('/api/schedules', {
+  role: 'trader', tags: ['Schedules'],
+  summary: 'Create a schedule that pauses copying between two cron times',
+  body: schemas.createSchedule
+}, async (req, res) => {
+  const { strategy, ...body } = req.body;
+  try {
+    const strategyId = strategy ? await resolveStrategyId(strategy) : null;
+    const schedule = schedules.create({ ...body, strategyId }, req.auth.keyId);
+    res.status(201).json({ ok: true, schedule });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.get('/api/schedules/:id', {
+  role: 'read', access: bySchedule, tags: ['Schedules'],
+  summary: 'Get a schedule with its next windows and execution history'
+}, (req, res) => {
+  try {
+    res.json({ ok: true, schedule: schedules.get(req.params.id) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.put('/api/schedules/:id', {
+  role: 'trader', access: bySchedule, tags: ['Schedules'],
+  summary: 'Update the times or options of a schedule; disabling a paused schedule resumes copying',
+  body: schemas.updateSchedule
+}, async (req, res) => {
+  try {
+    schedules.update(req.params.id, req.body);
+    // Nieuwe tijden of uitschakelen gelden direct, niet pas bij de volgende tick
+    res.json({ ok: true, ...await schedules.check(req.params.id, { force: true }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.delete('/api/schedules/:id', {
+  role: 'trader', access: bySchedule, tags: ['Schedules'],
+  summary: 'Remove a schedule; paused subscriptions are restored unless keepPaused',
+  query: schemas.deleteSchedule
+}, async (req, res) => {
+  try {
+    const keepPaused = req.query.keepPaused === 'true';
+    res.json({ ok: true, ...await schedules.remove(req.params.id, { keepPaused }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Override tot de volgende grens; wordt direct uitgevoerd
+api.post('/api/schedules/:id/override', {
+  role: 'trader', access: bySchedule, tags: ['Schedules'],
+  summary: 'Pause or resume now until the next scheduled window',
+  body: schemas.scheduleOverride
+}, async (req, res) => {
+  try {
+    schedules.setOverride(req.params.id, req.body.status, req.auth.keyId);
+    res.json({ ok: true, ...await schedules.check(req.params.id, { force: true }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.delete('/api/schedules/:id/override', {
+  role: 'trader', access: bySchedule, tags: ['Schedules'],
+  summary: 'Remove the override and follow the schedule again'
+}, async (req, res) => {
+  try {
+    schedules.clearOverride(req.params.id);
+    res.json({ ok: true, ...await schedules.check(req.params.id, { force: true }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Directe controle, zonder op de monitor te wachten
+api.post('/api/schedules/:id/check', {
+  role: 'trader', access: bySchedule, tags: ['Schedules'],
+  summary: 'Apply the current window of a schedule now'
+}, async (req, res) => {
+  try {
+    res.json({ ok: true, ...await schedules.check(req.params.id, { force: true }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Connecties (diagnostiek) ----------
+
+api.get('/api/connections', {
+  role: 'admin', tags: ['Diagnostics'],
+  summary: 'Shared SDK connections'
+}, (_req, res) => {
+  res.json({ ok: true, ...connections.stats(), locks: locks.stats() });
+});
+
+// ---------- Jobs ----------
+
+api.get('/api/jobs', {
+  role: 'read', access: { filter: true }, tags: ['Jobs'],
+  summary: 'List background jobs',
+  query: schemas.listJobs
+}, (req, res) => {
+  const { type, accountId } = req.query || {};
+  const jobs = listJobs({ type, accountId }).filter(j => auth.inScope(req.auth, j.meta.accountId));
+  res.json({ ok: true, jobs });
+});
+
+api.get('/api/jobs/:id', {
+  role: 'read', access: { filter: true }, tags: ['Jobs'],
+  summary: 'Get a background job'
+}, (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !auth.inScope(req.auth, job.meta.accountId)) return sendError(res, notFound('JOB_NOT_FOUND', 'Job not found'));
+  res.json({ ok: true, job });
+});
+
+// ---------- Account lifecycle ----------
+
+// Haalt het account op of geeft een 404 terug; null betekent "response al verstuurd"
+async function accountOr404(res, id) {
+  const acc = await prov.get(`/users/current/accounts/${id}`, { allowNotFound: true });
+  if (!acc) sendError(res, notFound('ACCOUNT_NOT_FOUND', 'Account not found'));
+  return acc;
+}
+
+// Wacht-stap voor jobs: faalt de job als het account de state niet haalt
+async function waitStep(waitFn, accountId) {
+  const wait = await waitFn(accountId);
+  if (!wait.ok) throw stepError(wait.error || `Account ended in state ${wait.state}`, wait);
+  return wait;
+}
+
+api.get('/api/accounts', {
+  role: 'read', access: { filter: true }, tags: ['Accounts'],
+  summary: 'List accounts',
+  query: schemas.listAccounts
+}, async (req, res) => {
+  const { state, limit, offset, query } = req.query || {};
+  try {
+    const accounts = await prov.get('/users/current/accounts', { query: { state, limit, offset, query } });
+    res.json({ ok: true, accounts: (accounts || []).filter(a => auth.inScope(req.auth, a._id || a.id)) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.get('/api/accounts/:id', {
+  role: 'read', access: byParamId, tags: ['Accounts'],
+  summary: 'Get an account'
+}, async (req, res) => {
+  try {
+    const account = await accountOr404(res, req.params.id);
+    if (account) res.json({ ok: true, account });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.post('/api/accounts/:id/deploy', {
+  role: 'trader', access: byParamId, tags: ['Accounts'],
+  summary: 'Deploy an account',
+  responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!await accountOr404(res, id)) return;
+    const job = startJob('account-deploy', ['deploy', 'connected'], async ctx => {
+      await ctx.step('deploy', () => prov.post(`/users/current/accounts/${id}/deploy`));
+      return { connection: await ctx.step('connected', () => waitStep(waitAccountConnected, id)) };
+    }, { meta: { accountId: id } });
+    jobAccepted(res, job);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.post('/api/accounts/:id/undeploy', {
+  role: 'trader', access: byParamId, tags: ['Accounts'],
+  summary: 'Undeploy an account',
+  responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!await accountOr404(res, id)) return;
+    const job = startJob('account-undeploy', ['undeploy', 'undeployed'], async ctx => {
+      await ctx.step('undeploy', async () => {
+        await connections.close(id);
+        await prov.post(`/users/current/accounts/${id}/undeploy`);
+      });
+      return await ctx.step('undeployed', () => waitStep(waitAccountUndeployed, id));
+    }, { meta: { accountId: id } });
+    jobAccepted(res, job);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.post('/api/accounts/:id/redeploy', {
+  role: 'trader', access: byParamId, tags: ['Accounts'],
+  summary: 'Redeploy an account',
+  responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!await accountOr404(res, id)) return;
+    const job = startJob('account-redeploy', ['redeploy', 'connected'], async ctx => {
+      await ctx.step('redeploy', async () => {
+        await connections.close(id);
+        await prov.post(`/users/current/accounts/${id}/redeploy`);
+      });
+      return { connection: await ctx.step('connected', () => waitStep(waitAccountConnected, id)) };
+    }, { meta: { accountId: id } });
+    jobAccepted(res, job);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.post('/api/accounts/:id/rename', {
+  role: 'trader', access: byParamId, tags: ['Accounts'],
+  summary: 'Rename an account',
+  body: schemas.renameAccount
+}, async (req, res) => {
+  const { id } = req.params;
+  const { name } = req.body;
+
+  try {
+    const acc = await accountOr404(res, id);
+    if (!acc) return;
+    await prov.put(`/users/current/accounts/${id}`, { name, server: acc.server });
+    res.json({ ok: true, accountId: id, name });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * Wijzigt het broker wachtwoord. `type: 'investor'` zet het account op het
+ * read-only investor wachtwoord. Het account wordt daarna opnieuw gedeployed
+ * zodat MetaApi met het nieuwe wachtwoord verbindt.
+ */
+api.post('/api/accounts/:id/password', {
+  role: 'trader', access: byParamId, tags: ['Accounts'],
+  summary: 'Change the broker password',
+  body: schemas.changePassword, responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
+  const { id } = req.params;
+  const { password, type = 'master' } = req.body;
+
+  try {
+    const acc = await accountOr404(res, id);
+    if (!acc) return;
+
+    const warnings = [];
+    if (type === 'investor' && acc.copyFactoryRoles?.includes('SUBSCRIBER')) {
+      warnings.push('Account has the SUBSCRIBER role; with an investor password CopyFactory cannot place trades on it');
+    }
+
+    const job = startJob('account-password', ['update', 'redeploy', 'connected'], async ctx => {
+      await ctx.step('update', () => prov.put(`/users/current/accounts/${id}`, { name: acc.name, server: acc.server, password }));
+      await ctx.step('redeploy', async () => {
+        await connections.close(id);
+        await prov.post(`/users/current/accounts/${id}/redeploy`);
+      });
+      const connection = await ctx.step('connected', () => waitStep(waitAccountConnected, id));
+      return { accountId: id, passwordType: type, connection, warnings };
+    }, { meta: { accountId: id, passwordType: type } });
+
+    jobAccepted(res, job);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * Offboarding: haalt de CopyFactory subscriber config weg, sluit de gedeelde
+ * connectie en verwijdert het account bij MetaApi.
+ */
+api.delete('/api/accounts/:id', {
+  role: 'admin', access: byParamId, tags: ['Accounts'],
+  summary: 'Offboard and delete an account',
+  responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!await accountOr404(res, id)) return;
+    const job = startJob('account-delete', ['removeSubscriber', 'delete', 'deleted'], async ctx => {
+      await ctx.step('removeSubscriber', async () => {
+        await (await copyFactoryFor(id)).del(`/users/current/configuration/subscribers/${id}`, { allowNotFound: true });
+      });
+      await ctx.step('delete', async () => {
+        await connections.close(id);
+        await deleteAccount(id);
+      });
+      return await ctx.step('deleted', () => waitStep(waitAccountDeleted, id));
+    }, { meta: { accountId: id } });
+    jobAccepted(res, job);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Account metrics ----------
+
+api.get('/api/account-metrics', {
+  role: 'read', tags: ['Statistics'],
+  summary: 'Account information, positions and counts',
+  query: schemas.accountQuery
+}, async (req, res) => {
+  const id = req.query.id;
+  if (!TOKEN) return sendError(res, tokenMissing());
+
+  try {
+    await connections.withConnection(id, async (connection, account) => {
+      let info, positions = [], orders = [];
+      try { info = await connection.getAccountInformation(); } catch (infoErr) {
+        return sendError(res, new ApiError(400, 'ACCOUNT_INFO_FAILED', 'Failed to retrieve account information', {
+          reason: infoErr.message
+        }));
+      }
+      try { positions = await connection.getPositions(); } catch {}
+      try { orders = await connection.getOrders(); } catch {}
+
+      res.json({
+        ok: true,
+        info,
+        positions,
+        counts: { positions: positions.length, orders: orders.length },
+        accountState: account.state,
+        connectionStatus: account.connectionStatus
+      });
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Live stream (Server-Sent Events) ----------
+
+const STREAM_HEARTBEAT_MS = config.streamHeartbeatMs;
+const STREAM_RETRY_MS = 5000;
+
+function sseHeaders(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+}
+
+/**
+ * Alle browsers delen per account één SDK streaming connectie (connections.subscribe).
+ * Bij het openen komt eerst een `snapshot`, daarna de events uit EVENT_TYPES
+ * en elke STREAM_HEARTBEAT_MS een `heartbeat`. Na een upstream reconnect volgt
+ * `connection.restored` en een nieuw `synchronized` event met de volledige toestand.
+ */
+api.get('/api/stream', {
+  role: 'read', tags: ['Statistics'],
+  summary: 'Live account, position and order events (text/event-stream)',
+  description: `Event types: snapshot, heartbeat, ${EVENT_TYPES.join(', ')}. The key may be passed as ?apiKey= for EventSource clients.`,
+  query: schemas.stream
+}, async (req, res) => {
+  const id = req.query.id;
+  if (!TOKEN) return sendError(res, tokenMissing());
+
+  const types = toList(req.query.events);
+  const unknown = types.filter(t => !EVENT_TYPES.includes(t));
+  if (unknown.length) {
+    return sendError(res, badRequest(`Unknown event types: ${unknown.join(', ')}`, { allowed: EVENT_TYPES }));
+  }
+
+  let seq = 0;
+  const send = (event, data) => res.write(`id: ${++seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Events die binnenkomen voordat de headers verstuurd zijn worden gebufferd
+  let queue = [];
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  let unsubscribe;
+  try {
+    unsubscribe = await connections.subscribe(id, ev => {
+      if (types.length && !types.includes(ev.type)) return;
+      if (queue) queue.push(ev);
+      else send(ev.type, ev);
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (closed) return unsubscribe();
+
+  sseHeaders(res);
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  send('snapshot', { type: 'snapshot', accountId: id, time: new Date().toISOString(), data: connections.streamSnapshot(id) });
+  for (const ev of queue) send(ev.type, ev);
+  queue = null;
+
+  const heartbeat = setInterval(() => {
+    const snap = connections.streamSnapshot(id);
+    send('heartbeat', { type: 'heartbeat', accountId: id, time: new Date().toISOString(), data: { connected: snap ? snap.connected : null } });
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// ---------- Trade history (deals + historische orders) ----------
+
+api.get('/api/history', {
+  role: 'read', tags: ['Statistics'],
+  summary: 'Deals and history orders, paginated or as CSV',
+  query: schemas.history
+}, async (req, res) => {
+  const id = req.query.id;
+  if (!TOKEN) return sendError(res, tokenMissing());
+
+  let opts;
+  try {
+    opts = parseHistoryQuery(req.query);
+  } catch (e) {
+    return sendError(res, e);
+  }
+
+  try {
+    if (opts.format === 'csv') {
+      const kind = opts.kinds[0];
+      const rows = await connections.withConnection(id, connection => getAllHistory(connection, kind, opts));
+      const day = d => d.toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${id}-${kind}-${day(opts.from)}-${day(opts.to)}.csv"`);
+      return res.send(toCsv(kind, rows));
+    }
+
+    const page = await connections.withConnection(id, connection => getHistoryPage(connection, opts));
+    res.json({
+      ok: true,
+      accountId: id,
+      from: opts.from.toISOString(),
+      to: opts.to.toISOString(),
+      ...page
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- NIEUW: Account statistieken endpoint ----------
+/**
+ * Statistieken uit MetaStats; zonder MetaStats (niet geactiveerd of fout)
+ * berekend uit de deal history (zie statistics.js). `source` zegt welke.
+ */
+function metaStatsStatistics(metrics) {
+  const trades = metrics.trades || 0;
+  return {
+    balance: metrics.balance || 0,
+    equity: metrics.equity || 0,
+    profit: metrics.profit || 0,
+    dailyGrowth: metrics.dailyGrowth || 0,
+    monthlyGrowth: metrics.monthlyGrowth || 0,
+    totalGrowth: metrics.gain || 0,
+    deposits: metrics.deposits || 0,
+    withdrawals: metrics.withdrawals || 0,
+    totalTrades: trades,
+    wonTrades: metrics.wonTrades || 0,
+    lostTrades: metrics.lostTrades || 0,
+    winRate: trades ? Number((((metrics.wonTrades || 0) / trades) * 100).toFixed(2)) : 0,
+    profitFactor: metrics.profitFactor ?? null,
+    averageWin: metrics.averageWin || 0,
+    averageLoss: metrics.averageLoss || 0,
+    bestTrade: metrics.bestTrade || 0,
+    worstTrade: metrics.worstTrade || 0,
+    maxDrawdown: metrics.absoluteDrawdown || 0,
+    maxDrawdownPct: metrics.maxDrawdown ?? null,
+    riskRewardRatio: metrics.averageWin && metrics.averageLoss
+      ? Number(Math.abs(metrics.averageWin / metrics.averageLoss).toFixed(2)) : 0,
+    sharpeRatio: metrics.sharpeRatio ?? null
+  };
+}
+
+async function historyStatistics(accountId) {
+  return connections.withConnection(accountId, async connection => {
+    const info = await connection.getAccountInformation();
+    const now = new Date();
+    // Zonder bovengrens: een afgekapte history geeft verkeerde statistieken
+    const deals = await getAllHistory(connection, 'deals', { from: new Date(0), to: now, symbols: [] }, { maxRows: Infinity });
+    return {
+      balance: info.balance || 0,
+      equity: info.equity || 0,
+      margin: info.margin || 0,
+      freeMargin: info.freeMargin || 0,
+      marginLevel: info.marginLevel || 0,
+      ...computeStatistics(deals, { balance: info.balance, now })
+    };
+  });
+}
+
+api.get('/api/account-statistics', {
+  role: 'read', tags: ['Statistics'],
+  summary: 'Account statistics from MetaStats, or computed from deal history',
+  query: schemas.accountQuery
+}, async (req, res) => {
+  const id = req.query.id;
+  if (!TOKEN) return sendError(res, tokenMissing());
+
+  let metaStatsError = null;
+  try {
+    const metaStats = regionClient('metastats', await accountRegion(id));
+    const metrics = await metaStats.get(`/users/current/accounts/${id}/metrics`, { allowNotFound: true, retries: 0 });
+    if (metrics) return res.json({ ok: true, source: 'metastats', statistics: metaStatsStatistics(metrics) });
+  } catch (e) {
+    metaStatsError = e.message;
+  }
+
+  try {
+    res.json({ ok: true, source: 'history', statistics: await historyStatistics(id) });
+  } catch (e) {
+    // Upstream 4xx (bv. onbekend account) blijft een client fout; de rest is een storing
+    if (e instanceof UpstreamError && e.status >= 400 && e.status < 500 && e.status !== 429) return sendError(res, e);
+    sendError(res, new ApiError(503, 'STATISTICS_UNAVAILABLE', 'Statistics temporarily unavailable', {
+      reason: e.message,
+      ...(metaStatsError ? { metaStats: metaStatsError } : {})
+    }));
+  }
+});
+
+// ---------- Equity curve ----------
+
+// Samplet alle deployed accounts; EQUITY_SAMPLE_MS=0 zet de sampler uit
+const equitySampler = createEquitySampler({
+  connections,
+  listAccounts: async () => ((await prov.get('/users/current/accounts')) || [])
+    .filter(a => a.state === 'DEPLOYED')
+    .map(a => a._id || a.id),
+  intervalMs: config.equity.sampleMs,
+  retentionDays: config.equity.retentionDays
+});
+
+api.get('/api/account-equity-curve', {
+  role: 'read', tags: ['Statistics'],
+  summary: 'Balance and equity over time, aggregated per interval',
+  query: schemas.equityCurve
+}, (req, res) => {
+  const { id, from, to, interval } = req.query;
+  try {
+    res.json({ ok: true, accountId: id, ...equitySampler.curve(id, { from, to, interval }), sampler: equitySampler.status() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Portfolio ----------
+
+const PORTFOLIO_TIMEOUT_MS = 15000;
+
+/**
+ * Live gegevens van één account: uit een open stream als die gesynchroniseerd
+ * is, anders via RPC, maar alleen als het account verbonden is. Een offline
+ * account geeft een error in plaats van de hele portfolio te laten falen.
+ */
+async function portfolioLive(account) {
+  const id = account._id || account.id;
+  const snapshot = connections.streamSnapshot(id);
+  if (snapshot && snapshot.synchronized && snapshot.accountInformation) {
+    return { info: snapshot.accountInformation, positions: snapshot.positions, source: 'stream' };
+  }
+  if (account.state !== 'DEPLOYED' || account.connectionStatus !== 'CONNECTED') {
+    return {
+      error: errorBody(new ApiError(409, 'ACCOUNT_OFFLINE', 'Account is not connected', {
+        state: account.state, connectionStatus: account.connectionStatus
+      }))
+    };
+  }
+  try {
+    return await withTimeout(connections.withConnection(id, async connection => ({
+      info: await connection.getAccountInformation(),
+      positions: await connection.getPositions(),
+      source: 'rpc'
+    })), PORTFOLIO_TIMEOUT_MS, 'Account information timeout');
+  } catch (e) {
+    return { error: errorBody(e) };
+  }
+}
+
+api.get('/api/portfolio', {
+  role: 'read', access: { filter: true }, tags: ['Statistics'],
+  summary: 'Balance, equity, open P/L and strategies of all linked accounts, with totals',
+  query: schemas.portfolio
+}, async (req, res) => {
+  const { strategy, tag } = req.query;
+  const currency = (req.query.currency || config.reportingCurrency).toUpperCase();
+  if (!TOKEN) return sendError(res, tokenMissing());
+
+  try {
+    let accounts = ((await prov.get('/users/current/accounts')) || [])
+      .filter(a => auth.inScope(req.auth, a._id || a.id))
+      .filter(a => !tag || (a.tags || []).includes(tag));
+    accounts.forEach(rememberRegion);
+
+    const strategiesOf = new Map();
+    for (const sub of await listSubscribers(accounts)) {
+      strategiesOf.set(sub._id, (sub.subscriptions || []).map(s => s.strategyId));
+    }
+    if (strategy) {
+      const strategyId = await resolveStrategyId(strategy);
+      accounts = accounts.filter(a => (strategiesOf.get(a._id || a.id) || []).includes(strategyId));
+    }
+
+    const rows = await mapWithConcurrency(accounts, 5, async account =>
+      accountRow(account, await portfolioLive(account), strategiesOf.get(account._id || account.id) || []));
+    res.json({ ok: true, totals: portfolioTotals(rows, currency), accounts: rows });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Enable subscriber ----------
+
+api.post('/api/copy/enable-subscriber', {
+  role: 'trader', tags: ['Copy'],
+  summary: 'Enable the CopyFactory subscriber role',
+  body: schemas.enableSubscriber
+}, async (req, res) => {
+  const { accountId } = req.body;
+
+  try {
+    await ensureSubscriberRole(accountId);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Strategy create ----------
+
+api.post('/api/strategy/create', {
+  role: 'admin', tags: ['Strategies'],
+  summary: 'Create a provider strategy',
+  body: schemas.createStrategy
+}, async (req, res) => {
+  const { name, accountId, description = 'EUR provider strategy', riskLimits = { maxLeverage: 100 } } = req.body;
+
+  try {
+    const data = await cf.post('/users/current/configuration/strategies', { name, description, accountId, riskLimits });
+    return res.json({ ok: true, strategy: data || {} });
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+});
+
+// ---------- Strategy management ----------
+
+async function listStrategies() {
+  return (await cf.get('/users/current/configuration/strategies')) || [];
+}
+
+/**
+ * Subscribers staan in de CopyFactory regio van hun account: één call per
+ * regio (REGION plus de regio's van `accounts`, default alle accounts).
+ * Regio's met dezelfde URL (bv. de mock) worden één keer gevraagd.
+ */
+async function listSubscribers(accounts) {
+  if (!accounts) accounts = (await prov.get('/users/current/accounts')) || [];
+  accounts.forEach(rememberRegion);
+  const regions = [...new Set([REGION, ...accounts.map(a => a.region || REGION)])];
+  const byUrl = new Map(regions.map(region => [regionUrl(config.urls.copyFactory, region), region]));
+  const lists = await Promise.all([...byUrl.values()].map(region =>
+    regionClient('copyfactory', region).get('/users/current/configuration/subscribers')));
+  const subscribers = new Map();
+  for (const sub of lists.flatMap(list => list || [])) subscribers.set(sub._id, sub);
+  return [...subscribers.values()];
+}
+
+// Subscribers (account id + subscription) die aan een strategy hangen
+function subscribersOf(strategyId, subscribers) {
+  const result = [];
+  for (const sub of subscribers) {
+    const subscription = (sub.subscriptions || []).find(s => s.strategyId === strategyId);
+    if (subscription) result.push({ accountId: sub._id, name: sub.name, subscription });
+  }
+  return result;
+}
+
+function toMagicList(v, field) {
+  const list = toSymbolList(v, field);
+  if (!list) return undefined;
+  const magics = list.map(Number);
+  if (magics.some(m => !Number.isInteger(m))) throw badRequest(`${field} must contain integers`);
+  return magics;
+}
+
+// Zet een include/exclude paar op de strategy; null verwijdert het filter
+function applyFilter(strategy, key, included, excluded) {
+  if (included === null && excluded === null) {
+    delete strategy[key];
+    return;
+  }
+  if (included === undefined && excluded === undefined) return;
+  const filter = { ...(strategy[key] || {}) };
+  if (included !== undefined) {
+    if (included) filter.included = included; else delete filter.included;
+  }
+  if (excluded !== undefined) {
+    if (excluded) filter.excluded = excluded; else delete filter.excluded;
+  }
+  if (Object.keys(filter).length) strategy[key] = filter; else delete strategy[key];
+}
+
+/**
+ * Past de velden uit een update-body toe op een bestaande strategy:
+ * name, description, riskLimits, maxTradeRisk, includeSymbols/excludeSymbols,
+ * includeMagics/excludeMagics. Een waarde `null` wist het veld.
+ */
+function applyStrategyUpdate(current, body) {
+  const { _id, ...strategy } = current;
+  const { name, description, riskLimits, maxTradeRisk } = body;
+
+  if (name !== undefined) {
+    if (!name || typeof name !== 'string') throw badRequest('name must be a non-empty string');
+    strategy.name = name;
+  }
+  if (description !== undefined) {
+    if (description === null) delete strategy.description; else strategy.description = String(description);
+  }
+  if (riskLimits !== undefined) {
+    if (riskLimits === null) delete strategy.riskLimits;
+    else if (typeof riskLimits !== 'object') throw badRequest('riskLimits must be an object or array');
+    else strategy.riskLimits = riskLimits;
+  }
+  if (maxTradeRisk !== undefined) {
+    if (maxTradeRisk === null) delete strategy.maxTradeRisk;
+    else if (!(Number(maxTradeRisk) > 0 && Number(maxTradeRisk) <= 1)) throw badRequest('maxTradeRisk must be a fraction between 0 and 1');
+    else strategy.maxTradeRisk = Number(maxTradeRisk);
+  }
+
+  const list = (v, field, fn) => (v === null ? null : v === undefined ? undefined : fn(v, field) || null);
+  applyFilter(strategy, 'symbolFilter',
+    list(body.includeSymbols, 'includeSymbols', toSymbolList),
+    list(body.excludeSymbols, 'excludeSymbols', toSymbolList));
+  applyFilter(strategy, 'magicFilter',
+    list(body.includeMagics, 'includeMagics', toMagicList),
+    list(body.excludeMagics, 'excludeMagics', toMagicList));
+
+  return strategy;
+}
+
+api.get('/api/strategies', {
+  role: 'read', tags: ['Strategies'],
+  summary: 'List strategies with their subscribers'
+}, async (_req, res) => {
+  try {
+    const [strategies, subscribers] = await Promise.all([listStrategies(), listSubscribers()]);
+    res.json({
+      ok: true,
+      strategies: strategies.map(st => ({
+        ...st,
+        subscribers: subscribersOf(st._id, subscribers).map(s => s.accountId)
+      }))
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.get('/api/strategies/:id', {
+  role: 'read', tags: ['Strategies'],
+  summary: 'Get a strategy by id, name or code'
+}, async (req, res) => {
+  try {
+    const strategyId = await resolveStrategyId(req.params.id);
+    const [strategy, subscribers] = await Promise.all([
+      cf.get(`/users/current/configuration/strategies/${strategyId}`),
+      listSubscribers()
+    ]);
+    res.json({ ok: true, strategy, subscribers: subscribersOf(strategyId, subscribers) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.put('/api/strategies/:id', {
+  role: 'admin', tags: ['Strategies'],
+  summary: 'Update a strategy',
+  body: schemas.strategyUpdate
+}, async (req, res) => {
+  try {
+    const strategyId = await resolveStrategyId(req.params.id);
+    const current = await cf.get(`/users/current/configuration/strategies/${strategyId}`);
+    const strategy = applyStrategyUpdate(current, req.body || {});
+    await cf.put(`/users/current/configuration/strategies/${strategyId}`, strategy);
+    res.json({ ok: true, strategy: { ...strategy, _id: strategyId } });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * Verwijdert een strategy. Met actieve subscribers alleen met `?force=true`;
+ * de subscription wordt dan eerst bij elke subscriber verwijderd.
+ */
+api.delete('/api/strategies/:id', {
+  role: 'admin', tags: ['Strategies'],
+  summary: 'Delete a strategy',
+  query: schemas.deleteStrategy
+}, async (req, res) => {
+  const force = req.query.force === 'true';
+  try {
+    const strategyId = await resolveStrategyId(req.params.id);
+    const attached = subscribersOf(strategyId, await listSubscribers());
+
+    if (attached.length && !force) {
+      throw new ApiError(409, 'STRATEGY_HAS_SUBSCRIBERS',
+        'Strategy has active subscribers, use force=true to unsubscribe them first',
+        { subscribers: attached.map(s => s.accountId) });
+    }
+
+    const unsubscribed = [];
+    for (const { accountId } of attached) {
+      await locks.run(accountId, 'strategy-delete', async () => {
+        const existing = await getSubscriberConfig(accountId);
+        const remaining = (existing?.subscriptions || []).filter(s => s.strategyId !== strategyId);
+        await putSubscriberConfig(accountId, existing, remaining);
+      });
+      unsubscribed.push(accountId);
+    }
+
+    await cf.del(`/users/current/configuration/strategies/${strategyId}`);
+    res.json({ ok: true, strategyId, deleted: true, unsubscribed });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Subscriber configure ----------
+
+api.post('/api/subscriber/configure', {
+  role: 'trader', tags: ['Copy'],
+  summary: 'Merge or replace subscriptions of a subscriber',
+  body: schemas.configureSubscriber
+}, async (req, res) => {
+  const body = req.body;
+  const { accountId, replace = false } = body;
+  if (guardBlocked(res, accountId)) return;
+
+  try {
+    const updates = await subscriptionsFromBody(body);
+    const config = await locks.run(accountId, 'subscriber-configure', async () => {
+      const existing = await getSubscriberConfig(accountId);
+      const merged = replace ? updates : mergeSubscriptions(existing?.subscriptions, updates);
+      return putSubscriberConfig(accountId, existing, merged);
+    });
+
+    return res.json({ ok: true, config });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// ---------- Copy start ----------
+
+/**
+ * Start copy trading voor één account. `updates` (uit subscriptionsFromBody)
+ * kan vooraf bepaald worden, zodat bulk starts de strategy maar één keer opzoeken.
+ */
+async function startCopy(accountId, body, updates) {
+  const { strategy } = body;
+  if (!updates) updates = await subscriptionsFromBody(body, strategy || STRAT);
+  return locks.run(accountId, 'copy-start', () => startCopyLocked(accountId, body, updates));
+}
+
+async function startCopyLocked(accountId, body, updates) {
+  const { mirrorOpenTrades = true } = body;
+  await ensureSubscriberRole(accountId);
+
+  const existing = await getSubscriberConfig(accountId);
+  const { subscriptions } = await putSubscriberConfig(
+    accountId, existing, mergeSubscriptions(existing?.subscriptions, updates)
+  );
+
+  const result = {
+    ok: true,
+    strategyId: updates[0].strategyId,
+    strategyIds: updates.map(s => s.strategyId),
+    subscriptions,
+    mirrorOpenTrades
+  };
+  webhooks.emit(accountId, 'copy.started', { strategyIds: result.strategyIds, subscriptions });
+
+  if (mirrorOpenTrades) {
+    try {
+      await (await copyFactoryFor(accountId)).post(`/users/current/subscribers/${accountId}/resynchronize`);
+    } catch (e) {
+      result.warning = `resync failed: ${e.message}`;
+    }
+  }
+  return result;
+}
+
+api.post('/api/copy/start', {
+  role: 'trader', tags: ['Copy'],
+  summary: 'Start copying one or more strategies',
+  body: schemas.copyStart
+}, async (req, res) => {
+  const body = req.body;
+  const { accountId } = body;
+  if (guardBlocked(res, accountId)) return;
+
+  try {
+    res.json(await startCopy(accountId, body));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- VERBETERD: Copy stop met positie sluiting ----------
+
+// Zet de subscriptions op leeg (of haalt één strategy eruit)
+async function unsubscribe(accountId, strategy) {
+  const strategyId = strategy ? await resolveStrategyId(strategy) : null;
+  const remaining = await locks.run(accountId, 'copy-stop', async () => {
+    const existing = await getSubscriberConfig(accountId);
+    const rest = strategyId ? (existing?.subscriptions || []).filter(s => s.strategyId !== strategyId) : [];
+    await putSubscriberConfig(accountId, existing, rest);
+    return rest;
+  });
+  webhooks.emit(accountId, 'copy.stopped', {
+    strategy: strategy || null,
+    remainingStrategyIds: remaining.map(s => s.strategyId)
+  });
+  return { copyingStopped: remaining.length === 0, remainingSubscriptions: remaining };
+}
+
+async function stopCopy(accountId, { strategy, closePositions }) {
+  return locks.run(accountId, 'copy-stop', async () => {
+    // 1. Stop eerst de copy trading (alles, of alleen de opgegeven strategy)
+    const stopped = await unsubscribe(accountId, strategy);
+
+    // 2. Sluit alle open posities als gevraagd
+    let closeResult = null;
+    if (closePositions) {
+      closeResult = await closeAllPositions(accountId);
+    }
+
+    return {
+      ok: true,
+      ...stopped,
+      positionsClosed: closeResult
+    };
+  });
+}
+
+api.post('/api/copy/stop', {
+  role: 'trader', tags: ['Copy'],
+  summary: 'Stop copying and optionally close positions',
+  body: schemas.copyStop, responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
+  const { accountId, strategy, async: runAsync = false } = req.body;
+  // Bij het stoppen van één strategy blijven posities standaard open
+  const { closePositions = !strategy } = req.body;
+
+  if (runAsync) {
+    const job = startJob('copy-stop', ['unsubscribe', 'closePositions'], ctx => locks.run(accountId, 'copy-stop', async () => {
+      const stopped = await ctx.step('unsubscribe', () => unsubscribe(accountId, strategy));
+      let positionsClosed = null;
+      if (closePositions) {
+        positionsClosed = await ctx.step('closePositions', () => closeAllPositionsOrThrow(accountId));
+      } else {
+        ctx.skip('closePositions', 'closePositions=false');
+      }
+      return { ...stopped, positionsClosed };
+    }), { meta: { accountId, strategy } });
+    return jobAccepted(res, job);
+  }
+
+  try {
+    res.json(await stopCopy(accountId, { strategy, closePositions }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- NIEUW: Endpoint om alleen posities te sluiten ----------
+api.post('/api/positions/close-all', {
+  role: 'trader', tags: ['Positions'],
+  summary: 'Close all open positions',
+  body: schemas.closeAll, responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
+  const { accountId, async: runAsync = false } = req.body;
+
+  if (runAsync) {
+    const job = startJob('close-all', ['closePositions'], ctx =>
+      ctx.step('closePositions', () => closeAllPositionsOrThrow(accountId)),
+      { meta: { accountId } }
+    );
+    return jobAccepted(res, job);
+  }
+
+  try {
+    const result = await closeAllPositions(accountId);
+    res.json(result);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Selectief / gedeeltelijk posities sluiten ----------
+api.post('/api/positions/close', {
+  role: 'trader', tags: ['Positions'],
+  summary: 'Close a selection of positions, fully or partially',
+  body: schemas.closePositions, responses: { 202: JOB_ACCEPTED }
+}, async (req, res) => {
+  const body = req.body;
+  const { accountId, async: runAsync = false } = body;
+
+  try {
+    parseCloseOptions(body);
+  } catch (e) {
+    return sendError(res, e);
+  }
+
+  if (runAsync && !body.dryRun) {
+    const job = startJob('close-positions', ['closePositions'], ctx =>
+      ctx.step('closePositions', () => closeAllPositionsOrThrow(accountId, body)),
+      { meta: { accountId } }
+    );
+    return jobAccepted(res, job);
+  }
+
+  try {
+    const result = await closeAccountPositions(accountId, body);
+    res.status(result.ok ? 200 : 400).json(result);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Handmatig handelen ----------
+
+// Voert fn(connection) uit en stuurt { ok, ...tradeResult } of de fout
+async function trade(res, accountId, operation, fn) {
+  try {
+    const result = await locks.run(accountId, operation, () => connections.withConnection(accountId, fn));
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    sendError(res, e);
+  }
+}
+
+api.get('/api/orders', {
+  role: 'read', tags: ['Trading'],
+  summary: 'Pending orders of an account',
+  query: schemas.listOrders
+}, async (req, res) => {
+  if (!TOKEN) return sendError(res, tokenMissing());
+  try {
+    const orders = await connections.withConnection(req.query.accountId, c => c.getOrders());
+    res.json({ ok: true, orders });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+api.post('/api/orders', {
+  role: 'trader', tags: ['Trading'],
+  summary: 'Place a market or pending order with optional SL/TP',
+  body: schemas.placeOrder
+}, async (req, res) => {
+  const { accountId } = req.body;
+  if (!TOKEN) return sendError(res, tokenMissing());
+  if (guardBlocked(res, accountId)) return;
+
+  let order;
+  try {
+    order = trading.parseOrder(req.body);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  await trade(res, accountId, 'place-order', c => trading.placeOrder(c, order));
+});
+
+api.put('/api/orders/:orderId', {
+  role: 'trader', tags: ['Trading'],
+  summary: 'Modify open price, SL or TP of a pending order',
+  body: schemas.modifyOrder
+}, async (req, res) => {
+  if (!TOKEN) return sendError(res, tokenMissing());
+  await trade(res, req.body.accountId, 'modify-order', c => trading.modifyOrder(c, req.params.orderId, req.body));
+});
+
+api.delete('/api/orders/:orderId', {
+  role: 'trader', tags: ['Trading'],
+  summary: 'Cancel a pending order',
+  query: schemas.cancelOrder
+}, async (req, res) => {
+  if (!TOKEN) return sendError(res, tokenMissing());
+  await trade(res, req.query.accountId, 'cancel-order', c => trading.cancelOrder(c, req.params.orderId));
+});
+
+api.put('/api/positions/:positionId', {
+  role: 'trader', tags: ['Trading'],
+  summary: 'Modify SL/TP of an open position',
+  body: schemas.modifyPosition
+}, async (req, res) => {
+  if (!TOKEN) return sendError(res, tokenMissing());
+  await trade(res, req.body.accountId, 'modify-position', c => trading.modifyPosition(c, req.params.positionId, req.body));
+});
+
+// Hergebruikt de close logica (volume step, realized P/L) met één position id
+api.post('/api/positions/:positionId/close', {
+  role: 'trader', tags: ['Trading'],
+  summary: 'Close one position, fully or partially',
+  body: schemas.closePosition
+}, async (req, res) => {
+  const { accountId, volume } = req.body;
+  if (!TOKEN) return sendError(res, tokenMissing());
+
+  let result;
+  try {
+    result = await closeAccountPositions(accountId, { positionIds: [req.params.positionId], volume });
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (!result.ok) return res.status(400).json(result);
+  if (result.totalPositions === 0) {
+    return sendError(res, notFound('POSITION_NOT_FOUND', `Position ${req.params.positionId} not found`));
+  }
+  const [r] = result.results;
+  if (!r.success) {
+    return sendError(res, new ApiError(400, r.skipped ? 'VALIDATION_ERROR' : 'TRADE_REJECTED', r.error, {
+      numericCode: r.numericCode, stringCode: r.stringCode
+    }));
+  }
+  res.json({ ok: true, ...r });
+});
+
+// ---------- Bulk operaties (meerdere accounts) ----------
+
+/**
+ * Doel-accounts van een bulk request: `accountIds` (array of komma-gescheiden)
+ * of alle subscribers van de strategy in `subscribersOf`.
+ */
+async function resolveBulkAccounts(body) {
+  const { accountIds, subscribersOf: strategy } = body;
+  if (!accountIds === !strategy) throw badRequest('Provide either accountIds or subscribersOf');
+  if (accountIds) {
+    const ids = [...new Set(toList(accountIds))];
+    if (!ids.length) throw badRequest('accountIds must not be empty');
+    return ids;
+  }
+  const strategyId = await resolveStrategyId(strategy);
+  return subscribersOf(strategyId, await listSubscribers()).map(s => s.accountId);
+}
+
+/**
+ * Voert `fn(accountId)` per account uit met begrensde concurrency. Een fout bij
+ * één account stopt de rest niet; elk account krijgt een eigen resultaat.
+ * Accounts buiten de scope van de key worden overgeslagen.
+ */
+async function runBulk(accountIds, concurrency, reqAuth, fn) {
+  const results = await mapWithConcurrency(accountIds, concurrency, async accountId => {
+    if (!auth.inScope(reqAuth, accountId)) {
+      return { accountId, ok: false, code: 'OUT_OF_SCOPE', error: 'Account outside key scope' };
+    }
     try {
-      strategyId = await resolveStrategyId(strategy || STRAT);
+      return { accountId, ...await fn(accountId) };
     } catch (e) {
-      const listResp = await fetch(`${CF}/users/current/configuration/strategies`, { headers: h() });
-      strategiesList = listResp.ok ? await listResp.json() : { error: await listResp.text() };
+      return { accountId, ...errorBody(e) };
     }
+  });
+  const failed = results.filter(r => r.ok === false).length;
+  return { ok: failed === 0, total: results.length, succeeded: results.length - failed, failed, results };
+}
+
+/**
+ * Gemeenschappelijke afhandeling: body valideren, accounts bepalen en de
+ * operatie direct of als job (`async: true`) uitvoeren. `prepare(body)` doet
+ * de eenmalige voorbereiding en geeft de functie per account terug.
+ */
+async function handleBulk(req, res, type, prepare) {
+  const body = req.body;
+  const concurrency = body.concurrency || 5;
+  let accountIds, perAccount;
+  try {
+    perAccount = await prepare(body);
+    accountIds = await resolveBulkAccounts(body);
+  } catch (e) {
+    return sendError(res, e);
+  }
+
+  if (body.async) {
+    const job = startJob(type, ['run'], ctx =>
+      ctx.step('run', () => runBulk(accountIds, concurrency, req.auth, perAccount)),
+      { meta: { accountIds, subscribersOf: body.subscribersOf || null } }
+    );
+    return jobAccepted(res, job);
+  }
+
+  res.json(await runBulk(accountIds, concurrency, req.auth, perAccount));
+}
+
+api.post('/api/bulk/copy/start', {
+  role: 'trader', access: { filter: true }, tags: ['Bulk'],
+  summary: 'Start copying on many accounts',
+  body: schemas.bulkCopyStart, responses: { 202: JOB_ACCEPTED }
+}, (req, res) =>
+  handleBulk(req, res, 'bulk-copy-start', async body => {
+    // Strategy en subscription instellingen één keer valideren voor alle accounts
+    const updates = await subscriptionsFromBody(body, body.strategy || STRAT);
+    return accountId => {
+      if (guard.isTripped(accountId)) {
+        throw new ApiError(409, 'GUARD_TRIPPED', 'Copy trading is blocked by the equity guard; re-arm first');
+      }
+      return startCopy(accountId, body, updates);
+    };
+  })
+);
+
+api.post('/api/bulk/copy/stop', {
+  role: 'trader', access: { filter: true }, tags: ['Bulk'],
+  summary: 'Stop copying on many accounts',
+  body: schemas.bulkCopyStop, responses: { 202: JOB_ACCEPTED }
+}, (req, res) =>
+  handleBulk(req, res, 'bulk-copy-stop', async body => {
+    // Met subscribersOf alleen die strategy verwijderen, niet alle subscriptions
+    const target = body.strategy || body.subscribersOf;
+    const strategy = target ? await resolveStrategyId(target) : undefined;
+    // Posities alleen op verzoek: ze kunnen ook van andere strategies komen
+    const closePositions = body.closePositions === true;
+    return accountId => stopCopy(accountId, { strategy, closePositions });
+  })
+);
+
+api.post('/api/bulk/positions/close-all', {
+  role: 'trader', access: { filter: true }, tags: ['Bulk'],
+  summary: 'Close all positions on many accounts',
+  body: schemas.bulkCloseAll, responses: { 202: JOB_ACCEPTED }
+}, (req, res) =>
+  handleBulk(req, res, 'bulk-close-all', async () => closeAllPositions)
+);
+
+// ---------- Diagnose ----------
+
+async function listStopouts(accountId) {
+  return (await (await copyFactoryFor(accountId)).get(`/users/current/subscribers/${accountId}/stopouts`)) || [];
+}
+
+// Provider account en (als hij verbonden is) de symbolen van de open posities
+async function loadProvider(strategy) {
+  const provider = { strategyId: strategy._id, accountId: strategy.accountId };
+  try {
+    provider.account = await prov.get(`/users/current/accounts/${strategy.accountId}`);
+  } catch (e) {
+    provider.error = e.message;
+    return provider;
+  }
+  if (provider.account.connectionStatus === 'CONNECTED') {
+    provider.symbols = await connections.withConnection(strategy.accountId, c => c.getPositions())
+      .then(positions => [...new Set(positions.map(p => p.symbol))])
+      .catch(() => []);
+  }
+  return provider;
+}
+
+/**
+ * Verzamelt alles wat runChecks (diagnose.js) nodig heeft. Alleen het account
+ * zelf is verplicht; de rest wordt een info finding als het niet lukt.
+ */
+async function gatherDiagnosis(accountId, strategy) {
+  const strategyHint = strategy || STRAT;
+  const account = await prov.get(`/users/current/accounts/${accountId}`);
+  rememberRegion(account);
+  const [strategies, subscriber, stopouts] = await Promise.all([
+    listStrategies().catch(() => null),
+    getSubscriberConfig(accountId).catch(() => null),
+    listStopouts(accountId).catch(() => null)
+  ]);
+
+  const hint = (strategies || []).find(s => s._id === strategyHint || s.name === strategyHint || s.code === strategyHint);
+  const subscribed = ((subscriber && subscriber.subscriptions) || []).map(s => s.strategyId);
+  const relevant = (strategies || []).filter(s => subscribed.includes(s._id) || (hint && s._id === hint._id));
+  const providers = await Promise.all(relevant.map(loadProvider));
+
+  const subscriberSymbols = account.connectionStatus === 'CONNECTED'
+    ? await connections.withConnection(accountId, c => c.getSymbols()).catch(() => null)
+    : null;
+
+  return {
+    accountId,
+    account,
+    subscriber,
+    strategies,
+    strategyHint,
+    strategyId: hint ? hint._id : null,
+    // De default strategy telt alleen als er nog niets geabonneerd is
+    hintResolved: !!hint || !strategies || (!strategy && subscribed.length > 0),
+    providers,
+    subscriberSymbols,
+    stopouts,
+    guardTripped: guard.isTripped(accountId)
+  };
+}
 
-    const subResp = await fetch(`${CF}/users/current/configuration/subscribers/${accountId}`, { headers: h() });
-    if (subResp.ok) subscriberCfg = await subResp.json();
+api.get('/api/copy/diagnose', {
+  role: 'read', tags: ['Diagnostics'],
+  summary: 'Run copy-trading checks and return findings with suggested fixes',
+  query: schemas.diagnose
+}, async (req, res) => {
+  const { accountId, strategy } = req.query;
 
+  try {
+    const input = await gatherDiagnosis(accountId, strategy);
+    const { account } = input;
     res.json({
       ok: true,
+      ...runChecks(input),
       account: {
         id: accountId,
-        state: acc.state,
-        connectionStatus: acc.connectionStatus,
-        copyFactoryRoles: acc.copyFactoryRoles,
-        baseCurrency: acc.baseCurrency,
-        brokerAccountCurrency: acc.brokerAccountCurrency,
-        accountCurrencyExchangeRate: acc.accountCurrencyExchangeRate
+        region: account.region,
+        state: account.state,
+        connectionStatus: account.connectionStatus,
+        copyFactoryRoles: account.copyFactoryRoles,
+        copyFactoryResourceSlots: account.copyFactoryResourceSlots,
+        baseCurrency: account.baseCurrency,
+        brokerAccountCurrency: account.brokerAccountCurrency,
+        accountCurrencyExchangeRate: account.accountCurrencyExchangeRate
       },
-      strategyHint: strategy || STRAT,
-      strategyId,
-      subscriberConfig: subscriberCfg || null,
-      strategies: strategiesList || undefined
+      strategyHint: input.strategyHint,
+      strategyId: input.strategyId,
+      subscriberConfig: input.subscriber || null,
+      stopouts: input.stopouts
     });
   } catch (e) {
-    res.status(400).json({ ok: false, error: String(e.message || e) });
+    sendError(res, e);
   }
 });
 
-// ---------- Boot ----------
+// ---------- Stopouts ----------
+
+api.get('/api/copy/stopouts', {
+  role: 'read', tags: ['Copy'],
+  summary: 'Active CopyFactory stopouts of a subscriber',
+  query: schemas.stopouts
+}, async (req, res) => {
+  try {
+    res.json({ ok: true, stopouts: await listStopouts(req.query.accountId) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * Reset stopouts zodat het kopiëren hervat. Zonder strategy/reason worden
+ * alle actieve stopouts van het account gereset.
+ */
+api.post('/api/copy/stopouts/reset', {
+  role: 'trader', tags: ['Copy'],
+  summary: 'Reset CopyFactory stopouts so copying resumes',
+  body: schemas.resetStopouts
+}, async (req, res) => {
+  const { accountId, strategy, reason } = req.body;
+  if (guardBlocked(res, accountId)) return;
+
+  try {
+    const strategyId = strategy ? await resolveStrategyId(strategy) : null;
+    const stopouts = (await listStopouts(accountId)).filter(s =>
+      (!strategyId || (s.strategy && s.strategy.id) === strategyId) && (!reason || s.reason === reason));
+
+    const seen = new Set();
+    const reset = [];
+    const copyFactory = await copyFactoryFor(accountId);
+    await locks.run(accountId, 'stopouts-reset', async () => {
+      for (const s of stopouts) {
+        const key = `${s.strategy.id}/${s.reason}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        await copyFactory.post(`/users/current/subscribers/${accountId}/subscription-strategies/${encodeURIComponent(s.strategy.id)}/stopouts/${encodeURIComponent(s.reason)}/reset`);
+        reset.push({ strategyId: s.strategy.id, reason: s.reason });
+      }
+    });
+    res.json({ ok: true, reset, remaining: await listStopouts(accountId) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`✅ MetaApi service running on :${PORT} (region=${REGION})`);
+// ---------- Audit log ----------
+
+api.get('/api/audit', {
+  role: 'admin', tags: ['Audit'],
+  summary: 'Audit entries of mutating operations, newest first',
+  query: schemas.audit
+}, (req, res) => {
+  const { accountId, keyId, action, from, to, limit } = req.query;
+  for (const [field, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(Date.parse(v))) return sendError(res, badRequest(`${field} must be an ISO date`));
+  }
+  try {
+    res.json({ ok: true, ...audit.query({ accountId, keyId, action, from, to, limit: Number(limit) || 100 }) });
+  } catch (e) {
+    sendError(res, e, 500);
+  }
+});
+
+// ---------- OpenAPI ----------
+
+api.get('/api/openapi.json', {
+  tags: ['Meta'],
+  summary: 'OpenAPI document of this service'
+}, (_req, res) => {
+  res.json(api.openapi());
 });
+
+// ---------- Fouten ----------
+
+// Onbekende routes en fouten uit middleware (validatie, ongeldige JSON) in hetzelfde formaat
+app.use((req, res) => sendError(res, notFound('ROUTE_NOT_FOUND', `No route for ${req.method} ${req.path}`)));
+app.use((err, _req, res, _next) => sendError(res, err, 500));
+
+// ---------- Boot ----------
+
+// Alleen luisteren als het bestand direct gestart wordt; bij require (tests)
+// wordt alleen de app geëxporteerd
+if (require.main === module) {
+  const PORT = config.port;
+  app.listen(PORT, () => {
+    log.info('service started', { port: PORT, region: REGION, version });
+  });
+  webhooks.start();
+  guard.start();
+  schedules.start();
+  equitySampler.start();
+}
+
+module.exports = app;
@@ -0,0 +1,180 @@
+/**
+ * statistics.js — Account statistieken berekend uit de deal history
+ *
+ * Gebruikt als MetaStats niet beschikbaar is. Puur en deterministisch: geen
+ * I/O, `now` komt van de aanroeper, zodat dezelfde deals altijd dezelfde
+ * uitkomst geven.
+ *
+ * Een trade is een positie met minstens één sluitende deal; het resultaat is
+ * profit + commission + swap van alle deals van die positie (ook de openende).
+ * Groei is time-weighted: elke trade verandert een index met pnl / balans vóór
+ * de trade, zodat stortingen en opnames de groei en drawdown niet vertekenen.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+const TRADE_TYPES = ['DEAL_TYPE_BUY', 'DEAL_TYPE_SELL'];
+const EXIT_ENTRIES = ['DEAL_ENTRY_OUT', 'DEAL_ENTRY_INOUT', 'DEAL_ENTRY_OUT_BY'];
+
+const round = (v, digits = 2) => (v === null || !Number.isFinite(v) ? null : Number(v.toFixed(digits)));
+const net = d => (Number(d.profit) || 0) + (Number(d.commission) || 0) + (Number(d.swap) || 0);
+const timeOf = d => new Date(d.time).getTime();
+const utcDay = ms => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Zet deals om naar een tijdlijn van kasstromen en gesloten trades.
+ * @returns {{ trades: {time, profit}[], events: {time, amount, kind}[] }}
+ */
+function toTimeline(deals) {
+  const positions = new Map();
+  const events = [];
+
+  for (const d of deals) {
+    const time = timeOf(d);
+    if (Number.isNaN(time)) continue;
+    if (!TRADE_TYPES.includes(d.type)) {
+      // Storting/opname (BALANCE) of overige boekingen (credit, fees, correcties)
+      const amount = net(d);
+      if (amount) events.push({ time, amount, kind: d.type === 'DEAL_TYPE_BALANCE' ? 'cash' : 'other' });
+      continue;
+    }
+    const key = d.positionId !== undefined ? String(d.positionId) : `deal:${d.id}`;
+    const p = positions.get(key) || { profit: 0, closedAt: null };
+    p.profit += net(d);
+    if (EXIT_ENTRIES.includes(d.entryType)) p.closedAt = Math.max(p.closedAt || 0, time);
+    positions.set(key, p);
+  }
+
+  const trades = [...positions.values()]
+    .filter(p => p.closedAt !== null)
+    .map(p => ({ time: p.closedAt, profit: p.profit }));
+  for (const t of trades) events.push({ time: t.time, amount: t.profit, kind: 'trade' });
+  events.sort((a, b) => a.time - b.time);
+  trades.sort((a, b) => a.time - b.time);
+  return { trades, events };
+}
+
+function sharpeRatio(dailyReturns) {
+  if (dailyReturns.length < 2) return null;
+  const mean = dailyReturns.reduce((s, r) => s + r, 0) / dailyReturns.length;
+  const variance = dailyReturns.reduce((s, r) => s + (r - mean) ** 2, 0) / (dailyReturns.length - 1);
+  const std = Math.sqrt(variance);
+  // Geannualiseerd; forex handelt ook rond het weekend door via swaps
+  return std > 0 ? (mean / std) * Math.sqrt(365) : null;
+}
+
+/**
+ * @param {object[]} deals   MetaApi deals (type, entryType, profit, commission, swap, time, positionId)
+ * @param {object} [opts]
+ * @param {number} [opts.balance]  huidige balans; zonder wordt vanaf 0 gerekend
+ * @param {Date}   [opts.now]
+ */
+function computeStatistics(deals, { balance, now = new Date() } = {}) {
+  const { trades, events } = toTimeline(deals || []);
+  const nowMs = now.getTime();
+
+  const wins = trades.filter(t => t.profit > 0);
+  const losses = trades.filter(t => t.profit < 0);
+  const grossProfit = wins.reduce((s, t) => s + t.profit, 0);
+  const grossLoss = losses.reduce((s, t) => s + t.profit, 0);
+  const averageWin = wins.length ? grossProfit / wins.length : 0;
+  const averageLoss = losses.length ? grossLoss / losses.length : 0;
+
+  // Balans vóór de eerste deal: huidige balans min alles wat de history boekte
+  const booked = events.reduce((s, e) => s + e.amount, 0);
+  let running = balance !== undefined ? Number(balance) - booked : 0;
+
+  let deposits = 0;
+  let withdrawals = 0;
+  let index = 1;
+  let peakIndex = 1;
+  let maxDrawdownPct = 0;
+  let pnl = 0;
+  let peakPnl = 0;
+  let maxDrawdown = 0;
+  const dayIndex = new Map();    // UTC dag -> index aan het einde van die dag
+  const dayProfit = new Map();
+
+  for (const e of events) {
+    if (e.kind === 'cash') {
+      if (e.amount > 0) deposits += e.amount;
+      else withdrawals -= e.amount;
+    } else if (e.kind === 'trade') {
+      if (running > 0) index *= 1 + e.amount / running;
+      pnl += e.amount;
+      peakPnl = Math.max(peakPnl, pnl);
+      maxDrawdown = Math.max(maxDrawdown, peakPnl - pnl);
+      peakIndex = Math.max(peakIndex, index);
+      maxDrawdownPct = Math.max(maxDrawdownPct, ((peakIndex - index) / peakIndex) * 100);
+      const day = utcDay(e.time);
+      dayProfit.set(day, (dayProfit.get(day) || 0) + e.amount);
+    }
+    running += e.amount;
+    dayIndex.set(utcDay(e.time), index);
+  }
+
+  // Dagrendementen over elke kalenderdag van de eerste deal tot nu
+  const daily = [];
+  const dailyReturns = [];
+  if (events.length) {
+    let prev = 1;
+    for (let t = Date.parse(utcDay(events[0].time)); t <= nowMs; t += DAY_MS) {
+      const day = utcDay(t);
+      const current = dayIndex.has(day) ? dayIndex.get(day) : prev;
+      const r = current / prev - 1;
+      dailyReturns.push(r);
+      if (dayProfit.has(day)) daily.push({ date: day, profit: round(dayProfit.get(day)), growth: round(r * 100) });
+      prev = current;
+    }
+  }
+
+  const monthly = [];
+  let monthStart = 1;
+  let lastMonth = null;
+  for (const [day, value] of dayIndex) {
+    const month = day.slice(0, 7);
+    if (month !== lastMonth) {
+      if (lastMonth) monthStart = monthly[monthly.length - 1].endIndex;
+      monthly.push({ month, profit: 0, endIndex: value });
+      lastMonth = month;
+    }
+    const m = monthly[monthly.length - 1];
+    m.profit += dayProfit.get(day) || 0;
+    m.endIndex = value;
+    m.growth = (value / monthStart - 1) * 100;
+  }
+
+  const days = Math.max(1, dailyReturns.length);
+  const dailyGrowth = (index ** (1 / days) - 1) * 100;
+  const monthlyGrowth = (index ** (DAYS_PER_MONTH / days) - 1) * 100;
+
+  return {
+    totalTrades: trades.length,
+    wonTrades: wins.length,
+    lostTrades: losses.length,
+    winRate: trades.length ? round((wins.length / trades.length) * 100) : 0,
+    profit: round(grossProfit + grossLoss),
+    grossProfit: round(grossProfit),
+    grossLoss: round(grossLoss),
+    profitFactor: losses.length ? round(grossProfit / Math.abs(grossLoss)) : null,
+    averageWin: round(averageWin),
+    averageLoss: round(averageLoss),
+    bestTrade: trades.length ? round(Math.max(...trades.map(t => t.profit))) : 0,
+    worstTrade: trades.length ? round(Math.min(...trades.map(t => t.profit))) : 0,
+    riskRewardRatio: averageLoss ? round(Math.abs(averageWin / averageLoss)) : 0,
+    maxDrawdown: round(maxDrawdown),
+    maxDrawdownPct: round(maxDrawdownPct),
+    deposits: round(deposits),
+    withdrawals: round(withdrawals),
+    totalGrowth: round((index - 1) * 100),
+    dailyGrowth: round(dailyGrowth, 4),
+    monthlyGrowth: round(monthlyGrowth),
+    sharpeRatio: round(sharpeRatio(dailyReturns)),
+    firstTradeAt: trades.length ? new Date(trades[0].time).toISOString() : null,
+    lastTradeAt: trades.length ? new Date(trades[trades.length - 1].time).toISOString() : null,
+    daily,
+    monthly: monthly.map(({ month, profit, growth }) => ({ month, profit: round(profit), growth: round(growth) }))
+  };
+}
+
+module.exports = { computeStatistics };
@@ -0,0 +1,70 @@
+/**
+ * store.js — Kleine persistente JSON opslag in DATA_DIR (default ./data)
+ *
+ * Elke store is één JSON bestand. Schrijven gaat atomair (tmp + rename). Bij
+ * lezen wordt het bestand opnieuw geladen als het op disk gewijzigd is, zodat
+ * wijzigingen door een andere instance (of met de hand) direct meetellen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function dataPath(file) {
+  return path.join(DATA_DIR, file);
+}
+
+function ensureDir() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+/**
+ * @param {string} name           bestandsnaam zonder extensie
+ * @param {() => any} defaults    beginwaarde als het bestand nog niet bestaat
+ * @returns {{ get: () => any, set: (value: any) => any, update: (fn: (value: any) => any) => any, file: string }}
+ */
+function createJsonStore(name, defaults) {
+  const file = dataPath(`${name}.json`);
+  let cache = null;
+  let mtimeMs = -1;
+
+  function get() {
+    let stat = null;
+    try {
+      stat = fs.statSync(file);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    if (!stat) {
+      if (cache === null) cache = defaults();
+      return cache;
+    }
+    if (stat.mtimeMs !== mtimeMs) {
+      cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+      mtimeMs = stat.mtimeMs;
+    }
+    return cache;
+  }
+
+  function set(value) {
+    ensureDir();
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+    fs.renameSync(tmp, file);
+    cache = value;
+    mtimeMs = fs.statSync(file).mtimeMs;
+    return value;
+  }
+
+  // fn mag de waarde muteren of een nieuwe teruggeven
+  function update(fn) {
+    const current = get();
+    const next = fn(current);
+    return set(next === undefined ? current : next);
+  }
+
+  return { get, set, update, file };
+}
+
+module.exports = { createJsonStore, dataPath, ensureDir, DATA_DIR };
@@ -0,0 +1,176 @@
+/**
+ * trading.js — Handmatig handelen via de MetaApi RPC connectie
+ *
+ * Orders plaatsen (market, limit, stop, stop-limit) met SL/TP, pending orders
+ * wijzigen en annuleren, en SL/TP van open posities aanpassen. Volumes worden
+ * vooraf gecontroleerd tegen de symbol specification (minVolume, maxVolume,
+ * volumeStep). Het resultaat bevat altijd de trade codes van de broker
+ * (numericCode, stringCode, message).
+ */
+
+const { ApiError, badRequest, notFound } = require('./errors');
+
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stopLimit'];
+const SIDES = ['buy', 'sell'];
+
+// SDK methode per type en kant
+const CREATE = {
+  market: { buy: 'createMarketBuyOrder', sell: 'createMarketSellOrder' },
+  limit: { buy: 'createLimitBuyOrder', sell: 'createLimitSellOrder' },
+  stop: { buy: 'createStopBuyOrder', sell: 'createStopSellOrder' },
+  stopLimit: { buy: 'createStopLimitBuyOrder', sell: 'createStopLimitSellOrder' }
+};
+
+function optionalNumber(v, field) {
+  if (v === undefined || v === null) return undefined;
+  const n = Number(v);
+  if (!(n > 0)) throw badRequest(`${field} must be a positive number`);
+  return n;
+}
+
+/**
+ * Normaliseert een order uit de request body.
+ */
+function parseOrder(body = {}) {
+  const type = body.type || 'market';
+  if (!ORDER_TYPES.includes(type)) throw badRequest(`type must be one of: ${ORDER_TYPES.join(', ')}`);
+  if (!SIDES.includes(body.side)) throw badRequest('side must be buy or sell');
+  if (!body.symbol) throw badRequest('symbol is required');
+
+  const order = {
+    symbol: String(body.symbol),
+    side: body.side,
+    type,
+    volume: optionalNumber(body.volume, 'volume'),
+    openPrice: optionalNumber(body.openPrice, 'openPrice'),
+    stopLimitPrice: optionalNumber(body.stopLimitPrice, 'stopLimitPrice'),
+    stopLoss: optionalNumber(body.stopLoss, 'stopLoss'),
+    takeProfit: optionalNumber(body.takeProfit, 'takeProfit'),
+    options: {}
+  };
+  if (!order.volume) throw badRequest('volume is required');
+  if (type !== 'market' && !order.openPrice) throw badRequest(`openPrice is required for ${type} orders`);
+  if (type === 'stopLimit' && !order.stopLimitPrice) throw badRequest('stopLimitPrice is required for stopLimit orders');
+
+  if (body.comment !== undefined) order.options.comment = String(body.comment);
+  if (body.clientId !== undefined) order.options.clientId = String(body.clientId);
+  if (body.magic !== undefined) {
+    if (!Number.isInteger(Number(body.magic))) throw badRequest('magic must be an integer');
+    order.options.magic = Number(body.magic);
+  }
+  if (body.expiration !== undefined) {
+    if (type === 'market') throw badRequest('expiration only applies to pending orders');
+    const time = new Date(body.expiration);
+    if (Number.isNaN(time.getTime())) throw badRequest('expiration must be an ISO date');
+    order.options.expiration = { type: 'ORDER_TIME_SPECIFIED', time };
+  }
+  return order;
+}
+
+/**
+ * Controleert een volume tegen de symbol specification.
+ */
+function checkVolume(spec, volume) {
+  const { minVolume, maxVolume, volumeStep } = spec;
+  const details = { volume, minVolume, maxVolume, volumeStep };
+  if (minVolume && volume < minVolume) throw badRequest(`volume ${volume} is below the minimum ${minVolume} for ${spec.symbol}`, details);
+  if (maxVolume && volume > maxVolume) throw badRequest(`volume ${volume} exceeds the maximum ${maxVolume} for ${spec.symbol}`, details);
+  if (volumeStep) {
+    const steps = volume / volumeStep;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+      throw badRequest(`volume ${volume} is not a multiple of the volume step ${volumeStep} for ${spec.symbol}`, details);
+    }
+  }
+}
+
+async function symbolSpec(connection, symbol) {
+  let spec = null;
+  try {
+    spec = await connection.getSymbolSpecification(symbol);
+  } catch {
+    spec = null;
+  }
+  if (!spec) throw notFound('SYMBOL_NOT_FOUND', `Symbol ${symbol} is not available on this account`);
+  return spec;
+}
+
+function tradeResult(response) {
+  const r = response || {};
+  return {
+    numericCode: r.numericCode,
+    stringCode: r.stringCode,
+    message: r.message,
+    ...(r.orderId !== undefined ? { orderId: String(r.orderId) } : {}),
+    ...(r.positionId !== undefined ? { positionId: String(r.positionId) } : {})
+  };
+}
+
+/**
+ * Voert een trade uit en zet een broker afwijzing (TradeError) om naar
+ * 400 TRADE_REJECTED met de trade codes in details.
+ */
+async function execute(fn) {
+  try {
+    return tradeResult(await fn());
+  } catch (e) {
+    if (e && (e.stringCode || e.numericCode !== undefined)) {
+      throw new ApiError(400, 'TRADE_REJECTED', e.message, { numericCode: e.numericCode, stringCode: e.stringCode });
+    }
+    throw e;
+  }
+}
+
+async function placeOrder(connection, order) {
+  const spec = await symbolSpec(connection, order.symbol);
+  checkVolume(spec, order.volume);
+
+  const method = CREATE[order.type][order.side];
+  const { symbol, volume, openPrice, stopLimitPrice, stopLoss, takeProfit, options } = order;
+  const args = {
+    market: [symbol, volume, stopLoss, takeProfit, options],
+    limit: [symbol, volume, openPrice, stopLoss, takeProfit, options],
+    stop: [symbol, volume, openPrice, stopLoss, takeProfit, options],
+    stopLimit: [symbol, volume, openPrice, stopLimitPrice, stopLoss, takeProfit, options]
+  }[order.type];
+  return execute(() => connection[method](...args));
+}
+
+// SL/TP: niet meegegeven = huidige waarde houden, null = verwijderen
+function keepOrClear(value, current, field) {
+  if (value === null) return undefined;
+  if (value === undefined) return current;
+  return optionalNumber(value, field);
+}
+
+async function modifyPosition(connection, positionId, { stopLoss, takeProfit }) {
+  if (stopLoss === undefined && takeProfit === undefined) throw badRequest('Provide stopLoss and/or takeProfit');
+  const position = await connection.getPosition(String(positionId)).catch(() => null);
+  if (!position) throw notFound('POSITION_NOT_FOUND', `Position ${positionId} not found`);
+  return execute(() => connection.modifyPosition(
+    String(positionId),
+    keepOrClear(stopLoss, position.stopLoss, 'stopLoss'),
+    keepOrClear(takeProfit, position.takeProfit, 'takeProfit')
+  ));
+}
+
+async function modifyOrder(connection, orderId, { openPrice, stopLoss, takeProfit }) {
+  if (openPrice === undefined && stopLoss === undefined && takeProfit === undefined) {
+    throw badRequest('Provide openPrice, stopLoss and/or takeProfit');
+  }
+  const order = await connection.getOrder(String(orderId)).catch(() => null);
+  if (!order) throw notFound('ORDER_NOT_FOUND', `Pending order ${orderId} not found`);
+  return execute(() => connection.modifyOrder(
+    String(orderId),
+    openPrice !== undefined ? optionalNumber(openPrice, 'openPrice') : order.openPrice,
+    keepOrClear(stopLoss, order.stopLoss, 'stopLoss'),
+    keepOrClear(takeProfit, order.takeProfit, 'takeProfit')
+  ));
+}
+
+async function cancelOrder(connection, orderId) {
+  const order = await connection.getOrder(String(orderId)).catch(() => null);
+  if (!order) throw notFound('ORDER_NOT_FOUND', `Pending order ${orderId} not found`);
+  return execute(() => connection.cancelOrder(String(orderId)));
+}
+
+module.exports = { parseOrder, checkVolume, placeOrder, modifyPosition, modifyOrder, cancelOrder, ORDER_TYPES };
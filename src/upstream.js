@@ -0,0 +1,196 @@
+/**
+ * upstream.js — Gedeelde HTTP client voor de MetaApi provisioning en CopyFactory API's
+ *
+ * - configureerbare base URL per client
+ * - timeout per call (AbortSignal)
+ * - retry met exponentiële backoff op 429, 5xx en netwerkfouten
+ * - fouten komen terug als UpstreamError met service, status en response body
+ * - de request id van de lopende request gaat mee als X-Request-Id header
+ * - latency en fouten per service in /metrics (upstream_request_duration_seconds,
+ *   upstream_requests_total, upstream_errors_total)
+ *
+ * POST requests worden alleen bij 429 herhaald (de upstream heeft de request dan
+ * niet verwerkt); bij 5xx of een timeout zou een herhaling dubbel kunnen aanmaken.
+ */
+
+const { log, currentRequestId } = require('./logger');
+const metrics = require('./metrics');
+
+// Defaults; de service geeft UPSTREAM_TIMEOUT_MS / UPSTREAM_RETRIES mee via config.js
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+
+const upstreamDuration = metrics.histogram('upstream_request_duration_seconds', 'Latency of MetaApi and CopyFactory calls per attempt', ['service', 'method']);
+const upstreamRequests = metrics.counter('upstream_requests_total', 'MetaApi and CopyFactory call attempts by outcome (HTTP status, timeout or network)', ['service', 'method', 'outcome']);
+const upstreamErrors = metrics.counter('upstream_errors_total', 'MetaApi and CopyFactory calls that failed after retries', ['service', 'code']);
+
+class UpstreamError extends Error {
+  constructor(message, { service, method, path, status = null, body = null, code = 'UPSTREAM_HTTP' } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.service = service;
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.body = body;
+    this.code = code;
+  }
+
+  get retryable() {
+    return this.code !== 'UPSTREAM_HTTP' || this.status === 429 || this.status >= 500;
+  }
+
+  toJSON() {
+    return {
+      service: this.service,
+      method: this.method,
+      path: this.path,
+      status: this.status,
+      code: this.code,
+      body: this.body
+    };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(s => setTimeout(s, ms));
+}
+
+function retryDelay(attempt, response) {
+  const retryAfter = response && Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  const base = Math.min(BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  return base / 2 + Math.random() * base / 2;
+}
+
+async function parseBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function describe(body) {
+  if (body && typeof body === 'object') return body.message || body.error || JSON.stringify(body);
+  return body || '';
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.service   naam voor foutmeldingen, bv. 'provisioning'
+ * @param {string} opts.baseUrl
+ * @param {string|() => string} opts.token  auth-token (of getter)
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.retries]
+ */
+function createClient({ service, baseUrl, token, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES }) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * @param {string} method
+   * @param {string} path     pad onder de base URL, bv. '/users/current/accounts'
+   * @param {object} [opts]
+   * @param {any} [opts.body]          wordt als JSON verstuurd
+   * @param {object} [opts.query]      querystring parameters (undefined wordt overgeslagen)
+   * @param {number} [opts.timeoutMs]
+   * @param {number} [opts.retries]
+   * @param {boolean} [opts.allowNotFound]  geef null terug bij 404 i.p.v. een error
+   * @returns {Promise<any>} geparste JSON (of tekst) van de response
+   */
+  async function request(method, path, opts = {}) {
+    const {
+      body, query, allowNotFound = false,
+      timeoutMs: callTimeout = timeoutMs,
+      retries: callRetries = retries
+    } = opts;
+
+    let url = `${base}${path}`;
+    if (query) {
+      const qs = new URLSearchParams();
+      for (const [k, v] of Object.entries(query)) {
+        if (v !== undefined && v !== null) qs.append(k, String(v));
+      }
+      if ([...qs].length) url += `?${qs}`;
+    }
+
+    const headers = { 'auth-token': typeof token === 'function' ? token() : token };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const requestId = currentRequestId();
+    if (requestId) headers['X-Request-Id'] = requestId;
+
+    const ctx = { service, method, path };
+    const safeToRetry = method !== 'POST';
+    const fail = err => {
+      upstreamErrors.inc({ service, code: err.code });
+      // 4xx is meestal een verwachte afwijzing; alleen storingen als warning
+      log[err.retryable ? 'warn' : 'debug']('upstream call failed', { service, method, path, status: err.status, code: err.code, error: err.message });
+      return err;
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      const done = upstreamDuration.startTimer({ service, method });
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: AbortSignal.timeout(callTimeout)
+        });
+      } catch (e) {
+        done();
+        const timedOut = e.name === 'TimeoutError' || e.name === 'AbortError';
+        upstreamRequests.inc({ service, method, outcome: timedOut ? 'timeout' : 'network' });
+        const err = timedOut
+          ? new UpstreamError(`${service} ${method} ${path} timed out after ${callTimeout}ms`, { ...ctx, code: 'UPSTREAM_TIMEOUT' })
+          : new UpstreamError(`${service} ${method} ${path} failed: ${e.cause?.message || e.message}`, { ...ctx, code: 'UPSTREAM_NETWORK' });
+        if (safeToRetry && attempt < callRetries) {
+          log.debug('upstream retry', { service, method, path, attempt, code: err.code });
+          await sleep(retryDelay(attempt));
+          continue;
+        }
+        throw fail(err);
+      }
+      const seconds = done();
+      upstreamRequests.inc({ service, method, outcome: response.status });
+      log.debug('upstream call', { service, method, path, status: response.status, durationMs: Math.round(seconds * 1000) });
+
+      if (response.ok) return parseBody(response);
+      if (response.status === 404 && allowNotFound) {
+        await response.body?.cancel();
+        return null;
+      }
+
+      const canRetry = response.status === 429 || (safeToRetry && response.status >= 500);
+      if (canRetry && attempt < callRetries) {
+        await response.body?.cancel();
+        log.debug('upstream retry', { service, method, path, attempt, status: response.status });
+        await sleep(retryDelay(attempt, response));
+        continue;
+      }
+
+      const errBody = await parseBody(response);
+      throw fail(new UpstreamError(
+        `${service} ${method} ${path} failed: ${response.status} ${describe(errBody)}`.trim(),
+        { ...ctx, status: response.status, body: errBody }
+      ));
+    }
+  }
+
+  return {
+    service,
+    baseUrl: base,
+    request,
+    get: (path, opts) => request('GET', path, opts),
+    post: (path, body, opts) => request('POST', path, { ...opts, body }),
+    put: (path, body, opts) => request('PUT', path, { ...opts, body }),
+    del: (path, opts) => request('DELETE', path, opts)
+  };
+}
+
+module.exports = { createClient, UpstreamError };
@@ -0,0 +1,55 @@
+/**
+ * util.js — Kleine gedeelde helpers
+ */
+
+/**
+ * Zoals Promise.all(items.map(fn)), maar met maximaal `limit` tegelijk.
+ * Volgorde van de resultaten is gelijk aan die van `items`.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Verwerpt met een TimeoutError (`message`) als `promise` niet binnen `ms` klaar is
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, rej) => {
+      timer = setTimeout(() => {
+        const e = new Error(message);
+        e.name = 'TimeoutError';
+        rej(e);
+      }, ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Komma-gescheiden string of array → array van niet-lege strings
+function toList(v) {
+  if (v === undefined || v === null || v === '') return [];
+  const arr = Array.isArray(v) ? v : String(v).split(',');
+  return arr.map(x => String(x).trim()).filter(Boolean);
+}
+
+// Account ids waar een request op werkt: route params, body en query
+function requestAccountIds(req) {
+  const p = req.params || {};
+  const b = req.body || {};
+  const q = req.query || {};
+  const ids = [p.accountId, b.accountId, q.accountId, q.id, ...toList(b.accountIds)];
+  if (p.id && /\/accounts\//.test(req.path)) ids.push(p.id);
+  return [...new Set(ids.filter(v => typeof v === 'string' && v))];
+}
+
+module.exports = { mapWithConcurrency, withTimeout, toList, requestAccountIds };
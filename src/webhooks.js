@@ -0,0 +1,419 @@
+/**
+ * webhooks.js — Ondertekende webhook notificaties per account
+ *
+ * Events:
+ *  - position.opened, position.closed       (SDK synchronisatie, via streaming connectie)
+ *  - connection.lost, connection.restored   (SDK synchronisatie)
+ *  - copy.started, copy.stopped             (/api/copy/start en /api/copy/stop)
+ *  - close_all.completed                    (posities sluiten afgerond)
+ *  - guard.triggered                        (equity guard regel overschreden)
+ *
+ * Elke delivery is een POST met JSON body { id, event, accountId, createdAt, data }
+ * en de headers:
+ *   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp (unix seconden)
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+ *
+ * Niet-2xx antwoorden en netwerkfouten worden herhaald met oplopende backoff.
+ * Een streaming connectie die niet opent (account even onbereikbaar) wordt ook
+ * met backoff opnieuw geprobeerd.
+ *
+ * De host van een webhook URL wordt geresolved bij registreren en voor elke
+ * poging; loopback, private, link-local (o.a. 169.254.169.254) en andere
+ * niet-publieke adressen worden geweigerd, tenzij de host in
+ * WEBHOOK_ALLOWED_HOSTS staat of WEBHOOK_ALLOW_PRIVATE aan staat.
+ *
+ * Registraties staan in data/webhooks.json. Het delivery log is append-only:
+ * elke statuswijziging is een regel in data/webhook-deliveries.jsonl, de
+ * laatste regel per delivery telt. Het bestand wordt af en toe ingekort tot
+ * de laatste MAX_LOGGED_DELIVERIES deliveries.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const { createJsonStore, dataPath, ensureDir } = require('./store');
+const { ApiError, badRequest } = require('./errors');
+const { log } = require('./logger');
+
+const EVENTS = [
+  'position.opened', 'position.closed',
+  'connection.lost', 'connection.restored',
+  'copy.started', 'copy.stopped', 'copy.paused', 'copy.resumed',
+  'close_all.completed',
+  'guard.triggered'
+];
+// Events die uit de streaming connectie komen
+const STREAM_EVENTS = ['position.opened', 'position.closed', 'connection.lost', 'connection.restored'];
+
+const RETRY_DELAYS_MS = [10e3, 30e3, 2 * 60e3, 10 * 60e3, 30 * 60e3];
+const STREAM_RETRY_DELAYS_MS = [15e3, 60e3, 5 * 60e3, 15 * 60e3];
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_LOGGED_DELIVERIES = 1000;
+const DELIVERIES_FILE = dataPath('webhook-deliveries.jsonl');
+
+// Adressen die geen publieke internet host zijn
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED.addSubnet(prefix, bits, 'ipv6');
+}
+
+// BlockList toetst IPv4-mapped IPv6 adressen (::ffff:10.0.0.1) ook tegen de IPv4 subnets
+function isPublicAddress(address) {
+  return !BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function publicHook(hook) {
+  const { secret, ...rest } = hook;
+  return rest;
+}
+
+const hookNotFound = () => new ApiError(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+
+function validateHookInput({ url, events }) {
+  if (url !== undefined) {
+    let parsed;
+    try { parsed = new URL(url); } catch { throw badRequest('url must be a valid URL'); }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw badRequest('url must be http(s)');
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || !events.length) throw badRequest('events must be a non-empty array');
+    const unknown = events.filter(e => !EVENTS.includes(e));
+    if (unknown.length) throw badRequest(`Unknown events: ${unknown.join(', ')}. Allowed: ${EVENTS.join(', ')}`);
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.connections       connection manager (voor SDK events)
+ * @param {boolean} [opts.allowPrivate]   ook niet-publieke adressen toestaan
+ * @param {string[]} [opts.allowedHosts]  hosts die niet gecontroleerd worden
+ */
+function createWebhooks({ connections, allowPrivate = false, allowedHosts = [] }) {
+  const hooks = createJsonStore('webhooks', () => ({ hooks: [] }));
+  let loggedLines = null; // regels in het delivery log, bijgehouden voor het inkorten
+  const streamSubs = new Map(); // accountId -> Promise<unsubscribe>
+  const streamFailures = new Map(); // accountId -> mislukte pogingen op rij
+  const timers = new Set();
+  let started = false;
+
+  /**
+   * Weigert URLs waarvan de host naar een niet-publiek adres resolvet.
+   * Gebeurt bij registreren en opnieuw voor elke poging (DNS kan wijzigen).
+   */
+  async function checkTarget(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (allowPrivate || allowedHosts.includes(host)) return;
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (e) {
+      throw badRequest(`url host ${host} cannot be resolved`, { code: e.code });
+    }
+    const blocked = addresses.map(a => a.address).filter(a => !isPublicAddress(a));
+    if (blocked.length) {
+      throw badRequest(`url host ${host} resolves to a private, loopback or link-local address`, { addresses: blocked });
+    }
+  }
+
+  // ---------- Deliveries ----------
+
+  // Laatste toestand per delivery, in volgorde van aanmaken
+  function readDeliveries() {
+    let text = '';
+    try {
+      text = fs.readFileSync(DELIVERIES_FILE, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    const byId = new Map();
+    let lines = 0;
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      lines++;
+      try {
+        const d = JSON.parse(line);
+        byId.set(d.id, d);
+      } catch { /* halve regel na een crash */ }
+    }
+    loggedLines = lines;
+    return [...byId.values()];
+  }
+
+  // Herschrijft het log met alleen de laatste MAX_LOGGED_DELIVERIES deliveries
+  function compactDeliveries() {
+    const kept = readDeliveries().slice(-MAX_LOGGED_DELIVERIES);
+    const tmp = `${DELIVERIES_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, kept.map(d => `${JSON.stringify(d)}\n`).join(''));
+    fs.renameSync(tmp, DELIVERIES_FILE);
+    loggedLines = kept.length;
+  }
+
+  function saveDelivery(delivery) {
+    ensureDir();
+    fs.appendFileSync(DELIVERIES_FILE, `${JSON.stringify(delivery)}\n`);
+    if (loggedLines === null) readDeliveries();
+    else loggedLines++;
+    if (loggedLines > 2 * MAX_LOGGED_DELIVERIES) compactDeliveries();
+  }
+
+  function later(fn, delayMs) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delayMs);
+    timer.unref();
+    timers.add(timer);
+  }
+
+  // Fouten van attempt (bv. het delivery log niet kunnen schrijven) alleen loggen
+  function run(delivery) {
+    attempt(delivery).catch(e => {
+      log.warn('webhook delivery error', { deliveryId: delivery.id, hookId: delivery.hookId, error: e.message });
+    });
+  }
+
+  function schedule(delivery, delayMs) {
+    later(() => run(delivery), delayMs);
+  }
+
+  async function attempt(delivery) {
+    const hook = hooks.get().hooks.find(h => h.id === delivery.hookId);
+    if (!hook || !hook.active) {
+      delivery.status = 'cancelled';
+      delivery.nextAttemptAt = null;
+      return saveDelivery(delivery);
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const record = { at: new Date().toISOString(), status: null, error: null, durationMs: 0 };
+    const start = Date.now();
+    try {
+      await checkTarget(hook.url);
+    } catch (e) {
+      // Geen retry: de host wijst (nu) naar een intern adres
+      record.error = e.message;
+      delivery.attempts.push(record);
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      return saveDelivery(delivery);
+    }
+    try {
+      const r = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'metaapi-node-service-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(hook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      record.status = r.status;
+      await r.body?.cancel();
+      if (!r.ok) record.error = `HTTP ${r.status}`;
+    } catch (e) {
+      record.error = e.name === 'TimeoutError' ? 'timeout' : (e.cause?.message || e.message);
+    }
+    record.durationMs = Date.now() - start;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length <= RETRY_DELAYS_MS.length) {
+      const delay = RETRY_DELAYS_MS[delivery.attempts.length - 1];
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      schedule(delivery, delay);
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    }
+    saveDelivery(delivery);
+  }
+
+  function deliver(hook, event, accountId, data) {
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      hookId: hook.id,
+      event,
+      accountId,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      attempts: [],
+      payload: { id, event, accountId, createdAt: new Date().toISOString(), data }
+    };
+    saveDelivery(delivery);
+    run(delivery);
+    return delivery;
+  }
+
+  /**
+   * Stuurt een event naar alle actieve webhooks van het account die het event
+   * geselecteerd hebben. Fouten bij het versturen blijven binnen de module.
+   */
+  function emit(accountId, event, data = {}) {
+    const matching = hooks.get().hooks.filter(h =>
+      h.active && h.accountId === accountId && h.events.includes(event));
+    for (const hook of matching) {
+      try {
+        deliver(hook, event, accountId, data);
+      } catch (e) {
+        log.warn('webhook delivery error', { hookId: hook.id, event, error: e.message });
+      }
+    }
+  }
+
+  // ---------- SDK event stream per account ----------
+
+  function wantsStream(accountId) {
+    return hooks.get().hooks.some(h =>
+      h.active && h.accountId === accountId && h.events.some(e => STREAM_EVENTS.includes(e)));
+  }
+
+  function syncStreams() {
+    if (!started) return;
+    const wanted = new Set(hooks.get().hooks.map(h => h.accountId).filter(wantsStream));
+
+    for (const accountId of wanted) {
+      if (streamSubs.has(accountId)) continue;
+      const sub = connections.subscribe(accountId, ev => {
+        if (STREAM_EVENTS.includes(ev.type)) emit(accountId, ev.type, ev.data);
+      });
+      sub.then(() => streamFailures.delete(accountId), e => {
+        if (streamSubs.get(accountId) === sub) streamSubs.delete(accountId);
+        const failures = (streamFailures.get(accountId) || 0) + 1;
+        streamFailures.set(accountId, failures);
+        const retryInMs = STREAM_RETRY_DELAYS_MS[Math.min(failures, STREAM_RETRY_DELAYS_MS.length) - 1];
+        log.warn('webhook stream failed', { accountId, error: e.message, retryInMs });
+        later(syncStreams, retryInMs);
+      });
+      streamSubs.set(accountId, sub);
+    }
+
+    for (const [accountId, sub] of streamSubs) {
+      if (wanted.has(accountId)) continue;
+      streamSubs.delete(accountId);
+      sub.then(unsubscribe => unsubscribe()).catch(() => {});
+    }
+    for (const accountId of streamFailures.keys()) {
+      if (!wanted.has(accountId)) streamFailures.delete(accountId);
+    }
+  }
+
+  /**
+   * Start de SDK streams voor geregistreerde webhooks en hervat deliveries
+   * die nog open stonden.
+   */
+  function start() {
+    started = true;
+    for (const d of readDeliveries()) {
+      if (d.status === 'pending' || d.status === 'retrying') {
+        const delay = d.nextAttemptAt ? Math.max(0, Date.parse(d.nextAttemptAt) - Date.now()) : 0;
+        schedule(d, delay);
+      }
+    }
+    syncStreams();
+  }
+
+  async function stop() {
+    started = false;
+    for (const t of timers) clearTimeout(t);
+    timers.clear();
+    const subs = [...streamSubs.values()];
+    streamSubs.clear();
+    await Promise.all(subs.map(sub => sub.then(unsubscribe => unsubscribe()).catch(() => {})));
+  }
+
+  // ---------- Registraties ----------
+
+  function list({ accountId } = {}) {
+    return hooks.get().hooks.filter(h => !accountId || h.accountId === accountId).map(publicHook);
+  }
+
+  function get(id) {
+    const hook = hooks.get().hooks.find(h => h.id === id);
+    if (!hook) throw hookNotFound();
+    return hook;
+  }
+
+  /**
+   * @returns {{ hook: object, secret: string }} secret is alleen bij aanmaken zichtbaar
+   */
+  async function register({ accountId, url, events, secret }) {
+    if (!accountId || typeof accountId !== 'string') throw badRequest('accountId is required');
+    if (!url) throw badRequest('url is required');
+    if (!events) throw badRequest('events is required');
+    validateHookInput({ url, events });
+    await checkTarget(url);
+
+    const hook = {
+      id: crypto.randomUUID(),
+      accountId,
+      url,
+      events: [...new Set(events)],
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+    hooks.update(data => { data.hooks.push(hook); });
+    syncStreams();
+    return { hook: publicHook(hook), secret: hook.secret };
+  }
+
+  async function update(id, { url, events, active }) {
+    validateHookInput({ url, events });
+    if (url !== undefined) await checkTarget(url);
+    let result;
+    hooks.update(data => {
+      const hook = data.hooks.find(h => h.id === id);
+      if (!hook) throw hookNotFound();
+      if (url !== undefined) hook.url = url;
+      if (events !== undefined) hook.events = [...new Set(events)];
+      if (active !== undefined) hook.active = !!active;
+      result = publicHook(hook);
+    });
+    syncStreams();
+    return result;
+  }
+
+  function remove(id) {
+    let removed;
+    hooks.update(data => {
+      const i = data.hooks.findIndex(h => h.id === id);
+      if (i < 0) throw hookNotFound();
+      [removed] = data.hooks.splice(i, 1);
+    });
+    syncStreams();
+    return publicHook(removed);
+  }
+
+  function listDeliveries(hookId, { limit = 50 } = {}) {
+    return readDeliveries().filter(d => d.hookId === hookId).slice(-limit).reverse();
+  }
+
+  // Test event naar één webhook, ongeacht de geselecteerde events
+  function ping(id) {
+    const hook = get(id);
+    return deliver(hook, 'ping', hook.accountId, { message: 'Webhook test' });
+  }
+
+  return { EVENTS, emit, start, stop, list, get: id => publicHook(get(id)), register, update, remove, listDeliveries, ping };
+}
+
+module.exports = { createWebhooks, sign, EVENTS };
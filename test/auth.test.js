@@ -0,0 +1,119 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// De key store leest DATA_DIR bij het laden
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metaapi-auth-'));
+process.env.DATA_DIR = dataDir;
+const { createAuth } = require('../src/auth');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const auth = createAuth();
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    locals: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Voert een middleware uit; geeft de response of 'next'
+function run(middleware, req) {
+  const res = fakeRes();
+  let nextCalled = false;
+  middleware({ method: 'GET', path: '/api/accounts', headers: {}, query: {}, body: {}, ...req }, res, () => { nextCalled = true; });
+  return nextCalled ? 'next' : res;
+}
+
+function authenticated(secret) {
+  const req = { method: 'GET', path: '/api/accounts', headers: secret ? { 'x-internal-key': secret } : {}, query: {} };
+  const res = fakeRes();
+  let passed = false;
+  auth.authenticate()(req, res, () => { passed = true; });
+  return passed ? req.auth : res;
+}
+
+let admin;
+
+test('without any key auth is off and the first key must be an unscoped admin key', () => {
+  assert.equal(auth.enabled(), false);
+  assert.equal(authenticated(null).role, 'admin');
+
+  assert.throws(() => auth.createKey({ name: 'reader', role: 'read' }), e => e.status === 400);
+  assert.throws(() => auth.createKey({ name: 'scoped', role: 'admin', accounts: ['acc1'] }), e => e.status === 400);
+  assert.equal(auth.listKeys().length, 0);
+
+  admin = auth.createKey({ name: 'admin', role: 'admin' });
+  assert.equal(auth.enabled(), true);
+  assert.equal(authenticated(null).statusCode, 401);
+  assert.equal(authenticated(admin.secret).keyId, admin.key.id);
+});
+
+test('the key is read from x-internal-key, a bearer token or ?apiKey on allowed paths', () => {
+  const middleware = auth.authenticate({ publicPaths: ['/api/health'], queryKeyPaths: ['/api/stream'] });
+  assert.equal(run(middleware, { headers: { authorization: `Bearer ${admin.secret}` } }), 'next');
+  assert.equal(run(middleware, { path: '/api/stream', query: { apiKey: admin.secret } }), 'next');
+  assert.equal(run(middleware, { query: { apiKey: admin.secret } }).statusCode, 401);
+  assert.equal(run(middleware, { path: '/api/health' }), 'next');
+});
+
+test('roles are ordered read < trader < admin', () => {
+  const reader = { keyId: 'r', role: 'read', accounts: null };
+  const trader = { keyId: 't', role: 'trader', accounts: null };
+  const denied = run(auth.requireRole('trader'), { auth: reader });
+  assert.equal(denied.statusCode, 403);
+  assert.equal(denied.body.code, 'FORBIDDEN');
+  assert.equal(run(auth.requireRole('trader'), { auth: trader }), 'next');
+  assert.equal(run(auth.requireRole('admin'), { auth: trader }).statusCode, 403);
+});
+
+test('scoped keys only reach their own accounts', () => {
+  const scoped = { keyId: 's', role: 'trader', accounts: ['acc1'] };
+  const trader = auth.requireRole('trader');
+
+  assert.equal(run(trader, { auth: scoped, body: { accountId: 'acc1' } }), 'next');
+
+  const outside = run(trader, { auth: scoped, body: { accountIds: ['acc1', 'acc2'] } });
+  assert.equal(outside.statusCode, 403);
+  assert.equal(outside.body.code, 'OUT_OF_SCOPE');
+  assert.deepEqual(outside.body.details.accountIds, ['acc2']);
+
+  // Zonder account in de request kan de scope niet gecontroleerd worden
+  assert.equal(run(trader, { auth: scoped }).body.code, 'OUT_OF_SCOPE');
+  assert.equal(run(auth.requireRole('trader', { filter: true }), { auth: scoped }), 'next');
+
+  assert.equal(auth.inScope(scoped, 'acc1'), true);
+  assert.equal(auth.inScope(scoped, 'acc2'), false);
+});
+
+test('a rotated key only accepts the new secret', () => {
+  const trader = auth.createKey({ name: 'trader', role: 'trader' });
+  const rotated = auth.rotateKey(trader.key.id);
+  assert.equal(authenticated(trader.secret).statusCode, 401);
+  assert.equal(authenticated(rotated.secret).role, 'trader');
+});
+
+test('expired and revoked keys never fall back to open access', () => {
+  const expired = auth.createKey({ name: 'old', role: 'admin', expiresAt: '2000-01-01T00:00:00Z' });
+  assert.equal(authenticated(expired.secret).statusCode, 401);
+
+  for (const key of auth.listKeys()) auth.revokeKey(key.id);
+  assert.equal(auth.enabled(), true);
+  assert.equal(authenticated(null).statusCode, 401);
+  assert.equal(authenticated(admin.secret).statusCode, 401);
+});
+
+test('INTERNAL_API_KEY is an admin key', () => {
+  const withEnv = createAuth({ internalKey: 'env-secret' });
+  const req = { method: 'GET', path: '/api/accounts', headers: { 'x-internal-key': 'env-secret' }, query: {} };
+  let passed = false;
+  withEnv.authenticate()(req, fakeRes(), () => { passed = true; });
+  assert.ok(passed);
+  assert.deepEqual(req.auth, { keyId: 'env', name: 'INTERNAL_API_KEY', role: 'admin', accounts: null });
+});
@@ -0,0 +1,120 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startService } = require('./helpers');
+
+let svc;
+
+before(async () => { svc = await startService(); });
+after(() => svc.close());
+
+beforeEach(() => {
+  svc.mock.reset();
+  svc.addStrategy('S1', { name: 'Alpha' });
+  svc.addStrategy('S2', { name: 'Beta' });
+  svc.addAccount('acc1');
+  svc.addAccount('acc2');
+});
+
+const ids = subscriptions => subscriptions.map(s => s.strategyId).sort();
+
+test('copy start merges with existing subscriptions', async () => {
+  svc.setSubscriptions('acc1', [{ strategyId: 'S1', multiplier: 1 }]);
+
+  const res = await svc.request('POST', '/api/copy/start', { accountId: 'acc1', strategy: 'Beta', mirrorOpenTrades: false });
+  assert.equal(res.status, 200);
+  assert.deepEqual(ids(svc.subscriptionsOf('acc1')), ['S1', 'S2']);
+
+  // Dezelfde strategy opnieuw vervangt de subscription in plaats van hem te dupliceren
+  await svc.request('POST', '/api/copy/start', { accountId: 'acc1', strategyId: 'S1', multiplier: 2, mirrorOpenTrades: false });
+  const subs = svc.subscriptionsOf('acc1');
+  assert.deepEqual(ids(subs), ['S1', 'S2']);
+  assert.equal(subs.find(s => s.strategyId === 'S1').multiplier, 2);
+});
+
+test('copy start keeps the other fields of the subscriber config', async () => {
+  svc.mock.state.subscribers.set('acc1', { _id: 'acc1', name: 'Custom name', reservedMarginFraction: 0.5, subscriptions: [] });
+
+  await svc.request('POST', '/api/copy/start', { accountId: 'acc1', strategyId: 'S1', mirrorOpenTrades: false });
+  const sub = svc.mock.state.subscribers.get('acc1');
+  assert.equal(sub.name, 'Custom name');
+  assert.equal(sub.reservedMarginFraction, 0.5);
+});
+
+test('copy start resynchronizes unless mirrorOpenTrades is false', async () => {
+  await svc.request('POST', '/api/copy/start', { accountId: 'acc1', strategyId: 'S1' });
+  assert.ok(svc.mock.state.calls.some(c => c.method === 'POST' && c.path === '/users/current/subscribers/acc1/resynchronize'));
+});
+
+test('copy start with an unknown strategy is a 404', async () => {
+  const res = await svc.request('POST', '/api/copy/start', { accountId: 'acc1', strategy: 'Nope' });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.code, 'STRATEGY_NOT_FOUND');
+  assert.equal(svc.subscriptionsOf('acc1'), null);
+});
+
+test('copy stop with a strategy removes only that subscription', async () => {
+  svc.setSubscriptions('acc1', [{ strategyId: 'S1' }, { strategyId: 'S2' }]);
+
+  const res = await svc.request('POST', '/api/copy/stop', { accountId: 'acc1', strategy: 'Alpha' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.copyingStopped, false);
+  assert.deepEqual(ids(res.body.remainingSubscriptions), ['S2']);
+  assert.deepEqual(ids(svc.subscriptionsOf('acc1')), ['S2']);
+});
+
+test('copy stop without a strategy removes all subscriptions', async () => {
+  svc.setSubscriptions('acc1', [{ strategyId: 'S1' }, { strategyId: 'S2' }]);
+
+  const res = await svc.request('POST', '/api/copy/stop', { accountId: 'acc1', closePositions: false });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.copyingStopped, true);
+  assert.equal(res.body.positionsClosed, null);
+  assert.deepEqual(svc.subscriptionsOf('acc1'), []);
+});
+
+test('bulk copy start reports a result per account', async () => {
+  svc.setSubscriptions('acc2', [{ strategyId: 'S2' }]);
+  svc.mock.failNext('PUT', /subscribers\/acc2$/, 400);
+
+  const res = await svc.request('POST', '/api/bulk/copy/start', {
+    accountIds: ['acc1', 'acc2'], strategyId: 'S1', mirrorOpenTrades: false
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.succeeded, 1);
+  assert.equal(res.body.failed, 1);
+  const [first, second] = res.body.results;
+  assert.equal(first.accountId, 'acc1');
+  assert.equal(first.ok, true);
+  assert.equal(second.accountId, 'acc2');
+  assert.equal(second.ok, false);
+  assert.deepEqual(ids(svc.subscriptionsOf('acc1')), ['S1']);
+  assert.deepEqual(ids(svc.subscriptionsOf('acc2')), ['S2']);
+});
+
+test('bulk copy stop targets the subscribers of a strategy', async () => {
+  svc.setSubscriptions('acc1', [{ strategyId: 'S1' }, { strategyId: 'S2' }]);
+  svc.setSubscriptions('acc2', [{ strategyId: 'S2' }]);
+
+  const res = await svc.request('POST', '/api/bulk/copy/stop', { subscribersOf: 'Alpha', strategy: 'Alpha' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+  assert.equal(res.body.results[0].accountId, 'acc1');
+  assert.deepEqual(ids(svc.subscriptionsOf('acc1')), ['S2']);
+  assert.deepEqual(ids(svc.subscriptionsOf('acc2')), ['S2']);
+});
+
+test('bulk copy stop with only subscribersOf removes just that strategy and keeps positions', async () => {
+  svc.setSubscriptions('acc1', [{ strategyId: 'S1' }, { strategyId: 'S2' }]);
+
+  const res = await svc.request('POST', '/api/bulk/copy/stop', { subscribersOf: 'Alpha' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results[0].copyingStopped, false);
+  assert.equal(res.body.results[0].positionsClosed, null);
+  assert.deepEqual(ids(svc.subscriptionsOf('acc1')), ['S2']);
+});
+
+test('bulk requests need either accountIds or subscribersOf', async () => {
+  const res = await svc.request('POST', '/api/bulk/copy/stop', {});
+  assert.equal(res.status, 400);
+});
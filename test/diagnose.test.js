@@ -0,0 +1,166 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runChecks } = require('../src/diagnose');
+const { startService } = require('./helpers');
+
+const checks = result => result.findings.map(f => f.check).sort();
+
+// Input waarin alles in orde is; tests overschrijven één onderdeel
+function healthyInput(overrides = {}) {
+  return {
+    accountId: 'sub',
+    account: {
+      state: 'DEPLOYED', connectionStatus: 'CONNECTED',
+      copyFactoryRoles: ['SUBSCRIBER'], copyFactoryResourceSlots: 1, baseCurrency: 'EUR'
+    },
+    subscriber: { subscriptions: [{ strategyId: 'S1' }] },
+    strategies: [{ _id: 'S1', name: 'Alpha' }],
+    strategyHint: 'S1',
+    hintResolved: true,
+    providers: [{ strategyId: 'S1', accountId: 'prov', account: { state: 'DEPLOYED', connectionStatus: 'CONNECTED', baseCurrency: 'EUR' }, symbols: ['EURUSD'] }],
+    subscriberSymbols: ['EURUSD'],
+    stopouts: [],
+    guardTripped: false,
+    ...overrides
+  };
+}
+
+describe('runChecks', () => {
+  test('a healthy subscriber has status ok and no findings', () => {
+    assert.deepEqual(runChecks(healthyInput()), { status: 'ok', findings: [] });
+  });
+
+  test('errors sort before warnings and set the status', () => {
+    const result = runChecks(healthyInput({
+      account: { ...healthyInput().account, state: 'UNDEPLOYED', brokerAccountCurrency: 'USD' }
+    }));
+    assert.equal(result.status, 'error');
+    assert.deepEqual(result.findings.map(f => f.severity), ['error', 'warning']);
+    assert.deepEqual(checks(result), ['ACCOUNT_NOT_DEPLOYED', 'BROKER_CURRENCY_MISMATCH']);
+  });
+
+  test('missing role and resource slots', () => {
+    assert.deepEqual(checks(runChecks(healthyInput({ account: { ...healthyInput().account, copyFactoryRoles: [] } }))),
+      ['SUBSCRIBER_ROLE_MISSING']);
+    assert.deepEqual(checks(runChecks(healthyInput({ account: { ...healthyInput().account, copyFactoryResourceSlots: 0 } }))),
+      ['RESOURCE_SLOTS_MISSING']);
+  });
+
+  test('unmapped provider symbols are a warning, mapped or excluded ones are not', () => {
+    const providers = [{ ...healthyInput().providers[0], symbols: ['EURUSD', 'XAUUSD', 'US30'] }];
+    const subscriber = {
+      subscriptions: [{ strategyId: 'S1', symbolMapping: [{ from: 'US30', to: 'DJ30' }], symbolFilter: { excluded: ['XAUUSD'] } }]
+    };
+    assert.equal(runChecks(healthyInput({ providers, subscriber, subscriberSymbols: ['EURUSD', 'DJ30'] })).status, 'ok');
+
+    const result = runChecks(healthyInput({ providers, subscriberSymbols: ['EURUSD'] }));
+    assert.equal(result.status, 'warning');
+    assert.deepEqual(result.findings[0].details.symbols, ['US30', 'XAUUSD']);
+  });
+
+  test('data that could not be loaded becomes an info finding', () => {
+    const result = runChecks(healthyInput({ subscriberSymbols: null, stopouts: null }));
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(checks(result), ['STOPOUTS_NOT_CHECKED', 'SYMBOLS_NOT_CHECKED']);
+  });
+
+  test('active stopouts and a tripped guard are errors', () => {
+    const stopouts = [{ strategy: { id: 'S1' }, reason: 'daily-equity', reasonDescription: 'Daily loss' }];
+    const result = runChecks(healthyInput({ stopouts, guardTripped: true }));
+    assert.deepEqual(checks(result), ['GUARD_TRIPPED', 'STOPOUT_ACTIVE']);
+    assert.match(result.findings.find(f => f.check === 'GUARD_TRIPPED').fix, /\/api\/guard\/sub\/rearm/);
+  });
+});
+
+describe('GET /api/copy/diagnose', () => {
+  let svc;
+
+  before(async () => { svc = await startService(); });
+  after(() => svc.close());
+
+  beforeEach(() => {
+    svc.mock.reset();
+    svc.addStrategy('S1', { name: 'Alpha', accountId: 'prov' });
+    svc.addAccount('prov', { state: 'UNDEPLOYED', copyFactoryRoles: ['PROVIDER'] });
+    svc.addAccount('sub');
+  });
+
+  const diagnose = (query = '') => svc.request('GET', `/api/copy/diagnose?accountId=sub${query}`);
+
+  test('reports the account, provider and subscription problems', async () => {
+    svc.setSubscriptions('sub', [{ strategyId: 'S1' }, { strategyId: 'GONE' }]);
+
+    const res = await diagnose();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'error');
+    const found = checks(res.body);
+    for (const check of ['ACCOUNT_NOT_CONNECTED', 'PROVIDER_NOT_CONNECTED', 'STRATEGY_NOT_FOUND', 'SYMBOLS_NOT_CHECKED']) {
+      assert.ok(found.includes(check), `${check} in ${found}`);
+    }
+    assert.equal(res.body.account.id, 'sub');
+  });
+
+  test('a subscriber without subscriptions', async () => {
+    const res = await diagnose('&strategy=Alpha');
+    assert.ok(checks(res.body).includes('SUBSCRIPTIONS_EMPTY'));
+    assert.equal(res.body.strategyId, 'S1');
+  });
+
+  test('an unknown strategy hint is a warning', async () => {
+    svc.setSubscriptions('sub', [{ strategyId: 'S1' }]);
+    const res = await diagnose('&strategy=Nope');
+    assert.ok(checks(res.body).includes('STRATEGY_UNRESOLVED'));
+  });
+
+  test('active stopouts from CopyFactory', async () => {
+    svc.setSubscriptions('sub', [{ strategyId: 'S1' }]);
+    svc.mock.addStopout('sub', 'S1', 'daily-equity');
+
+    const res = await diagnose();
+    const stopout = res.body.findings.find(f => f.check === 'STOPOUT_ACTIVE');
+    assert.equal(stopout.details.strategyId, 'S1');
+    assert.equal(stopout.details.reason, 'daily-equity');
+  });
+
+  test('a failing stopouts call becomes an info finding', async () => {
+    svc.setSubscriptions('sub', [{ strategyId: 'S1' }]);
+    svc.mock.failNext('GET', /\/stopouts$/, 503);
+
+    const res = await diagnose();
+    assert.equal(res.status, 200);
+    assert.ok(checks(res.body).includes('STOPOUTS_NOT_CHECKED'));
+    assert.equal(res.body.stopouts, null);
+  });
+
+  test('a failing strategy list skips the strategy checks', async () => {
+    svc.setSubscriptions('sub', [{ strategyId: 'GONE' }]);
+    svc.mock.failNext('GET', /\/configuration\/strategies$/, 503);
+
+    const res = await diagnose();
+    assert.equal(res.status, 200);
+    const found = checks(res.body);
+    assert.ok(!found.includes('STRATEGY_NOT_FOUND'));
+    assert.ok(!found.includes('STRATEGY_UNRESOLVED'));
+  });
+
+  test('a provider account that cannot be loaded is a warning', async () => {
+    svc.setSubscriptions('sub', [{ strategyId: 'S1' }]);
+    svc.mock.failNext('GET', /\/accounts\/prov$/, 503);
+
+    const res = await diagnose();
+    assert.ok(checks(res.body).includes('PROVIDER_UNKNOWN'));
+  });
+
+  test('an unknown account fails with the upstream 404 in the details', async () => {
+    const res = await svc.request('GET', '/api/copy/diagnose?accountId=missing');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'UPSTREAM_HTTP');
+    assert.equal(res.body.details.upstream.status, 404);
+  });
+
+  test('a failing account call is an upstream error', async () => {
+    svc.mock.failNext('GET', /\/accounts\/sub$/, 503);
+    const res = await diagnose();
+    assert.equal(res.status, 502);
+  });
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiError, badRequest, describeError } = require('../src/errors');
+const { UpstreamError } = require('../src/upstream');
+const { ConnectionError } = require('../src/connections');
+const { withTimeout } = require('../src/util');
+
+test('an error without status is a 500 without its internal message', () => {
+  const { status, body } = describeError(new TypeError("Cannot read properties of undefined (reading 'x')"));
+  assert.equal(status, 500);
+  assert.deepEqual(body, { ok: false, code: 'INTERNAL_ERROR', error: 'Internal server error' });
+});
+
+test('validation errors keep a stable code and message', () => {
+  const { status, body } = describeError(badRequest('multiplier must be a positive number'));
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_ERROR');
+  assert.equal(body.error, 'multiplier must be a positive number');
+});
+
+test('api, connection and upstream errors keep their own status', () => {
+  assert.equal(describeError(new ApiError(409, 'GUARD_TRIPPED', 'blocked')).status, 409);
+  assert.equal(describeError(new ConnectionError('Account not deployed', 'NOT_DEPLOYED')).status, 409);
+  assert.equal(describeError(new ConnectionError('Account connection timeout', 'CONNECT_TIMEOUT')).status, 504);
+  const upstream4xx = new UpstreamError('Not found', { code: 'UPSTREAM_HTTP', status: 404 });
+  assert.equal(describeError(upstream4xx).status, 400);
+});
+
+test('a withTimeout rejection is a 504', async () => {
+  const e = await withTimeout(new Promise(() => {}), 1, 'Account information timeout').catch(err => err);
+  const { status, body } = describeError(e);
+  assert.equal(status, 504);
+  assert.equal(body.error, 'Account information timeout');
+});
@@ -0,0 +1,114 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// De guard store leest DATA_DIR bij het laden
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metaapi-guard-'));
+process.env.DATA_DIR = dataDir;
+const { createGuard, evaluateRules } = require('../src/guard');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const day1 = new Date('2024-03-01T10:00:00Z');
+const day2 = new Date('2024-03-02T10:00:00Z');
+
+describe('evaluateRules', () => {
+  test('drawdown is measured from the highest equity since arming', () => {
+    const rules = { maxDrawdownPct: 10 };
+    let { state, breach } = evaluateRules(rules, {}, { equity: 1000 }, day1);
+    ({ state, breach } = evaluateRules(rules, state, { equity: 1200 }, day1));
+    assert.equal(state.peakEquity, 1200);
+    ({ state, breach } = evaluateRules(rules, state, { equity: 1090 }, day1));
+    assert.equal(breach, null);
+
+    ({ breach } = evaluateRules(rules, state, { equity: 1080 }, day1));
+    assert.deepEqual(breach, { rule: 'maxDrawdownPct', value: 10, threshold: 10, equity: 1080, peakEquity: 1200 });
+  });
+
+  test('the absolute drawdown rule', () => {
+    const { breach } = evaluateRules({ maxDrawdownAmount: 50 }, { peakEquity: 1000 }, { equity: 949 }, day1);
+    assert.equal(breach.rule, 'maxDrawdownAmount');
+    assert.equal(breach.value, 51);
+  });
+
+  test('the daily loss starts again at the first check of a new UTC day', () => {
+    const rules = { dailyLossLimit: 100 };
+    let { state } = evaluateRules(rules, {}, { equity: 1000 }, day1);
+    let breach;
+    ({ state, breach } = evaluateRules(rules, state, { equity: 920 }, day1));
+    assert.equal(breach, null);
+
+    ({ state, breach } = evaluateRules(rules, state, { equity: 910 }, day2));
+    assert.equal(breach, null);
+    assert.deepEqual(state.dayStart, { date: '2024-03-02', equity: 910 });
+
+    ({ breach } = evaluateRules(rules, state, { equity: 810 }, day2));
+    assert.equal(breach.rule, 'dailyLossLimit');
+  });
+
+  test('the margin level floor only counts with margin in use', () => {
+    const rules = { marginLevelFloor: 150 };
+    assert.equal(evaluateRules(rules, {}, { equity: 1000, margin: 0, marginLevel: 0 }, day1).breach, null);
+    assert.equal(evaluateRules(rules, {}, { equity: 1000, margin: 500, marginLevel: 200 }, day1).breach, null);
+    assert.equal(evaluateRules(rules, {}, { equity: 1000, margin: 500, marginLevel: 150 }, day1).breach.rule, 'marginLevelFloor');
+  });
+});
+
+describe('createGuard', () => {
+  // Connectie die de opgegeven equity waarden na elkaar teruggeeft
+  function setup(equities, protect = async () => ({ stopped: true })) {
+    const calls = { protect: [], notify: [] };
+    const connections = {
+      withConnection: async (_id, fn) => fn({ getAccountInformation: async () => ({ equity: equities.shift() }) })
+    };
+    const guard = createGuard({
+      connections,
+      protect: async (...args) => { calls.protect.push(args); return protect(...args); },
+      notify: (...args) => calls.notify.push(args)
+    });
+    return { guard, calls };
+  }
+
+  test('rules are validated', () => {
+    const { guard } = setup([]);
+    assert.throws(() => guard.setRules('acc', {}), e => e.code === 'VALIDATION_ERROR');
+    assert.throws(() => guard.setRules('acc', { maxDrawdownPct: 100 }), e => e.code === 'VALIDATION_ERROR');
+    assert.throws(() => guard.setRules('acc', { dailyLossLimit: -5 }), e => e.code === 'VALIDATION_ERROR');
+  });
+
+  test('a breach protects the account once and blocks it until re-armed', async () => {
+    const { guard, calls } = setup([1000, 850, 800]);
+    guard.setRules('acc1', { maxDrawdownPct: 10 });
+
+    assert.equal((await guard.check('acc1')).tripped, null);
+    const result = await guard.check('acc1');
+    assert.equal(result.tripped.rule, 'maxDrawdownPct');
+    assert.deepEqual(result.tripped.actions, { stopped: true });
+    assert.equal(guard.isTripped('acc1'), true);
+    assert.equal(calls.protect.length, 1);
+    assert.equal(calls.notify[0][1], 'guard.triggered');
+
+    // Geblokkeerd: geen nieuwe controle en geen tweede protect
+    assert.equal((await guard.check('acc1')).checked, false);
+    assert.equal(calls.protect.length, 1);
+
+    const entry = guard.rearm('acc1', 'key-1');
+    assert.equal(entry.tripped, null);
+    assert.deepEqual(entry.state, {});
+    assert.equal(entry.history[0].rearmedBy, 'key-1');
+    assert.equal(guard.isTripped('acc1'), false);
+  });
+
+  test('a failing protect is recorded and the account stays blocked', async () => {
+    const timeout = Object.assign(new Error('Account connection timeout'), { status: 504, code: 'CONNECT_TIMEOUT' });
+    const { guard } = setup([1000, 500], async () => { throw timeout; });
+    guard.setRules('acc2', { maxDrawdownAmount: 100 });
+    await guard.check('acc2');
+    const { tripped } = await guard.check('acc2');
+    assert.equal(tripped.actions.ok, false);
+    assert.equal(tripped.actions.code, 'CONNECT_TIMEOUT');
+    assert.equal(guard.isTripped('acc2'), true);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * helpers.js — Start de service tegen de MetaApi mock (src/mock/metaapi.js)
+ *
+ * De service leest zijn config bij het laden, dus één service per testbestand;
+ * `node --test` draait elk bestand in een eigen proces. DATA_DIR is een
+ * tijdelijke directory die bij close() weer verdwijnt.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockServer } = require('../src/mock/metaapi');
+
+const TOKEN = 'test-token';
+const KEY = 'test-key';
+
+/**
+ * @param {object} [env]  extra env variabelen voor de service
+ */
+async function startService(env = {}) {
+  const mock = await startMockServer({ token: TOKEN, connectDelayMs: 0 });
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metaapi-test-'));
+  Object.assign(process.env, {
+    METAAPI_TOKEN: TOKEN,
+    INTERNAL_API_KEY: KEY,
+    DATA_DIR: dataDir,
+    LOG_LEVEL: 'error',
+    METAAPI_PROVISIONING_URL: mock.url,
+    COPYFACTORY_URL: mock.url,
+    METASTATS_URL: mock.url,
+    UPSTREAM_RETRIES: '0',
+    EQUITY_SAMPLE_MS: '0',
+    ...env
+  });
+
+  const app = require('../src/server');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, body, headers = {}) {
+    const res = await fetch(url + urlPath, {
+      method,
+      headers: { 'X-Internal-Key': KEY, ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  // Account in de mock; zonder verbinding, zodat de service geen SDK connectie opzet
+  function addAccount(id, fields = {}) {
+    const account = {
+      _id: id,
+      id,
+      name: id,
+      state: 'DEPLOYED',
+      connectionStatus: 'DISCONNECTED',
+      copyFactoryRoles: ['SUBSCRIBER'],
+      copyFactoryResourceSlots: 1,
+      ...fields
+    };
+    mock.state.accounts.set(id, account);
+    return account;
+  }
+
+  function addStrategy(id, fields = {}) {
+    const strategy = { _id: id, name: `Strategy ${id}`, accountId: 'provider', ...fields };
+    mock.state.strategies.set(id, strategy);
+    return strategy;
+  }
+
+  function setSubscriptions(accountId, subscriptions) {
+    mock.state.subscribers.set(accountId, { _id: accountId, name: `${accountId}-subscriber`, subscriptions });
+  }
+
+  function subscriptionsOf(accountId) {
+    const sub = mock.state.subscribers.get(accountId);
+    return sub ? sub.subscriptions : null;
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { url, dataDir, mock, request, addAccount, addStrategy, setSubscriptions, subscriptionsOf, close };
+}
+
+module.exports = { startService };
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAllHistory, toCsv, CSV_MAX_ROWS } = require('../src/history');
+
+// RPC connectie met `count` deals, in pagina's zoals MetaApi ze geeft
+function fakeConnection(count) {
+  return {
+    async getDealsByTimeRange(_from, _to, offset, limit) {
+      const deals = [];
+      for (let i = offset; i < Math.min(offset + limit, count); i++) deals.push({ id: String(i), symbol: 'EURUSD' });
+      return { deals, synchronizing: false };
+    }
+  };
+}
+
+const range = { from: new Date(0), to: new Date(), symbols: [] };
+
+test('csv cells that look like formulas are neutralized', () => {
+  const csv = toCsv('deals', [{ id: '1', symbol: '=HYPERLINK("http://x")', comment: '@SUM(A1)', profit: -12.5, magic: 0 }]);
+  const row = csv.split('\r\n')[1].split(',');
+  assert.ok(csv.includes(`"'=HYPERLINK(""http://x"")"`));
+  assert.ok(row.includes("'@SUM(A1)"));
+  // Negatieve getallen blijven getallen
+  assert.ok(row.includes('-12.5'));
+});
+
+test('csv export fails instead of truncating', async () => {
+  const rows = await getAllHistory(fakeConnection(CSV_MAX_ROWS), 'deals', range);
+  assert.equal(rows.length, CSV_MAX_ROWS);
+
+  await assert.rejects(getAllHistory(fakeConnection(CSV_MAX_ROWS + 1), 'deals', range),
+    e => e.status === 422 && e.code === 'EXPORT_TOO_LARGE');
+});
+
+test('an unbounded read returns every record', async () => {
+  const rows = await getAllHistory(fakeConnection(CSV_MAX_ROWS + 10), 'deals', range, { maxRows: Infinity });
+  assert.equal(rows.length, CSV_MAX_ROWS + 10);
+});
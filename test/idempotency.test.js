@@ -0,0 +1,85 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startService } = require('./helpers');
+
+let svc;
+
+before(async () => { svc = await startService(); });
+after(() => svc.close());
+
+beforeEach(() => {
+  svc.mock.reset();
+  svc.addStrategy('S1', { name: 'Alpha' });
+  svc.addAccount('acc1');
+});
+
+const start = (key, body = { accountId: 'acc1', strategyId: 'S1', mirrorOpenTrades: false }) =>
+  svc.request('POST', '/api/copy/start', body, { 'Idempotency-Key': key });
+
+const subscriberPuts = () => svc.mock.state.calls.filter(c => c.method === 'PUT' && c.path.includes('/subscribers/')).length;
+
+test('a repeated key replays the first response without running the request again', async () => {
+  const first = await start('start-1');
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('idempotency-replayed'), null);
+
+  const second = await start('start-1');
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('idempotency-replayed'), 'true');
+  assert.deepEqual(second.body, first.body);
+  assert.equal(subscriberPuts(), 1);
+});
+
+test('the same key with a different payload is rejected', async () => {
+  await start('start-2');
+  const res = await start('start-2', { accountId: 'acc1', strategyId: 'S1', multiplier: 2, mirrorOpenTrades: false });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+  assert.equal(subscriberPuts(), 1);
+});
+
+test('validation failures of the handler are replayed', async () => {
+  // volume en fraction samen: het schema laat dit door, parseCloseOptions niet
+  const close = () => svc.request('POST', '/api/positions/close', { accountId: 'acc1', volume: 1, fraction: 0.5 },
+    { 'Idempotency-Key': 'close-1' });
+  const first = await close();
+  assert.equal(first.status, 400);
+  assert.equal(first.body.code, 'VALIDATION_ERROR');
+  assert.equal(first.headers.get('idempotency-replayed'), null);
+
+  const second = await close();
+  assert.equal(second.status, 400);
+  assert.equal(second.headers.get('idempotency-replayed'), 'true');
+  assert.deepEqual(second.body, first.body);
+});
+
+test('a request rejected by the schema does not claim the key', async () => {
+  const invalid = await start('start-5', { accountId: 'acc1', strategyId: 'S1', multiplier: -1 });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+
+  const valid = await start('start-5');
+  assert.equal(valid.status, 200);
+  assert.equal(valid.headers.get('idempotency-replayed'), null);
+});
+
+test('a guard block is not stored, so a retry after re-arming runs', async () => {
+  // Getripte guard rechtstreeks in de store; de service leest hem opnieuw bij een gewijzigde mtime
+  fs.writeFileSync(path.join(svc.dataDir, 'guard.json'), JSON.stringify({
+    accounts: { acc1: { accountId: 'acc1', rules: { maxDrawdownPct: 10 }, state: {}, tripped: { rule: 'maxDrawdownPct' }, history: [] } }
+  }));
+
+  const blocked = await start('start-4');
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.code, 'GUARD_TRIPPED');
+  assert.equal(subscriberPuts(), 0);
+
+  assert.equal((await svc.request('POST', '/api/guard/acc1/rearm')).status, 200);
+
+  const retry = await start('start-4');
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('idempotency-replayed'), null);
+  assert.equal(subscriberPuts(), 1);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccountLocks } = require('../src/locks');
+
+// Promise die pas verder gaat na release()
+function gate() {
+  let release;
+  const promise = new Promise(resolve => { release = resolve; });
+  return { promise, release };
+}
+
+test('an operation that waits too long for the lock gets 409 OPERATION_IN_PROGRESS', async () => {
+  const locks = createAccountLocks({ waitMs: 20 });
+  const running = gate();
+  const first = locks.run('acc1', 'copy-stop', () => running.promise);
+
+  await assert.rejects(locks.run('acc1', 'close-all', async () => 'never'), e =>
+    e.status === 409 && e.code === 'OPERATION_IN_PROGRESS' && e.details.operation === 'copy-stop');
+
+  // Een ander account wacht niet
+  assert.equal(await locks.run('acc2', 'close-all', async () => 'done'), 'done');
+
+  running.release();
+  await first;
+  assert.deepEqual(locks.stats(), []);
+});
+
+test('waiting operations run one at a time in order', async () => {
+  const locks = createAccountLocks({ waitMs: 1000 });
+  const order = [];
+  const running = gate();
+  const runs = [
+    locks.run('acc1', 'a', async () => { await running.promise; order.push('a'); }),
+    locks.run('acc1', 'b', async () => { order.push('b'); }),
+    locks.run('acc1', 'c', async () => { order.push('c'); })
+  ];
+  assert.deepEqual(locks.stats()[0].waiting, ['b', 'c']);
+
+  running.release();
+  await Promise.all(runs);
+  assert.deepEqual(order, ['a', 'b', 'c']);
+});
+
+test('a nested operation on the same account reuses the lock', async () => {
+  const locks = createAccountLocks({ waitMs: 0 });
+  const result = await locks.run('acc1', 'copy-stop', () => locks.run('acc1', 'close-all', async () => 'closed'));
+  assert.equal(result, 'closed');
+});
+
+test('the lock is released when the operation fails', async () => {
+  const locks = createAccountLocks({ waitMs: 0 });
+  await assert.rejects(locks.run('acc1', 'copy-start', async () => { throw new Error('upstream down'); }), /upstream down/);
+  assert.equal(await locks.run('acc1', 'copy-start', async () => 'ok'), 'ok');
+});
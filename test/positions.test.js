@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCloseOptions, selectPositions, planCloses, closePositions } = require('../src/positions');
+
+const SPEC = { minVolume: 0.1, volumeStep: 0.01 };
+
+const positions = [
+  { id: 1, symbol: 'EURUSD', type: 'POSITION_TYPE_BUY', volume: 1, magic: 7, comment: 'S1', profit: 10, swap: -1, commission: -1 },
+  { id: 2, symbol: 'EURUSD', type: 'POSITION_TYPE_SELL', volume: 0.5, magic: 8, comment: 'S2', profit: -5 },
+  { id: 3, symbol: 'XAUUSD', type: 'POSITION_TYPE_BUY', volume: 0.15, magic: 7, comment: 'manual', profit: 3 }
+];
+
+// RPC connectie met de posities hierboven; closes worden vastgelegd
+function fakeConnection({ failId } = {}) {
+  const closed = [];
+  return {
+    closed,
+    getPositions: async () => positions,
+    getSymbolSpecification: async () => SPEC,
+    getDealsByPosition: async () => ({ deals: [] }),
+    async closePosition(id) {
+      return this.closePositionPartially(id, 'all');
+    },
+    async closePositionPartially(id, volume) {
+      if (id === failId) throw Object.assign(new Error('Market closed'), { stringCode: 'TRADE_RETCODE_MARKET_CLOSED' });
+      closed.push({ id, volume });
+      return { stringCode: 'TRADE_RETCODE_DONE' };
+    }
+  };
+}
+
+const ids = list => list.map(p => Number(p.id ?? p.positionId));
+
+test('filters select by symbol, side, magic, comment and profit', () => {
+  const select = body => ids(selectPositions(positions, parseCloseOptions(body).filters));
+  assert.deepEqual(select({}), [1, 2, 3]);
+  assert.deepEqual(select({ symbols: 'EURUSD' }), [1, 2]);
+  assert.deepEqual(select({ side: 'buy', magic: [7] }), [1, 3]);
+  assert.deepEqual(select({ comment: 's2' }), [2]);
+  assert.deepEqual(select({ profitState: 'loss' }), [2]);
+  assert.deepEqual(select({ positionIds: ['3'] }), [3]);
+});
+
+test('invalid close options are validation errors', () => {
+  for (const body of [{ side: 'long' }, { volume: 1, fraction: 0.5 }, { fraction: 1.5 }, { volume: -1 }, { magic: 'x' }]) {
+    assert.throws(() => parseCloseOptions(body), e => e.status === 400 && e.code === 'VALIDATION_ERROR', JSON.stringify(body));
+  }
+});
+
+test('without volume or fraction every position closes in full', async () => {
+  const plans = await planCloses(fakeConnection(), positions, {});
+  assert.deepEqual(plans.map(p => [p.closeVolume, p.partial]), [[1, false], [0.5, false], [0.15, false]]);
+  assert.equal(plans[0].profit, 8);
+});
+
+test('partial closes round down to the volume step', async () => {
+  const [plan] = await planCloses(fakeConnection(), [positions[0]], { fraction: 0.333 });
+  assert.equal(plan.closeVolume, 0.33);
+  assert.equal(plan.partial, true);
+});
+
+test('a partial close below minVolume is skipped', async () => {
+  const [plan] = await planCloses(fakeConnection(), [positions[0]], { volume: 0.05 });
+  assert.equal(plan.closeVolume, 0);
+  assert.match(plan.skipped, /below minimum 0.1/);
+});
+
+test('a partial close that would leave less than minVolume is skipped, not closed in full', async () => {
+  const [plan] = await planCloses(fakeConnection(), [positions[2]], { volume: 0.1 });
+  assert.equal(plan.closeVolume, 0);
+  assert.equal(plan.partial, false);
+  assert.match(plan.skipped, /remaining volume 0.05 would be below minimum 0.1/);
+});
+
+test('a volume at or above the position volume closes it in full', async () => {
+  const [plan] = await planCloses(fakeConnection(), [positions[2]], { volume: 1 });
+  assert.equal(plan.closeVolume, 0.15);
+  assert.equal(plan.partial, false);
+  assert.equal(plan.skipped, undefined);
+});
+
+test('dryRun closes nothing', async () => {
+  const connection = fakeConnection();
+  const result = await closePositions(connection, parseCloseOptions({ dryRun: true, symbols: 'EURUSD' }));
+  assert.equal(result.dryRun, true);
+  assert.deepEqual(ids(result.positions), [1, 2]);
+  assert.deepEqual(connection.closed, []);
+});
+
+test('each position gets its own result; skipped and failed closes do not stop the rest', async () => {
+  const connection = fakeConnection({ failId: '2' });
+  const result = await closePositions(connection, parseCloseOptions({ volume: 0.1 }));
+  assert.deepEqual(connection.closed, [{ id: '1', volume: 0.1 }]);
+  assert.equal(result.closedCount, 1);
+  assert.equal(result.failedCount, 2);
+  const [first, second, third] = result.results;
+  assert.equal(first.partial, true);
+  assert.equal(second.error, 'Market closed');
+  assert.equal(second.stringCode, 'TRADE_RETCODE_MARKET_CLOSED');
+  assert.equal(third.skipped, true);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStatistics } = require('../src/statistics');
+
+// Storting van 1000, dan drie trades over drie dagen: +100, -50, +100
+const deals = [
+  { id: '1', type: 'DEAL_TYPE_BALANCE', profit: 1000, time: '2024-01-01T00:00:00Z' },
+  { id: '2', type: 'DEAL_TYPE_BUY', entryType: 'DEAL_ENTRY_IN', positionId: 'p1', profit: 0, commission: -1, time: '2024-01-01T10:00:00Z' },
+  { id: '3', type: 'DEAL_TYPE_SELL', entryType: 'DEAL_ENTRY_OUT', positionId: 'p1', profit: 101, time: '2024-01-01T12:00:00Z' },
+  { id: '4', type: 'DEAL_TYPE_SELL', entryType: 'DEAL_ENTRY_IN', positionId: 'p2', profit: 0, time: '2024-01-02T09:00:00Z' },
+  { id: '5', type: 'DEAL_TYPE_BUY', entryType: 'DEAL_ENTRY_OUT', positionId: 'p2', profit: -45, swap: -5, time: '2024-01-02T15:00:00Z' },
+  { id: '6', type: 'DEAL_TYPE_BUY', entryType: 'DEAL_ENTRY_IN', positionId: 'p3', profit: 0, time: '2024-01-03T08:00:00Z' },
+  { id: '7', type: 'DEAL_TYPE_SELL', entryType: 'DEAL_ENTRY_OUT', positionId: 'p3', profit: 100, time: '2024-01-03T16:00:00Z' }
+];
+const now = new Date('2024-01-03T23:00:00Z');
+
+test('trade counts, win rate and profit factor', () => {
+  const s = computeStatistics(deals, { balance: 1150, now });
+  assert.equal(s.totalTrades, 3);
+  assert.equal(s.wonTrades, 2);
+  assert.equal(s.lostTrades, 1);
+  assert.equal(s.winRate, 66.67);
+  assert.equal(s.profit, 150);
+  assert.equal(s.grossProfit, 200);
+  assert.equal(s.grossLoss, -50);
+  assert.equal(s.profitFactor, 4);
+  assert.equal(s.averageWin, 100);
+  assert.equal(s.averageLoss, -50);
+  assert.equal(s.riskRewardRatio, 2);
+  assert.equal(s.deposits, 1000);
+});
+
+test('drawdown and growth are measured on the balance before each trade', () => {
+  const s = computeStatistics(deals, { balance: 1150, now });
+  // 1000 -> 1100 -> 1050 -> 1150
+  assert.equal(s.maxDrawdown, 50);
+  assert.equal(s.maxDrawdownPct, 4.55);
+  assert.equal(s.totalGrowth, 15);
+  assert.deepEqual(s.daily.map(d => d.growth), [10, -4.55, 9.52]);
+  assert.deepEqual(s.monthly, [{ month: '2024-01', profit: 150, growth: 15 }]);
+});
+
+test('sharpe ratio is annualized from daily returns', () => {
+  const s = computeStatistics(deals, { balance: 1150, now });
+  // Dagrendementen 0.1, -0.04545, 0.09524: gemiddelde / stdev * sqrt(365)
+  assert.equal(s.sharpeRatio, 11.54);
+});
+
+test('a withdrawal does not count as a loss or drawdown', () => {
+  const withWithdrawal = [
+    ...deals,
+    { id: '8', type: 'DEAL_TYPE_BALANCE', profit: -500, time: '2024-01-03T18:00:00Z' }
+  ];
+  const s = computeStatistics(withWithdrawal, { balance: 650, now });
+  assert.equal(s.withdrawals, 500);
+  assert.equal(s.totalGrowth, 15);
+  assert.equal(s.maxDrawdownPct, 4.55);
+});
+
+test('the same deals in a different order give the same result', () => {
+  const a = computeStatistics(deals, { balance: 1150, now });
+  const b = computeStatistics([...deals].reverse(), { balance: 1150, now });
+  assert.deepEqual(b, a);
+});
+
+test('no losses means no profit factor; no deals means empty statistics', () => {
+  const s = computeStatistics(deals.slice(0, 3), { balance: 1100, now });
+  assert.equal(s.profitFactor, null);
+  assert.equal(s.winRate, 100);
+
+  const empty = computeStatistics([], { now });
+  assert.equal(empty.totalTrades, 0);
+  assert.equal(empty.winRate, 0);
+  assert.equal(empty.totalGrowth, 0);
+  assert.equal(empty.sharpeRatio, null);
+  assert.equal(empty.firstTradeAt, null);
+});